@@ -3,39 +3,77 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title IDOPool
- * @dev An Initial DEX Offering (IDO) pool contract that allows users to buy tokens using a custom ERC-20 token.
+ * @dev An Initial DEX Offering (IDO) pool contract that allows users to buy tokens using a custom ERC-20 token,
+ * or the chain's native currency when deployed without a payment token.
  * The contract supports refund mechanisms for both users and the admin.
  */
 contract IDOPool is Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
-    // Token addresses
+    // Token addresses; a zero payment token means the pool is paid in native currency
     IERC20 public paymentToken;
     IERC20 public idoToken;
 
     // IDO parameters
     uint256 public startTime;
     uint256 public endTime;
-    uint256 public tokenPrice; // Price of one IDO token in paymentToken units
+    uint256 public tokenPrice; // Price of one IDO token in paymentToken units, unless sale rounds are set
     uint256 public softCap;
     uint256 public hardCap;
     uint256 public totalRaised;
+    uint256 public totalRefunded; // Payment tokens paid back by claimRefundUser
+    uint256 public totalOwedIDOTokens; // IDO tokens purchased and neither claimed nor refunded yet
+    uint256 public totalClaimedIDOTokens; // IDO tokens paid out by claimIDOTokens
 
     // IDO status
     bool public idoActive;
     bool public idoEnded;
     bool public refundGloballyEnabled;
+    uint256 public idoEndedAt; // Block time the IDO was ended at
+    bool public fundsWithdrawn; // The raised funds went to the treasury, which rules out refunds from then on
+
+    // Vesting of the purchased IDO tokens: a share unlocks at the TGE, the rest vests linearly after an optional cliff
+    uint256 public constant BPS = 10000;
+    uint256 public vestingStart; // TGE time; the IDO end if zero or earlier
+    uint256 public tgeUnlockBps = BPS; // Share unlocked at the TGE, in basis points (everything by default)
+    uint256 public vestingCliff; // Seconds after the TGE before linear vesting starts
+    uint256 public vestingDuration; // Seconds of linear vesting after the cliff; 0 unlocks the rest at the end of the cliff
+
+    // Sale rounds, ordered by start time. While any are set, purchases are priced at the open rounds instead of tokenPrice.
+    uint256 public constant MAX_ROUNDS = 10;
+    struct Round {
+        string name;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 price; // Price of one IDO token in paymentToken units
+        uint256 cap; // Payment tokens the round can raise, 0 for no limit (the hard cap still applies)
+    }
+    Round[] public rounds;
+    mapping(uint256 => uint256) public roundRaised;
+
+    // Allowlist: Merkle root of (address, minContribution, maxContribution) leaves, zero when the sale is open to everyone
+    bytes32 public allowlistRoot;
+
+    // An allowlisted buyer's limits and the proof that they are in the allowlist
+    struct Allocation {
+        uint256 minContribution; // Minimum total contribution, 0 for none
+        uint256 maxContribution; // Maximum total contribution, 0 for none (the hard cap still applies)
+        bytes32[] proof;
+    }
 
     // User contributions
     mapping(address => uint256) public userContributedPaymentAmount;
     mapping(address => uint256) public userOwedIDOTokens;
     mapping(address => bool) public userHasRefunded;
-    mapping(address => bool) public userHasClaimedIDOTokens;
+    mapping(address => bool) public userHasClaimedIDOTokens; // Set once every owed token has been claimed
+    mapping(address => uint256) public userClaimedIDOTokens;
 
     // Events
     event IDOParametersSet(uint256 startTime, uint256 endTime, uint256 tokenPrice, uint256 softCap, uint256 hardCap);
@@ -49,20 +87,31 @@ contract IDOPool is Ownable, ReentrancyGuard {
     event TokenPriceUpdated(uint256 newPrice);
     event CapsUpdated(uint256 newSoftCap, uint256 newHardCap);
     event ScheduleUpdated(uint256 newStartTime, uint256 newEndTime);
+    event AllowlistUpdated(bytes32 root);
+    event VestingUpdated(uint256 vestingStart, uint256 tgeUnlockBps, uint256 vestingCliff, uint256 vestingDuration);
+    event RoundsUpdated(uint256 count);
+    event FundsWithdrawn(address indexed treasury, uint256 amount);
+    event UnsoldTokensRecovered(address indexed treasury, uint256 amount);
 
     /**
      * @dev Constructor - initializes the IDO pool with payment and IDO token addresses
-     * @param _paymentTokenAddress Address of the ERC-20 token used for payment
+     * @param _paymentTokenAddress Address of the ERC-20 token used for payment, or zero to accept native currency
      * @param _idoTokenAddress Address of the ERC-20 token being sold in the IDO
      */
     constructor(address _paymentTokenAddress, address _idoTokenAddress) Ownable(msg.sender) {
-        require(_paymentTokenAddress != address(0), "Payment token cannot be zero address");
         require(_idoTokenAddress != address(0), "IDO token cannot be zero address");
         
         paymentToken = IERC20(_paymentTokenAddress);
         idoToken = IERC20(_idoTokenAddress);
     }
 
+    /**
+     * @dev Returns whether the pool is paid in native currency instead of an ERC-20 token
+     */
+    function isNativePayment() public view returns (bool) {
+        return address(paymentToken) == address(0);
+    }
+
     /**
      * @dev Sets the parameters for the IDO. Can only be called by the owner.
      * @param _startTime The timestamp when the IDO starts
@@ -116,6 +165,7 @@ contract IDOPool is Ownable, ReentrancyGuard {
         
         idoActive = false;
         idoEnded = true;
+        idoEndedAt = block.timestamp;
         
         // Determine if soft cap was met
         if (totalRaised >= softCap) {
@@ -171,10 +221,108 @@ contract IDOPool is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Triggers a global refund. Can only be called by the owner.
+     * @dev Sets the vesting of the purchased IDO tokens. Can only be called by the owner, before the IDO starts.
+     * @param _vestingStart The TGE time, or 0 for the end of the IDO (a TGE before the end also means the end)
+     * @param _tgeUnlockBps The share unlocked at the TGE, in basis points
+     * @param _vestingCliff Seconds after the TGE before linear vesting starts
+     * @param _vestingDuration Seconds of linear vesting after the cliff, 0 to unlock the rest at the end of the cliff
+     */
+    function setVesting(
+        uint256 _vestingStart,
+        uint256 _tgeUnlockBps,
+        uint256 _vestingCliff,
+        uint256 _vestingDuration
+    ) external onlyOwner {
+        require(!idoActive && !idoEnded, "Vesting can only be changed before the IDO starts");
+        require(_tgeUnlockBps <= BPS, "TGE unlock cannot exceed 100%");
+
+        vestingStart = _vestingStart;
+        tgeUnlockBps = _tgeUnlockBps;
+        vestingCliff = _vestingCliff;
+        vestingDuration = _vestingDuration;
+        emit VestingUpdated(_vestingStart, _tgeUnlockBps, _vestingCliff, _vestingDuration);
+    }
+
+    /**
+     * @dev Replaces the sale rounds. Can only be called by the owner, before the IDO starts. An empty list goes back
+     * to selling at tokenPrice.
+     * @param _rounds The rounds, ordered by start time. A round is open from its start to its end time until its
+     * cap is reached; rounds may overlap, so a later round can take over the moment an earlier one sells out.
+     */
+    function setRounds(Round[] calldata _rounds) external onlyOwner {
+        require(!idoActive && !idoEnded, "Rounds can only be changed before the IDO starts");
+        require(_rounds.length <= MAX_ROUNDS, "Too many rounds");
+
+        delete rounds;
+        for (uint256 i = 0; i < _rounds.length; i++) {
+            require(_rounds[i].price > 0, "Round price must be greater than 0");
+            require(_rounds[i].endTime > _rounds[i].startTime, "Round must end after it starts");
+            require(i == 0 || _rounds[i].startTime >= _rounds[i - 1].startTime, "Rounds must be ordered by start time");
+            rounds.push(_rounds[i]);
+        }
+        emit RoundsUpdated(_rounds.length);
+    }
+
+    /**
+     * @dev Returns the number of sale rounds
+     */
+    function roundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+
+    /**
+     * @dev Returns the round purchases are priced at now: the first one that is open and not sold out
+     * @return found Whether a round is open
+     * @return index The index of that round
+     */
+    function currentRound() public view returns (bool found, uint256 index) {
+        for (uint256 i = 0; i < rounds.length; i++) {
+            if (_roundOpen(i)) return (true, i);
+        }
+        return (false, 0);
+    }
+
+    // Whether a round is within its time window and below its cap
+    function _roundOpen(uint256 _index) internal view returns (bool) {
+        Round storage round = rounds[_index];
+        return block.timestamp >= round.startTime &&
+            block.timestamp < round.endTime &&
+            (round.cap == 0 || roundRaised[_index] < round.cap);
+    }
+
+    /**
+     * @dev Prices a purchase at the open rounds: the current round up to its cap, then any later round that is open too
+     * @param _paymentAmount The amount of payment tokens to spend
+     * @return idoTokens The IDO tokens the purchase buys
+     */
+    function _buyFromRounds(uint256 _paymentAmount) internal returns (uint256 idoTokens) {
+        (bool found, uint256 first) = currentRound();
+        require(found, "No open round");
+
+        uint256 remaining = _paymentAmount;
+        for (uint256 i = first; i < rounds.length && remaining > 0; i++) {
+            if (!_roundOpen(i)) continue;
+            Round storage round = rounds[i];
+            uint256 amount = remaining;
+            if (round.cap != 0 && round.cap - roundRaised[i] < amount) {
+                amount = round.cap - roundRaised[i];
+            }
+            roundRaised[i] += amount;
+            idoTokens += amount / round.price;
+            remaining -= amount;
+        }
+        require(remaining == 0, "Purchase exceeds round capacity");
+    }
+
+    /**
+     * @dev Triggers a global refund. Can only be called by the owner, and only before any IDO tokens
+     * are claimed: a participant who claimed part of their tokens can no longer be refunded, so a refund
+     * would lock the rest of their tokens in the pool.
      */
     function triggerGlobalRefund() external onlyOwner {
         require(!refundGloballyEnabled, "Global refund already active");
+        require(!fundsWithdrawn, "Funds already withdrawn");
+        require(totalClaimedIDOTokens == 0, "IDO tokens already claimed");
         
         refundGloballyEnabled = true;
         
@@ -182,6 +330,7 @@ contract IDOPool is Ownable, ReentrancyGuard {
         if (idoActive) {
             idoActive = false;
             idoEnded = true;
+            idoEndedAt = block.timestamp;
             emit IDOEnded(block.timestamp, totalRaised, false);
         }
         
@@ -199,28 +348,240 @@ contract IDOPool is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Allows users to buy IDO tokens using payment tokens
+     * @dev Returns the payment tokens the treasury can withdraw: everything raised and not refunded, until withdrawn
+     */
+    function withdrawableFunds() public view returns (uint256) {
+        return fundsWithdrawn ? 0 : totalRaised - totalRefunded;
+    }
+
+    /**
+     * @dev Returns the IDO tokens the pool holds beyond what it owes to participants
+     */
+    function unsoldIDOTokens() public view returns (uint256) {
+        uint256 reserved = totalOwedIDOTokens;
+        // With a single token for both sides, the raised funds are part of the same balance
+        if (address(idoToken) == address(paymentToken)) {
+            reserved += withdrawableFunds();
+        }
+        uint256 balance = idoToken.balanceOf(address(this));
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     * @dev Sends the raised funds to the treasury. Can only be called by the owner, once, after a successful IDO
+     * and while refunds are disabled; refunds cannot be triggered afterwards. What is left after refunds must
+     * still meet the soft cap, so a refund that was disabled again cannot turn a failed raise into a withdrawal.
+     * @param _treasury The address receiving the funds
+     */
+    function withdrawFunds(address _treasury) external onlyOwner nonReentrant {
+        require(_treasury != address(0), "Treasury cannot be zero address");
+        require(idoEnded, "IDO not ended");
+        require(totalRaised >= softCap, "Soft cap not met");
+        require(totalRaised - totalRefunded >= softCap, "Refunds took the raise below the soft cap");
+        require(!refundGloballyEnabled, "Refunds are active, cannot withdraw");
+        require(!fundsWithdrawn, "Funds already withdrawn");
+
+        uint256 amount = withdrawableFunds();
+        require(amount > 0, "No funds to withdraw");
+
+        fundsWithdrawn = true;
+        _sendPayment(_treasury, amount);
+
+        emit FundsWithdrawn(_treasury, amount);
+    }
+
+    /**
+     * @dev Sends the IDO tokens nobody bought to the treasury. Can only be called by the owner, after a successful
+     * IDO and while refunds are disabled. The tokens still owed to participants stay in the pool. As for
+     * withdrawFunds, what is left after refunds must still meet the soft cap.
+     * @param _treasury The address receiving the tokens
+     */
+    function recoverUnsoldTokens(address _treasury) external onlyOwner nonReentrant {
+        require(_treasury != address(0), "Treasury cannot be zero address");
+        require(idoEnded, "IDO not ended");
+        require(totalRaised >= softCap, "Soft cap not met");
+        require(totalRaised - totalRefunded >= softCap, "Refunds took the raise below the soft cap");
+        require(!refundGloballyEnabled, "Refunds are active, cannot withdraw");
+
+        uint256 amount = unsoldIDOTokens();
+        require(amount > 0, "No unsold tokens to recover");
+
+        idoToken.safeTransfer(_treasury, amount);
+
+        emit UnsoldTokensRecovered(_treasury, amount);
+    }
+
+    /**
+     * @dev Sets the allowlist Merkle root. Can only be called by the owner, before the IDO ends.
+     * Setting it to zero opens the sale to everyone again.
+     * @param _root The Merkle root of the allowlist
+     */
+    function setAllowlist(bytes32 _root) external onlyOwner {
+        require(!idoEnded, "IDO already ended");
+        allowlistRoot = _root;
+        emit AllowlistUpdated(_root);
+    }
+
+    /**
+     * @dev Checks that an address and its limits are in the allowlist
+     * @param _account The address to check
+     * @param _minContribution The address's minimum total contribution
+     * @param _maxContribution The address's maximum total contribution
+     * @param _proof The Merkle proof of the (address, minContribution, maxContribution) leaf
+     */
+    function isAllowlisted(
+        address _account,
+        uint256 _minContribution,
+        uint256 _maxContribution,
+        bytes32[] calldata _proof
+    ) public view returns (bool) {
+        // Leaves are hashed twice, as in OpenZeppelin's StandardMerkleTree, so no leaf can pass for an inner node
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_account, _minContribution, _maxContribution))));
+        return MerkleProof.verifyCalldata(_proof, allowlistRoot, leaf);
+    }
+
+    /**
+     * @dev Allows users to buy IDO tokens using payment tokens. Only available while there is no allowlist.
      * @param _paymentAmount The amount of payment tokens to spend
      */
     function buyTokens(uint256 _paymentAmount) external nonReentrant {
+        require(allowlistRoot == bytes32(0), "Allowlist proof required");
+        _buyTokens(_paymentAmount);
+    }
+
+    /**
+     * @dev Allows users to buy IDO tokens with an EIP-2612 permit instead of a separate approval.
+     * Only works if the payment token implements ERC20Permit, and while there is no allowlist.
+     * @param _paymentAmount The amount of payment tokens to spend
+     * @param _deadline The permit deadline
+     * @param _v The v component of the permit signature
+     * @param _r The r component of the permit signature
+     * @param _s The s component of the permit signature
+     */
+    function buyTokensWithPermit(
+        uint256 _paymentAmount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        require(allowlistRoot == bytes32(0), "Allowlist proof required");
+        _permit(_paymentAmount, _deadline, _v, _r, _s);
+        _buyTokens(_paymentAmount);
+    }
+
+    /**
+     * @dev Allows allowlisted users to buy IDO tokens within their contribution limits
+     * @param _paymentAmount The amount of payment tokens to spend
+     * @param _allocation The buyer's limits and allowlist proof
+     */
+    function buyTokensAllowlisted(uint256 _paymentAmount, Allocation calldata _allocation) external nonReentrant {
+        _checkAllocation(_paymentAmount, _allocation);
+        _buyTokens(_paymentAmount);
+    }
+
+    /**
+     * @dev Allows allowlisted users to buy IDO tokens within their contribution limits, with an EIP-2612 permit
+     * @param _paymentAmount The amount of payment tokens to spend
+     * @param _allocation The buyer's limits and allowlist proof
+     * @param _deadline The permit deadline
+     * @param _v The v component of the permit signature
+     * @param _r The r component of the permit signature
+     * @param _s The s component of the permit signature
+     */
+    function buyTokensAllowlistedWithPermit(
+        uint256 _paymentAmount,
+        Allocation calldata _allocation,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        _checkAllocation(_paymentAmount, _allocation);
+        _permit(_paymentAmount, _deadline, _v, _r, _s);
+        _buyTokens(_paymentAmount);
+    }
+
+    /**
+     * @dev Allows users to buy IDO tokens with native currency, the amount sent being the payment.
+     * Only available in a native-currency pool while there is no allowlist.
+     */
+    function buyTokensNative() external payable nonReentrant {
+        require(isNativePayment(), "Pool does not accept native currency");
+        require(allowlistRoot == bytes32(0), "Allowlist proof required");
+        _buyTokens(msg.value);
+    }
+
+    /**
+     * @dev Allows allowlisted users to buy IDO tokens with native currency within their contribution limits
+     * @param _allocation The buyer's limits and allowlist proof
+     */
+    function buyTokensAllowlistedNative(Allocation calldata _allocation) external payable nonReentrant {
+        require(isNativePayment(), "Pool does not accept native currency");
+        _checkAllocation(msg.value, _allocation);
+        _buyTokens(msg.value);
+    }
+
+    /**
+     * @dev Checks a purchase against the buyer's allowlist entry. Passes while there is no allowlist.
+     * @param _paymentAmount The amount of payment tokens to spend
+     * @param _allocation The buyer's limits and allowlist proof
+     */
+    function _checkAllocation(uint256 _paymentAmount, Allocation calldata _allocation) internal view {
+        if (allowlistRoot == bytes32(0)) return;
+        require(
+            isAllowlisted(msg.sender, _allocation.minContribution, _allocation.maxContribution, _allocation.proof),
+            "Not on the allowlist"
+        );
+
+        uint256 newContribution = userContributedPaymentAmount[msg.sender] + _paymentAmount;
+        require(newContribution >= _allocation.minContribution, "Below minimum contribution");
+        require(
+            _allocation.maxContribution == 0 || newContribution <= _allocation.maxContribution,
+            "Exceeds maximum contribution"
+        );
+    }
+
+    /**
+     * @dev Applies an EIP-2612 permit for the payment
+     */
+    function _permit(uint256 _paymentAmount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        require(!isNativePayment(), "Pool only accepts native currency");
+        // A permit can be front-run by anyone who sees it in the mempool, so a failed permit
+        // is ignored and the transfer relies on the allowance being in place
+        try IERC20Permit(address(paymentToken)).permit(msg.sender, address(this), _paymentAmount, _deadline, _v, _r, _s) {
+        } catch {}
+    }
+
+    /**
+     * @dev Records a purchase and collects the payment from the buyer
+     * @param _paymentAmount The amount of payment tokens to spend
+     */
+    function _buyTokens(uint256 _paymentAmount) internal {
         require(idoActive, "IDO is not active");
         require(block.timestamp >= startTime && block.timestamp < endTime, "IDO is not in progress");
         require(_paymentAmount > 0, "Payment amount must be greater than 0");
         require(totalRaised + _paymentAmount <= hardCap, "Purchase exceeds hard cap");
         
         // Calculate the number of IDO tokens to be received
-        uint256 idoTokensToBuy = _paymentAmount / tokenPrice;
+        uint256 idoTokensToBuy = rounds.length > 0 ? _buyFromRounds(_paymentAmount) : _paymentAmount / tokenPrice;
         require(idoTokensToBuy > 0, "Payment amount too small");
         
         // Update user's contribution
         userContributedPaymentAmount[msg.sender] += _paymentAmount;
         userOwedIDOTokens[msg.sender] += idoTokensToBuy;
         
-        // Update total raised
+        // Update totals
         totalRaised += _paymentAmount;
+        totalOwedIDOTokens += idoTokensToBuy;
         
-        // Transfer payment tokens from user to contract
-        paymentToken.safeTransferFrom(msg.sender, address(this), _paymentAmount);
+        // Collect the payment: the native entry points already received it with the call
+        if (isNativePayment()) {
+            // The ERC-20 entry points are not payable, so they arrive here without any value
+            require(msg.value == _paymentAmount, "Pool only accepts native currency");
+        } else {
+            paymentToken.safeTransferFrom(msg.sender, address(this), _paymentAmount);
+        }
         
         emit TokensPurchased(msg.sender, _paymentAmount, idoTokensToBuy);
     }
@@ -230,7 +591,8 @@ contract IDOPool is Ownable, ReentrancyGuard {
      */
     function claimRefundUser() external nonReentrant {
         require(!userHasRefunded[msg.sender], "Already refunded");
-        require(!userHasClaimedIDOTokens[msg.sender], "Tokens already claimed");
+        // A partial claim already paid out part of the contribution in IDO tokens
+        require(userClaimedIDOTokens[msg.sender] == 0, "Tokens already claimed");
         
         uint256 paymentToRefund = userContributedPaymentAmount[msg.sender];
         require(paymentToRefund > 0, "No contribution to refund");
@@ -247,41 +609,91 @@ contract IDOPool is Ownable, ReentrancyGuard {
         uint256 refundAmount = paymentToRefund;
         
         // Clear contribution records
+        totalRefunded += refundAmount;
+        totalOwedIDOTokens -= userOwedIDOTokens[msg.sender];
         userContributedPaymentAmount[msg.sender] = 0;
         userOwedIDOTokens[msg.sender] = 0;
         
-        // Transfer payment tokens back to user
-        paymentToken.safeTransfer(msg.sender, refundAmount);
+        // Transfer the payment back to the user
+        _sendPayment(msg.sender, refundAmount);
         
         emit RefundClaimed(msg.sender, refundAmount);
     }
 
     /**
-     * @dev Allows users to claim their IDO tokens after a successful IDO
+     * @dev Sends payment tokens, or native currency in a native-currency pool
+     * @param _to The recipient
+     * @param _amount The amount to send
+     */
+    function _sendPayment(address _to, uint256 _amount) internal {
+        if (isNativePayment()) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            require(sent, "Native currency transfer failed");
+        } else {
+            paymentToken.safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Returns the TGE time: the vesting start, or the IDO end if that is later. Zero before the IDO ends.
+     */
+    function tgeTime() public view returns (uint256) {
+        if (!idoEnded) return 0;
+        return vestingStart > idoEndedAt ? vestingStart : idoEndedAt;
+    }
+
+    /**
+     * @dev Returns how many of a user's purchased IDO tokens have vested, claimed or not
+     * @param _user The user address
+     */
+    function vestedIDOTokens(address _user) public view returns (uint256) {
+        uint256 total = userOwedIDOTokens[_user] + userClaimedIDOTokens[_user];
+        uint256 tge = tgeTime();
+        if (tge == 0 || block.timestamp < tge) return 0;
+
+        uint256 unlockedAtTge = (total * tgeUnlockBps) / BPS;
+        uint256 cliffEnd = tge + vestingCliff;
+        if (block.timestamp < cliffEnd) return unlockedAtTge;
+        if (block.timestamp >= cliffEnd + vestingDuration) return total;
+        return unlockedAtTge + ((total - unlockedAtTge) * (block.timestamp - cliffEnd)) / vestingDuration;
+    }
+
+    /**
+     * @dev Returns how many IDO tokens a user can claim now
+     * @param _user The user address
+     */
+    function claimableIDOTokens(address _user) external view returns (uint256) {
+        if (userHasRefunded[_user] || totalRaised < softCap || refundGloballyEnabled) return 0;
+        return vestedIDOTokens(_user) - userClaimedIDOTokens[_user];
+    }
+
+    /**
+     * @dev Allows users to claim the IDO tokens vested so far after a successful IDO
      */
     function claimIDOTokens() external nonReentrant {
         require(!userHasClaimedIDOTokens[msg.sender], "Tokens already claimed");
         require(!userHasRefunded[msg.sender], "Contribution was refunded");
-        
-        uint256 tokensToClaim = userOwedIDOTokens[msg.sender];
-        require(tokensToClaim > 0, "No IDO tokens to claim");
+        require(userOwedIDOTokens[msg.sender] > 0, "No IDO tokens to claim");
         
         require(idoEnded, "IDO not ended");
         require(totalRaised >= softCap, "Soft cap not met");
         require(!refundGloballyEnabled, "Refunds are active, cannot claim tokens");
         
-        // Update user's claim status first
-        userHasClaimedIDOTokens[msg.sender] = true;
-        
-        // Store the claim amount before clearing
-        uint256 claimAmount = tokensToClaim;
+        uint256 claimAmount = vestedIDOTokens(msg.sender) - userClaimedIDOTokens[msg.sender];
+        require(claimAmount > 0, "No vested tokens to claim yet");
         
-        // Clear owed tokens record
-        userOwedIDOTokens[msg.sender] = 0;
+        // Move the claim from owed to claimed first
+        userOwedIDOTokens[msg.sender] -= claimAmount;
+        userClaimedIDOTokens[msg.sender] += claimAmount;
+        totalOwedIDOTokens -= claimAmount;
+        totalClaimedIDOTokens += claimAmount;
+        if (userOwedIDOTokens[msg.sender] == 0) {
+            userHasClaimedIDOTokens[msg.sender] = true;
+        }
         
         // Transfer IDO tokens to user
         idoToken.safeTransfer(msg.sender, claimAmount);
         
         emit IDOTokensClaimed(msg.sender, claimAmount);
     }
-} 
\ No newline at end of file
+}
@@ -2,19 +2,20 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title MockToken
- * @dev A simple ERC20 Token mock for testing purposes
+ * @dev A simple ERC20 Token mock for testing purposes, with EIP-2612 permit support
  */
-contract MockToken is ERC20, Ownable {
+contract MockToken is ERC20, ERC20Permit, Ownable {
     /**
      * @dev Constructor that gives the msg.sender all of the initial supply.
      * @param name Name of the token
      * @param symbol Symbol of the token
      */
-    constructor(string memory name, string memory symbol) ERC20(name, symbol) Ownable(msg.sender) {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {
         // No initial supply, tokens will be minted as needed
     }
 
@@ -1,18 +1,100 @@
-import React, { useState, useEffect } from 'react';
+/* global BigInt */
+import React, { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import IDOPoolABI from './abis/IDOPool.json';
 import ERC20ABI from './abis/ERC20.json';
+import { loadAllowlist, loadPoolConfig, switchChain } from './config';
+import AdminConsole from './components/AdminConsole';
+import AddressLookup from './components/AddressLookup';
+import AllocationInfo from './components/AllocationInfo';
+import FinalizeSale from './components/FinalizeSale';
+import ActivityPanel from './components/ActivityPanel';
+import RaiseChart from './components/RaiseChart';
+import RoundTimeline from './components/RoundTimeline';
+import VestingTimeline from './components/VestingTimeline';
+import { multicall } from './utils/multicall';
+import {
+  DEFAULT_TOKEN_METADATA,
+  fetchTokenMetadata,
+  formatTokenAmount,
+  formatTokenPrice,
+  maxPurchase,
+  nativeCurrencyMetadata,
+  parseTokenAmount,
+  percentOf,
+  previewPurchase,
+  spendableBalance
+} from './utils/tokenMath';
+import { PERMIT_VALIDITY, fetchPermitDomain, signPermit } from './utils/permit';
+import { allocationFor, checkAllocation, isAllowlistActive, remainingAllocation } from './utils/allowlist';
+import {
+  SimulationError,
+  explainRevert,
+  isUserRejection,
+  predictPurchaseRevert,
+  simulateTransaction
+} from './utils/revertReasons';
+import { describeCountdown, fetchChainTime, formatDuration } from './utils/time';
+import { getPoolStatus } from './shared/poolStatus';
+import { vestingPosition } from './shared/vesting';
+import { currentRound } from './shared/rounds';
+import useTransactionQueue from './hooks/useTransactionQueue';
+import TransactionQueue from './components/TransactionQueue';
+import WalletMenu from './components/WalletMenu';
+import useWallet from './hooks/useWallet';
+import useBlockClock from './hooks/useBlockClock';
 import './App.css';
 
+// Every event emitted by the pool triggers a refresh of the displayed state
+const POOL_EVENTS = IDOPoolABI.filter((item) => item.type === 'event').map((item) => item.name);
+
+// Fallback refresh interval in case an event is missed (e.g. after the node drops a filter)
+const FALLBACK_POLL_INTERVAL = 60000;
+
+// Descriptions of pool transactions shown in the transaction queue
+const TX_LABELS = {
+  buyTokens: 'Buy tokens',
+  buyTokensWithPermit: 'Buy tokens with permit',
+  buyTokensAllowlisted: 'Buy tokens',
+  buyTokensAllowlistedWithPermit: 'Buy tokens with permit',
+  buyTokensNative: 'Buy tokens',
+  buyTokensAllowlistedNative: 'Buy tokens',
+  claimRefundUser: 'Claim refund',
+  claimIDOTokens: 'Claim IDO tokens',
+  setIDOParameters: 'Set IDO parameters',
+  updateTokenPrice: 'Update token price',
+  updateCaps: 'Update caps',
+  updateSchedule: 'Update schedule',
+  setVesting: 'Set vesting',
+  startIDO: 'Start IDO',
+  endIDO: 'End IDO',
+  triggerGlobalRefund: 'Trigger global refund',
+  disableGlobalRefund: 'Disable global refund',
+  withdrawFunds: 'Withdraw raised funds',
+  recoverUnsoldTokens: 'Recover unsold tokens',
+  setRounds: 'Set sale rounds'
+};
+
+// How the pool is allowed to spend the payment token before a purchase
+const APPROVAL_MODES = {
+  EXACT: 'exact',
+  UNLIMITED: 'unlimited',
+  PERMIT: 'permit'
+};
+
+const APPROVAL_MODE_KEY = 'ido-pool:approval-mode';
+
+// How long before the current round ends the buy form warns that the price is about to change, in seconds
+const ROUND_ENDING_NOTICE = 600;
+
+// Allowances this large are shown as unlimited
+const UNLIMITED_ALLOWANCE_THRESHOLD = ethers.constants.MaxUint256.div(2);
+
 function App() {
   // State variables
-  const [provider, setProvider] = useState(null);
-  const [signer, setSigner] = useState(null);
-  const [account, setAccount] = useState(null);
   const [idoPool, setIdoPool] = useState(null);
   const [paymentToken, setPaymentToken] = useState(null);
   const [idoToken, setIdoToken] = useState(null);
-  const [idoStatus, setIdoStatus] = useState('Not Started');
   const [idoInfo, setIdoInfo] = useState({
     startTime: 0,
     endTime: 0,
@@ -22,86 +104,146 @@ function App() {
     totalRaised: 0,
     idoActive: false,
     idoEnded: false,
-    refundEnabled: false
+    refundEnabled: false,
+    allowlistRoot: ethers.constants.HashZero,
+    idoEndedAt: 0,
+    vestingStart: 0,
+    tgeUnlockBps: 10000,
+    vestingCliff: 0,
+    vestingDuration: 0,
+    fundsWithdrawn: false,
+    withdrawableFunds: 0,
+    unsoldTokens: 0,
+    totalRefunded: 0,
+    totalOwedIDOTokens: 0,
+    totalClaimedIDOTokens: 0,
+    rounds: []
   });
   const [userInfo, setUserInfo] = useState({
     contributedAmount: 0,
     owedTokens: 0,
+    claimedTokens: 0,
     paymentTokenBalance: 0,
     idoTokenBalance: 0,
+    allowance: 0,
     hasRefunded: false,
     hasClaimedTokens: false
   });
+  const [tokens, setTokens] = useState({
+    payment: DEFAULT_TOKEN_METADATA,
+    ido: DEFAULT_TOKEN_METADATA
+  });
   const [paymentAmount, setPaymentAmount] = useState('');
-  const [idoTokensToReceive, setIdoTokensToReceive] = useState(0);
+  const [approvalMode, setApprovalMode] = useState(
+    () => localStorage.getItem(APPROVAL_MODE_KEY) || APPROVAL_MODES.EXACT
+  );
+  const [permitDomain, setPermitDomain] = useState(null);
+  const [allowlist, setAllowlist] = useState(null);
+  const [allowlistError, setAllowlistError] = useState('');
+  // A remembered permit preference falls back to an exact approval for tokens without EIP-2612
+  const activeApprovalMode = approvalMode === APPROVAL_MODES.PERMIT && !permitDomain
+    ? APPROVAL_MODES.EXACT
+    : approvalMode;
   const [isOwner, setIsOwner] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [txHash, setTxHash] = useState('');
-  const [countdown, setCountdown] = useState('');
-
-  // Contract addresses
-  const idoPoolAddress = '0x7c33fE2D2744Afe0eb0e59577156f512d7E206DF'; 
-  const paymentTokenAddress = '0x0188F4043223fa10961CE1987ABfEE47690092D8';
-  const idoTokenAddress = '0x0188F4043223fa10961CE1987ABfEE47690092D8';
+  const [poolConfig, setPoolConfig] = useState(null);
+  const [wrongNetwork, setWrongNetwork] = useState(false);
+  const wallet = useWallet(poolConfig);
+  const { account } = wallet;
+  // Chain time, so the phase and countdown match what the contract will accept
+  const { now } = useBlockClock(idoPool && idoPool.provider);
+  const { transactions, track, dismiss } = useTransactionQueue(
+    poolConfig && poolConfig.chainId,
+    idoPool && idoPool.provider
+  );
 
-  // Connect to wallet
-  async function connectWallet() {
+  // Connect to the chosen wallet; the contracts are rebuilt once it reports its account and chain
+  async function connectWallet(walletId) {
     try {
       setLoading(true);
       setError('');
-      
-      if (!window.ethereum) {
-        throw new Error('MetaMask is not installed. Please install it to use this app.');
-      }
-
-      await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      const account = await signer.getAddress();
-      
-      // Initialize contract instances
-      const idoPool = new ethers.Contract(idoPoolAddress, IDOPoolABI, signer);
-      const paymentToken = new ethers.Contract(paymentTokenAddress, ERC20ABI, signer);
-      const idoToken = new ethers.Contract(idoTokenAddress, ERC20ABI, signer);
-      
-      setProvider(provider);
-      setSigner(signer);
-      setAccount(account);
-      setIdoPool(idoPool);
-      setPaymentToken(paymentToken);
-      setIdoToken(idoToken);
-      
-      // Check if user is owner
-      const owner = await idoPool.owner();
-      setIsOwner(owner.toLowerCase() === account.toLowerCase());
-      
-      // Get IDO info and user info
-      await fetchIdoInfo();
-      await fetchUserInfo(account);
-      
-      setLoading(false);
+      await wallet.connect(walletId);
     } catch (error) {
-      console.error(error);
+      console.error('Error connecting wallet:', error);
       setError(error.message);
+    } finally {
       setLoading(false);
     }
   }
 
+  // Disconnect the wallet; the dApp falls back to the wallet choice
+  async function disconnectWallet() {
+    try {
+      await wallet.disconnect();
+    } catch (error) {
+      console.error('Error disconnecting wallet:', error);
+    }
+  }
+
   // Fetch IDO information
-  async function fetchIdoInfo() {
+  const fetchIdoInfo = useCallback(async () => {
     if (!idoPool) return;
     
     try {
-      const startTime = await idoPool.startTime();
-      const endTime = await idoPool.endTime();
-      const tokenPrice = await idoPool.tokenPrice();
-      const softCap = await idoPool.softCap();
-      const hardCap = await idoPool.hardCap();
-      const totalRaised = await idoPool.totalRaised();
-      const idoActive = await idoPool.idoActive();
-      const idoEnded = await idoPool.idoEnded();
-      const refundEnabled = await idoPool.refundGloballyEnabled();
+      const [
+        startTime,
+        endTime,
+        tokenPrice,
+        softCap,
+        hardCap,
+        totalRaised,
+        idoActive,
+        idoEnded,
+        refundEnabled,
+        allowlistRoot,
+        idoEndedAt,
+        vestingStart,
+        tgeUnlockBps,
+        vestingCliff,
+        vestingDuration,
+        fundsWithdrawn,
+        withdrawableFunds,
+        unsoldTokens,
+        totalRefunded,
+        totalOwedIDOTokens,
+        totalClaimedIDOTokens,
+        roundCount
+      ] = await multicall(idoPool.provider, [
+        { contract: idoPool, method: 'startTime' },
+        { contract: idoPool, method: 'endTime' },
+        { contract: idoPool, method: 'tokenPrice' },
+        { contract: idoPool, method: 'softCap' },
+        { contract: idoPool, method: 'hardCap' },
+        { contract: idoPool, method: 'totalRaised' },
+        { contract: idoPool, method: 'idoActive' },
+        { contract: idoPool, method: 'idoEnded' },
+        { contract: idoPool, method: 'refundGloballyEnabled' },
+        { contract: idoPool, method: 'allowlistRoot' },
+        { contract: idoPool, method: 'idoEndedAt' },
+        { contract: idoPool, method: 'vestingStart' },
+        { contract: idoPool, method: 'tgeUnlockBps' },
+        { contract: idoPool, method: 'vestingCliff' },
+        { contract: idoPool, method: 'vestingDuration' },
+        { contract: idoPool, method: 'fundsWithdrawn' },
+        { contract: idoPool, method: 'withdrawableFunds' },
+        { contract: idoPool, method: 'unsoldIDOTokens' },
+        { contract: idoPool, method: 'totalRefunded' },
+        { contract: idoPool, method: 'totalOwedIDOTokens' },
+        { contract: idoPool, method: 'totalClaimedIDOTokens' },
+        { contract: idoPool, method: 'roundCount' }
+      ], poolConfig.multicall);
+
+      // Each round and what it has raised so far, in one more request
+      const indexes = [...Array(roundCount.toNumber()).keys()];
+      const roundResults = indexes.length === 0 ? [] : await multicall(idoPool.provider, indexes.flatMap((i) => [
+        { contract: idoPool, method: 'rounds', args: [i] },
+        { contract: idoPool, method: 'roundRaised', args: [i] }
+      ]), poolConfig.multicall);
+      const rounds = indexes.map((i) => {
+        const { name, startTime, endTime, price, cap } = roundResults[2 * i];
+        return { name, startTime, endTime, price, cap, raised: roundResults[2 * i + 1] };
+      });
       
       setIdoInfo({
         startTime,
@@ -112,442 +254,808 @@ function App() {
         totalRaised,
         idoActive,
         idoEnded,
-        refundEnabled
+        refundEnabled,
+        allowlistRoot,
+        idoEndedAt,
+        vestingStart,
+        tgeUnlockBps,
+        vestingCliff,
+        vestingDuration,
+        fundsWithdrawn,
+        withdrawableFunds,
+        unsoldTokens,
+        totalRefunded,
+        totalOwedIDOTokens,
+        totalClaimedIDOTokens,
+        rounds
       });
-      
-      // Set IDO status
-      if (idoActive) {
-        setIdoStatus('Active');
-      } else if (idoEnded) {
-        if (totalRaised.gte(softCap)) {
-          setIdoStatus('Ended - Successful');
-        } else {
-          setIdoStatus('Ended - Failed');
-        }
-      } else if (refundEnabled) {
-        setIdoStatus('Refunds Active');
-      } else {
-        setIdoStatus('Not Started');
-      }
-      
-      // Update countdown
-      updateCountdown(startTime, endTime, idoActive, idoEnded);
     } catch (error) {
       console.error('Error fetching IDO info:', error);
     }
-  }
-
-  // Update countdown timer
-  function updateCountdown(startTime, endTime, idoActive, idoEnded) {
-    const now = Math.floor(Date.now() / 1000);
-    let timeLeft;
-    let label;
-    
-    if (!idoActive && !idoEnded && startTime > now) {
-      // Countdown to start
-      timeLeft = startTime - now;
-      label = 'Starts in: ';
-    } else if (idoActive && !idoEnded && endTime > now) {
-      // Countdown to end
-      timeLeft = endTime - now;
-      label = 'Ends in: ';
-    } else {
-      setCountdown('');
-      return;
-    }
-    
-    const days = Math.floor(timeLeft / 86400);
-    const hours = Math.floor((timeLeft % 86400) / 3600);
-    const minutes = Math.floor((timeLeft % 3600) / 60);
-    const seconds = timeLeft % 60;
-    
-    setCountdown(`${label}${days}d ${hours}h ${minutes}m ${seconds}s`);
-  }
+  }, [idoPool, poolConfig]);
 
   // Fetch user information
-  async function fetchUserInfo(userAddress) {
-    if (!idoPool || !paymentToken || !idoToken) return;
+  const fetchUserInfo = useCallback(async (userAddress) => {
+    if (!idoPool || !idoToken) return;
     
     try {
-      const contributedAmount = await idoPool.userContributedPaymentAmount(userAddress);
-      const owedTokens = await idoPool.userOwedIDOTokens(userAddress);
-      const paymentTokenBalance = await paymentToken.balanceOf(userAddress);
-      const idoTokenBalance = await idoToken.balanceOf(userAddress);
-      const hasRefunded = await idoPool.userHasRefunded(userAddress);
-      const hasClaimedTokens = await idoPool.userHasClaimedIDOTokens(userAddress);
+      // A pool paid in native currency spends the wallet's own balance, with nothing to approve
+      const paymentCalls = paymentToken
+        ? [
+            { contract: paymentToken, method: 'balanceOf', args: [userAddress] },
+            { contract: paymentToken, method: 'allowance', args: [userAddress, idoPool.address] }
+          ]
+        : [];
+      const [results, nativeBalance] = await Promise.all([
+        multicall(idoPool.provider, [
+          { contract: idoPool, method: 'userContributedPaymentAmount', args: [userAddress] },
+          { contract: idoPool, method: 'userOwedIDOTokens', args: [userAddress] },
+          { contract: idoPool, method: 'userClaimedIDOTokens', args: [userAddress] },
+          { contract: idoToken, method: 'balanceOf', args: [userAddress] },
+          { contract: idoPool, method: 'userHasRefunded', args: [userAddress] },
+          { contract: idoPool, method: 'userHasClaimedIDOTokens', args: [userAddress] },
+          ...paymentCalls
+        ], poolConfig.multicall),
+        paymentToken ? null : idoPool.provider.getBalance(userAddress)
+      ]);
+      const [
+        contributedAmount,
+        owedTokens,
+        claimedTokens,
+        idoTokenBalance,
+        hasRefunded,
+        hasClaimedTokens,
+        paymentTokenBalance = nativeBalance,
+        allowance = ethers.constants.Zero
+      ] = results;
       
       setUserInfo({
         contributedAmount,
         owedTokens,
+        claimedTokens,
         paymentTokenBalance,
         idoTokenBalance,
+        allowance,
         hasRefunded,
         hasClaimedTokens
       });
     } catch (error) {
       console.error('Error fetching user info:', error);
     }
+  }, [idoPool, paymentToken, idoToken, poolConfig]);
+
+  // Current state used to explain why a transaction would revert
+  async function getRevertContext() {
+    return {
+      idoInfo,
+      userInfo,
+      tokens,
+      allocation: allocationFor(allowlist, account),
+      now: await fetchChainTime(idoPool.provider)
+    };
   }
 
-  // Calculate IDO tokens based on payment amount
-  function calculateTokens(amount) {
-    if (!amount || !idoInfo.tokenPrice || idoInfo.tokenPrice.eq(0)) return 0;
-    
-    try {
-      const paymentAmountBN = ethers.utils.parseEther(amount);
-      return paymentAmountBN.div(idoInfo.tokenPrice);
-    } catch (error) {
-      console.error('Error calculating tokens:', error);
-      return 0;
+  // Simulate a pool transaction, then send it with the estimated gas limit and track it
+  async function sendPoolTransaction(method, args = [], label = TX_LABELS[method], overrides = {}) {
+    const gasLimit = await simulateTransaction(idoPool, method, args, getRevertContext, overrides);
+    const tx = await idoPool[method](...args, { ...overrides, gasLimit });
+    return track(tx, label);
+  }
+
+  // Converts a failed action into a message for the user
+  function describeError(error) {
+    if (isUserRejection(error)) {
+      return 'Transaction was rejected in the wallet.';
     }
+    return error.message;
   }
 
   // Handle payment amount input change
   function handlePaymentAmountChange(e) {
-    const value = e.target.value;
-    setPaymentAmount(value);
-    setIdoTokensToReceive(calculateTokens(value));
+    setPaymentAmount(e.target.value);
+  }
+
+  // Fill in the largest amount the pool would accept from this wallet
+  function fillMaxAmount() {
+    const allocationLeft = remainingAllocation(allocationFor(allowlist, account), userInfo.contributedAmount);
+    const max = maxPurchase(spendableBalance(userInfo.paymentTokenBalance, tokens.payment), idoInfo, allocationLeft, now);
+    setPaymentAmount(formatTokenAmount(max, tokens.payment));
+  }
+
+  // Handle approval mode change, remembered for the next visit
+  function handleApprovalModeChange(e) {
+    setApprovalMode(e.target.value);
+    localStorage.setItem(APPROVAL_MODE_KEY, e.target.value);
   }
 
   // Buy tokens
   async function buyTokens() {
-    if (!idoPool || !paymentToken) return;
+    if (!idoPool) return;
     
     try {
       setLoading(true);
       setError('');
       
-      // Check IDO is active
-      if (!idoInfo.idoActive) {
-        throw new Error('IDO is not active');
+      const paymentAmountBN = parseTokenAmount(paymentAmount, tokens.payment);
+      if (!paymentAmountBN) {
+        throw new Error('Enter a valid payment amount');
       }
       
-      const paymentAmountBN = ethers.utils.parseEther(paymentAmount);
-      
-      // Check allowance
-      const allowance = await paymentToken.allowance(account, idoPoolAddress);
-      if (allowance.lt(paymentAmountBN)) {
-        // Approve payment token spending
-        const approveTx = await paymentToken.approve(idoPoolAddress, paymentAmountBN);
-        await approveTx.wait();
+      // Catch a purchase that would revert before asking for an approval, including one outside the
+      // wallet's allowlist allocation
+      const context = await getRevertContext();
+      const { allocation } = context;
+      const reason = predictPurchaseRevert(paymentAmountBN, idoInfo, context.now, {
+        contributedAmount: userInfo.contributedAmount,
+        allocation
+      });
+      if (reason) {
+        throw new SimulationError(reason, explainRevert(reason, context));
       }
       
-      // Buy tokens
-      const tx = await idoPool.buyTokens(paymentAmountBN);
-      setTxHash(tx.hash);
-      await tx.wait();
+      const label = `Buy tokens for ${paymentAmount} ${tokens.payment.symbol}`;
+      const allowlisted = isAllowlistActive(idoInfo.allowlistRoot);
+      
+      // Check allowance; native currency is sent with the purchase itself, so it needs none
+      const allowance = paymentToken ? await paymentToken.allowance(account, idoPool.address) : null;
+      if (!paymentToken) {
+        if (paymentAmountBN.gt(userInfo.paymentTokenBalance)) {
+          throw new Error(`Your ${tokens.payment.symbol} balance is too low for this purchase.`);
+        }
+        const overrides = { value: paymentAmountBN };
+        if (allowlisted) {
+          await sendPoolTransaction('buyTokensAllowlistedNative', [allocation], label, overrides);
+        } else {
+          await sendPoolTransaction('buyTokensNative', [], label, overrides);
+        }
+      } else if (allowance.lt(paymentAmountBN) && activeApprovalMode === APPROVAL_MODES.PERMIT) {
+        // Sign a permit and buy in a single transaction
+        const deadline = context.now + PERMIT_VALIDITY;
+        const { v, r, s } = await signPermit(
+          idoPool.signer, permitDomain, idoPool.address, paymentAmountBN, deadline
+        );
+        if (allowlisted) {
+          await sendPoolTransaction('buyTokensAllowlistedWithPermit', [paymentAmountBN, allocation, deadline, v, r, s], label);
+        } else {
+          await sendPoolTransaction('buyTokensWithPermit', [paymentAmountBN, deadline, v, r, s], label);
+        }
+      } else {
+        if (allowance.lt(paymentAmountBN)) {
+          // Approve payment token spending
+          const unlimited = activeApprovalMode === APPROVAL_MODES.UNLIMITED;
+          const approveTx = await paymentToken.approve(
+            idoPool.address,
+            unlimited ? ethers.constants.MaxUint256 : paymentAmountBN
+          );
+          await track(approveTx, unlimited
+            ? `Approve unlimited ${tokens.payment.symbol}`
+            : `Approve ${paymentAmount} ${tokens.payment.symbol}`);
+        }
+        
+        // Buy tokens, with the allowlist proof while the sale is limited to allowlisted addresses
+        if (allowlisted) {
+          await sendPoolTransaction('buyTokensAllowlisted', [paymentAmountBN, allocation], label);
+        } else {
+          await sendPoolTransaction('buyTokens', [paymentAmountBN], label);
+        }
+      }
       
       // Refresh data
       await fetchIdoInfo();
       await fetchUserInfo(account);
       
       setPaymentAmount('');
-      setIdoTokensToReceive(0);
       setLoading(false);
     } catch (error) {
       console.error('Error buying tokens:', error);
-      setError(error.message);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Claim refund
-  async function claimRefund() {
-    if (!idoPool) return;
+  // Revoke the pool's allowance on the payment token
+  async function revokeAllowance() {
+    if (!idoPool || !paymentToken) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await idoPool.claimRefundUser();
-      setTxHash(tx.hash);
-      await tx.wait();
+      const tx = await paymentToken.approve(idoPool.address, 0);
+      await track(tx, `Revoke ${tokens.payment.symbol} allowance`);
       
       // Refresh data
-      await fetchIdoInfo();
       await fetchUserInfo(account);
       
       setLoading(false);
     } catch (error) {
-      console.error('Error claiming refund:', error);
-      setError(error.message);
+      console.error('Error revoking allowance:', error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Claim IDO tokens
-  async function claimIDOTokens() {
+  // End the sale as a participant, once the contract accepts it from any account
+  async function endSale() {
     if (!idoPool) return;
-    
+
     try {
       setLoading(true);
       setError('');
-      
-      const tx = await idoPool.claimIDOTokens();
-      setTxHash(tx.hash);
-      await tx.wait();
-      
+
+      await sendPoolTransaction('endIDO');
+
       // Refresh data
       await fetchIdoInfo();
       await fetchUserInfo(account);
-      
+
       setLoading(false);
     } catch (error) {
-      console.error('Error claiming IDO tokens:', error);
-      setError(error.message);
+      console.error('Error ending IDO:', error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Admin: Set IDO parameters
-  async function setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap) {
-    if (!idoPool || !isOwner) return;
+  // Claim refund
+  async function claimRefund() {
+    if (!idoPool) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await idoPool.setIDOParameters(
-        startTime,
-        endTime,
-        ethers.utils.parseEther(tokenPrice),
-        ethers.utils.parseEther(softCap),
-        ethers.utils.parseEther(hardCap)
-      );
-      setTxHash(tx.hash);
-      await tx.wait();
+      await sendPoolTransaction('claimRefundUser');
       
       // Refresh data
       await fetchIdoInfo();
+      await fetchUserInfo(account);
       
       setLoading(false);
     } catch (error) {
-      console.error('Error setting IDO parameters:', error);
-      setError(error.message);
+      console.error('Error claiming refund:', error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Admin: Start IDO
-  async function startIDO() {
-    if (!idoPool || !isOwner) return;
+  // Claim IDO tokens
+  async function claimIDOTokens() {
+    if (!idoPool) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await idoPool.startIDO();
-      setTxHash(tx.hash);
-      await tx.wait();
+      await sendPoolTransaction('claimIDOTokens');
       
       // Refresh data
       await fetchIdoInfo();
+      await fetchUserInfo(account);
       
       setLoading(false);
     } catch (error) {
-      console.error('Error starting IDO:', error);
-      setError(error.message);
+      console.error('Error claiming IDO tokens:', error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Admin: End IDO
-  async function endIDO() {
+  // Admin: Send an owner-only transaction requested by the admin console
+  async function sendAdminTransaction(method, args = []) {
     if (!idoPool || !isOwner) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await idoPool.endIDO();
-      setTxHash(tx.hash);
-      await tx.wait();
+      await sendPoolTransaction(method, args);
       
       // Refresh data
       await fetchIdoInfo();
       
       setLoading(false);
     } catch (error) {
-      console.error('Error ending IDO:', error);
-      setError(error.message);
+      console.error(`Error sending admin transaction (${method}):`, error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Admin: Trigger global refund
-  async function triggerGlobalRefund() {
-    if (!idoPool || !isOwner) return;
+  // Transfer IDO tokens from the admin's wallet to the pool
+  async function fundPool(amount) {
+    if (!idoPool || !idoToken || !isOwner) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await idoPool.triggerGlobalRefund();
-      setTxHash(tx.hash);
-      await tx.wait();
+      const balance = await idoToken.balanceOf(account);
+      if (balance.lt(amount)) {
+        throw new Error(`Your ${tokens.ido.symbol} balance is too low to fund the pool with ${formatTokenAmount(amount, tokens.ido)} ${tokens.ido.symbol}.`);
+      }
+      
+      const tx = await idoToken.transfer(idoPool.address, amount);
+      await track(tx, `Fund pool with ${formatTokenAmount(amount, tokens.ido)} ${tokens.ido.symbol}`);
       
       // Refresh data
       await fetchIdoInfo();
+      await fetchUserInfo(account);
       
       setLoading(false);
     } catch (error) {
-      console.error('Error triggering global refund:', error);
-      setError(error.message);
+      console.error('Error funding pool:', error);
+      setError(describeError(error));
       setLoading(false);
     }
   }
 
-  // Update countdown every second
+  // Forget the contract instances of the previous wallet, account or chain
+  function resetContracts() {
+    setIdoPool(null);
+    setPaymentToken(null);
+    setIdoToken(null);
+    setIsOwner(false);
+  }
+
+  // Switch the wallet to the configured chain; the contracts are rebuilt when the wallet reports the switch
+  async function switchNetwork() {
+    try {
+      setError('');
+      await switchChain(wallet.ethereum, poolConfig.chainId);
+    } catch (error) {
+      console.error('Error switching network:', error);
+      setError(error.message);
+    }
+  }
+
+  // Load pool configuration on startup
   useEffect(() => {
-    if (idoInfo.startTime && idoInfo.endTime) {
-      const timer = setInterval(() => {
-        updateCountdown(
-          idoInfo.startTime,
-          idoInfo.endTime,
-          idoInfo.idoActive,
-          idoInfo.idoEnded
-        );
-      }, 1000);
-      
-      return () => clearInterval(timer);
+    loadPoolConfig()
+      .then(setPoolConfig)
+      .catch((error) => {
+        console.error('Error loading pool configuration:', error);
+        setError(error.message);
+      });
+  }, []);
+
+  // Rebuild the contract instances whenever the wallet, its account or its chain changes
+  useEffect(() => {
+    resetContracts();
+    setWrongNetwork(false);
+    if (!poolConfig || !wallet.provider) return undefined;
+
+    // Make sure the wallet is on the chain the pool is deployed to
+    if (wallet.chainId !== poolConfig.chainId) {
+      setWrongNetwork(true);
+      setError(`Wrong network: please switch your wallet to ${poolConfig.chainName} (chain ${poolConfig.chainId})`);
+      return undefined;
+    }
+
+    let cancelled = false;
+    async function loadContracts() {
+      try {
+        setLoading(true);
+        setError('');
+
+        // Contracts sign with the wallet's account, or only read in read-only mode
+        const runner = wallet.signer || wallet.provider;
+        const idoPool = new ethers.Contract(poolConfig.poolAddress, IDOPoolABI, runner);
+        const [paymentTokenAddress, idoTokenAddress, owner] = await Promise.all([
+          idoPool.paymentToken(),
+          idoPool.idoToken(),
+          idoPool.owner()
+        ]);
+        // A pool without a payment token is paid in the chain's native currency
+        const native = paymentTokenAddress === ethers.constants.AddressZero;
+        const paymentToken = native ? null : new ethers.Contract(paymentTokenAddress, ERC20ABI, runner);
+        const idoToken = new ethers.Contract(idoTokenAddress, ERC20ABI, runner);
+        const [paymentTokenMetadata, idoTokenMetadata, permitDomain] = await Promise.all([
+          native ? nativeCurrencyMetadata(poolConfig.nativeCurrency) : fetchTokenMetadata(paymentToken),
+          fetchTokenMetadata(idoToken),
+          wallet.account && !native ? fetchPermitDomain(paymentTokenAddress, wallet.provider, wallet.account) : null
+        ]);
+        if (cancelled) return;
+
+        setIdoPool(idoPool);
+        setPaymentToken(paymentToken);
+        setIdoToken(idoToken);
+        setTokens({ payment: paymentTokenMetadata, ido: idoTokenMetadata });
+        setPermitDomain(permitDomain);
+        setIsOwner(Boolean(wallet.account) && owner.toLowerCase() === wallet.account.toLowerCase());
+      } catch (error) {
+        console.error('Error loading the pool contracts:', error);
+        if (!cancelled) setError(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
     }
-  }, [idoInfo]);
 
-  // Add auto-refresh for IDO info
+    loadContracts();
+    return () => { cancelled = true; };
+  }, [poolConfig, wallet.provider, wallet.signer, wallet.account, wallet.chainId]);
+
+  // Load the allowlist published for the pool whenever the pool's allowlist root changes
   useEffect(() => {
-    if (account && idoPool) {
-      // Initial fetch
-      fetchIdoInfo();
+    setAllowlist(null);
+    setAllowlistError('');
+    if (!poolConfig || !isAllowlistActive(idoInfo.allowlistRoot)) return undefined;
+
+    let cancelled = false;
+    loadAllowlist(poolConfig.chainId, poolConfig.poolAddress)
+      .then((published) => {
+        if (cancelled) return;
+        if (!published) {
+          setAllowlistError('This sale is limited to allowlisted addresses, but no allowlist has been published for this pool.');
+        } else if (published.root !== idoInfo.allowlistRoot) {
+          setAllowlistError('The allowlist published for this pool is out of date: it does not match the one set on the contract.');
+        } else {
+          setAllowlist(published);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading the allowlist:', error);
+        if (!cancelled) setAllowlistError(error.message);
+      });
+    return () => { cancelled = true; };
+  }, [poolConfig, idoInfo.allowlistRoot]);
+
+  // Refresh IDO and user info whenever the pool emits an event or the user's balances change
+  useEffect(() => {
+    if (idoPool && idoToken) {
+      let pendingRefresh = null;
+      
+      // Several events are often emitted in the same block, so coalesce them into one refresh. The
+      // pool state, which takes an extra request for the rounds, is loaded before the user's
+      const refresh = () => {
+        clearTimeout(pendingRefresh);
+        pendingRefresh = setTimeout(async () => {
+          await fetchIdoInfo();
+          if (account) fetchUserInfo(account);
+        }, 250);
+      };
       
-      // Set up recurring fetch every 10 seconds
-      const refreshTimer = setInterval(() => {
-        fetchIdoInfo();
-        if (account) {
-          fetchUserInfo(account);
+      // Without an account (read-only mode) only the pool itself is followed. Native currency
+      // transfers emit no events, so the fallback polling catches balance changes of native pools.
+      const subscriptions = POOL_EVENTS.map((eventName) => [idoPool, eventName]);
+      if (account) {
+        subscriptions.push(
+          [idoToken, idoToken.filters.Transfer(account)],
+          [idoToken, idoToken.filters.Transfer(null, account)]
+        );
+        if (paymentToken) {
+          subscriptions.push(
+            [paymentToken, paymentToken.filters.Transfer(account)],
+            [paymentToken, paymentToken.filters.Transfer(null, account)]
+          );
         }
-      }, 10000);
+      }
       
-      return () => clearInterval(refreshTimer);
+      // Initial fetch
+      refresh();
+      
+      subscriptions.forEach(([contract, event]) => contract.on(event, refresh));
+      
+      // Slow polling only as a fallback for missed events
+      const refreshTimer = setInterval(refresh, FALLBACK_POLL_INTERVAL);
+      
+      return () => {
+        clearTimeout(pendingRefresh);
+        clearInterval(refreshTimer);
+        subscriptions.forEach(([contract, event]) => contract.off(event, refresh));
+      };
     }
-  }, [account, idoPool]);
+  }, [account, idoPool, paymentToken, idoToken, fetchIdoInfo, fetchUserInfo]);
+
+  // Exact amount the contract will credit for the entered payment
+  const paymentAmountBN = parseTokenAmount(paymentAmount, tokens.payment);
+  const purchasePreview = previewPurchase(paymentAmountBN, idoInfo, now);
+  const paymentSymbol = tokens.payment.symbol || 'Payment Tokens';
+  const idoSymbol = tokens.ido.symbol || 'IDO Tokens';
+
+  // The wallet's allowlist allocation, and whether the entered amount stays within it
+  const allowlistActive = isAllowlistActive(idoInfo.allowlistRoot);
+  const allocation = allocationFor(allowlist, account);
+  const allocationLeft = remainingAllocation(allocation, userInfo.contributedAmount);
+  const allocationReason = allowlistActive && account && paymentAmountBN
+    ? checkAllocation(paymentAmountBN, allocation, userInfo.contributedAmount)
+    : null;
+
+  // Largest purchase the pool would accept, and the allowance the pool already has
+  const maxPurchaseAmount = maxPurchase(spendableBalance(userInfo.paymentTokenBalance, tokens.payment), idoInfo, allocationLeft, now);
+  const allowanceUnlimited = Boolean(userInfo.allowance) && userInfo.allowance.gte(UNLIMITED_ALLOWANCE_THRESHOLD);
+
+  // Phase of the pool and the actions the contract currently accepts; without a wallet, the user
+  // actions only reflect the pool state
+  const poolStatus = getPoolStatus(idoInfo, now, account ? userInfo : undefined);
+  const countdown = idoInfo.endTime ? describeCountdown(poolStatus.phase, idoInfo, now) : '';
+
+  // The round purchases are priced at, if the pool sells in rounds, and the price a purchase pays now.
+  // The round's values are bigints; the price and cap are BigNumbers like the rest of the pool state
+  const hasRounds = idoInfo.rounds.length > 0;
+  const activeRound = hasRounds ? currentRound(idoInfo.rounds, now) : null;
+  const salePrice = activeRound ? ethers.BigNumber.from(activeRound.price.toString()) : idoInfo.tokenPrice;
+  const roundCap = activeRound ? ethers.BigNumber.from(activeRound.cap.toString()) : ethers.constants.Zero;
+  const roundEndsIn = activeRound ? Number(activeRound.endTime) - now : null;
+
+  // Where the connected user's IDO tokens stand on the vesting schedule
+  const vesting = vestingPosition(idoInfo, userInfo, now);
+  const showVesting = Boolean(account) && vesting.total > BigInt(0) && !userInfo.hasRefunded && !idoInfo.refundEnabled;
+
+  // Raise progress against the hard cap, with the soft cap marked on the bar
+  const raisedPercent = percentOf(idoInfo.totalRaised, idoInfo.hardCap);
+  const softCapPercent = percentOf(idoInfo.softCap, idoInfo.hardCap);
 
   return (
     <div className="App">
       <header className="App-header">
-        <h1>IDO Pool dApp</h1>
-        {!account ? (
-          <button onClick={connectWallet} disabled={loading}>
-            Connect Wallet
-          </button>
-        ) : (
-          <p>Connected: {account}</p>
-        )}
+        <div>
+          <h1>IDO Pool dApp</h1>
+          <a className="directory-link" href={`?view=pools${poolConfig ? `&chainId=${poolConfig.chainId}` : ''}`}>
+            All Pools
+          </a>
+        </div>
+        <WalletMenu
+          wallet={wallet}
+          disabled={loading || !poolConfig}
+          wrongNetwork={wrongNetwork}
+          chainName={poolConfig && poolConfig.chainName}
+          onConnect={connectWallet}
+          onDisconnect={disconnectWallet}
+          onSwitchNetwork={switchNetwork}
+        />
       </header>
 
-      {account && (
+      {!idoPool && error && (
+        <div className="error">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {poolConfig && !wallet.provider && (
+        <p>Connect a wallet to view this pool, or set "rpcUrl" for {poolConfig.chainName} in pools.json to view it without one.</p>
+      )}
+
+      {idoPool && (
         <div className="container">
           <div className="ido-info">
             <h2>IDO Information</h2>
-            <p><strong>Status:</strong> {idoStatus}</p>
+            <p><strong>Status:</strong> {poolStatus.label}</p>
             {countdown && <p><strong>{countdown}</strong></p>}
-            <p><strong>Token Price:</strong> {idoInfo.tokenPrice ? ethers.utils.formatEther(idoInfo.tokenPrice) : 0} Payment Tokens per IDO Token</p>
-            <p><strong>Soft Cap:</strong> {idoInfo.softCap ? ethers.utils.formatEther(idoInfo.softCap) : 0} Payment Tokens</p>
-            <p><strong>Hard Cap:</strong> {idoInfo.hardCap ? ethers.utils.formatEther(idoInfo.hardCap) : 0} Payment Tokens</p>
-            <p><strong>Total Raised:</strong> {idoInfo.totalRaised ? ethers.utils.formatEther(idoInfo.totalRaised) : 0} Payment Tokens</p>
+            {hasRounds ? (
+              <p>
+                <strong>Token Price:</strong>{' '}
+                {activeRound
+                  ? `${formatTokenPrice(salePrice, tokens.payment, tokens.ido)} ${paymentSymbol} per ${idoSymbol} (${activeRound.name})`
+                  : 'no round is open'}
+              </p>
+            ) : (
+              <p><strong>Token Price:</strong> {formatTokenPrice(idoInfo.tokenPrice, tokens.payment, tokens.ido)} {paymentSymbol} per {idoSymbol}</p>
+            )}
+            {roundCap.gt(0) && (
+              <p>
+                <strong>Left in {activeRound.name}:</strong>{' '}
+                {formatTokenAmount(roundCap.sub(activeRound.raised.toString()), tokens.payment)} {paymentSymbol}
+              </p>
+            )}
+            <p><strong>Soft Cap:</strong> {formatTokenAmount(idoInfo.softCap, tokens.payment)} {paymentSymbol}</p>
+            <p><strong>Hard Cap:</strong> {formatTokenAmount(idoInfo.hardCap, tokens.payment)} {paymentSymbol}</p>
+            <p><strong>Total Raised:</strong> {formatTokenAmount(idoInfo.totalRaised, tokens.payment)} {paymentSymbol}</p>
             
-            <div className="progress-bar">
-              <div
-                className="progress"
-                style={{
-                  width: `${idoInfo.hardCap && idoInfo.hardCap.gt(0) ? 
-                    Math.min(100, idoInfo.totalRaised.mul(100).div(idoInfo.hardCap).toNumber()) : 0}%`
-                }}
-              ></div>
+            <div className="progress-bar pool-progress">
+              <div className="progress" style={{ width: `${raisedPercent}%` }}></div>
+              {softCapPercent > 0 && <div className="soft-cap-mark" style={{ left: `${softCapPercent}%` }} title="Soft cap"></div>}
             </div>
-            <p>{idoInfo.hardCap && idoInfo.hardCap.gt(0) ? 
-              Math.min(100, idoInfo.totalRaised.mul(100).div(idoInfo.hardCap).toNumber()) : 0}% of Hard Cap</p>
-          </div>
+            <p>{raisedPercent}% of Hard Cap</p>
+
+            <RaiseChart
+              idoPool={idoPool}
+              idoInfo={idoInfo}
+              poolStatus={poolStatus}
+              tokens={tokens}
+              deployBlock={poolConfig.deployBlock}
+              pageSize={poolConfig.logPageSize}
+              indexerUrl={poolConfig.indexerUrl}
+              now={now}
+            />
 
-          <div className="user-info">
-            <h2>Your Information</h2>
-            <p><strong>Contribution:</strong> {userInfo.contributedAmount ? ethers.utils.formatEther(userInfo.contributedAmount) : 0} Payment Tokens</p>
-            <p><strong>Owed IDO Tokens:</strong> {userInfo.owedTokens ? ethers.utils.formatEther(userInfo.owedTokens) : 0} IDO Tokens</p>
-            <p><strong>Payment Token Balance:</strong> {userInfo.paymentTokenBalance ? ethers.utils.formatEther(userInfo.paymentTokenBalance) : 0}</p>
-            <p><strong>IDO Token Balance:</strong> {userInfo.idoTokenBalance ? ethers.utils.formatEther(userInfo.idoTokenBalance) : 0}</p>
+            {hasRounds && <RoundTimeline rounds={idoInfo.rounds} tokens={tokens} now={now} />}
           </div>
 
-          {idoInfo.idoActive && !idoInfo.idoEnded && (
-            <div className="buy-tokens">
-              <h2>Buy Tokens</h2>
-              <div className="input-group">
-                <input
-                  type="number"
-                  placeholder="Amount of Payment Tokens"
-                  value={paymentAmount}
-                  onChange={handlePaymentAmountChange}
-                />
-                <p>You will receive: {idoTokensToReceive.toString()} IDO Tokens</p>
-              </div>
-              <button onClick={buyTokens} disabled={loading || !paymentAmount}>
-                {loading ? 'Processing...' : 'Buy Tokens'}
-              </button>
+          {account && (
+            <div className="user-info">
+              <h2>Your Information</h2>
+              <p><strong>Contribution:</strong> {formatTokenAmount(userInfo.contributedAmount, tokens.payment)} {paymentSymbol}</p>
+              <p><strong>Owed IDO Tokens:</strong> {formatTokenAmount(userInfo.owedTokens, tokens.ido)} {idoSymbol}</p>
+              <p><strong>{tokens.payment.native ? 'Balance' : 'Payment Token Balance'}:</strong> {formatTokenAmount(userInfo.paymentTokenBalance, tokens.payment)} {paymentSymbol}</p>
+              <p><strong>IDO Token Balance:</strong> {formatTokenAmount(userInfo.idoTokenBalance, tokens.ido)} {idoSymbol}</p>
+              {showVesting && <VestingTimeline idoInfo={idoInfo} userInfo={userInfo} tokens={tokens} now={now} />}
             </div>
           )}
 
-          <div className="user-actions">
-            <h2>Actions</h2>
-            {idoInfo.idoEnded && idoInfo.totalRaised && idoInfo.softCap && 
-             idoInfo.totalRaised.gte(idoInfo.softCap) && 
-             userInfo.owedTokens && userInfo.owedTokens.gt(0) && 
-             !userInfo.hasClaimedTokens && !userInfo.hasRefunded && (
-              <button onClick={claimIDOTokens} disabled={loading}>
-                Claim IDO Tokens
-              </button>
-            )}
-            
-            {idoInfo.refundEnabled && 
-             userInfo.contributedAmount && userInfo.contributedAmount.gt(0) && 
-             !userInfo.hasRefunded && !userInfo.hasClaimedTokens && (
-              <button onClick={claimRefund} disabled={loading}>
-                Claim Refund
-              </button>
-            )}
-          </div>
-
-          {isOwner && (
-            <div className="admin-panel">
-              <h2>Admin Panel</h2>
-              <div className="admin-actions">
-                {!idoInfo.idoActive && !idoInfo.idoEnded && (
-                  <button onClick={startIDO} disabled={loading}>
-                    Start IDO
+          {poolStatus.userActions.buyTokens && (
+            <div className="buy-tokens">
+              <h2>Buy Tokens</h2>
+              <div className="input-group">
+                <div className="amount-row">
+                  <input
+                    type="number"
+                    placeholder={`Amount of ${paymentSymbol}`}
+                    value={paymentAmount}
+                    onChange={handlePaymentAmountChange}
+                  />
+                  <button
+                    className="max-button"
+                    onClick={fillMaxAmount}
+                    disabled={loading || maxPurchaseAmount.isZero()}
+                    title={tokens.payment.native
+                      ? `Largest purchase allowed by your balance (keeping some ${paymentSymbol} for gas), the remaining hard cap and your allocation`
+                      : 'Largest purchase allowed by your balance, the remaining hard cap and your allocation'}
+                  >
+                    Max
                   </button>
+                </div>
+                <p>You will receive: {formatTokenAmount(purchasePreview.idoTokens, tokens.ido)} {idoSymbol}</p>
+                {purchasePreview.segments.length > 1 && (
+                  <ul className="round-segments">
+                    {purchasePreview.segments.map((segment) => (
+                      <li key={segment.round.index}>
+                        {formatTokenAmount(segment.payment, tokens.payment)} {paymentSymbol} in {segment.round.name} at{' '}
+                        {formatTokenPrice(segment.round.price.toString(), tokens.payment, tokens.ido)} {paymentSymbol}:{' '}
+                        {formatTokenAmount(segment.idoTokens, tokens.ido)} {idoSymbol}
+                      </li>
+                    ))}
+                  </ul>
                 )}
-                
-                {idoInfo.idoActive && !idoInfo.idoEnded && (
-                  <button onClick={endIDO} disabled={loading}>
-                    End IDO
-                  </button>
+                {purchasePreview.unfilled.gt(0) && (
+                  <p className="preview-warning">{explainRevert('Purchase exceeds round capacity', { idoInfo, tokens, now })}</p>
                 )}
-                
-                {!idoInfo.refundEnabled && (
-                  <button onClick={triggerGlobalRefund} disabled={loading}>
-                    Trigger Global Refund
-                  </button>
+                {roundEndsIn !== null && roundEndsIn <= ROUND_ENDING_NOTICE && (
+                  <p className="preview-note">
+                    {activeRound.name} ends in {formatDuration(roundEndsIn)}; a purchase mined after that is priced at the next
+                    round, or fails if none is open.
+                  </p>
+                )}
+                {purchasePreview.dust.gt(0) && !purchasePreview.tooSmall && (
+                  <p className="preview-note">
+                    {formatTokenAmount(purchasePreview.dust, tokens.payment)} {paymentSymbol} of this payment is below the
+                    price granularity and will not buy any tokens.
+                  </p>
+                )}
+                {purchasePreview.tooSmall && (
+                  <p className="preview-warning">
+                    Payment amount too small: the minimum purchase is {formatTokenAmount(salePrice, tokens.payment)} {paymentSymbol}.
+                  </p>
+                )}
+                {allocationReason && allocation && (
+                  <p className="preview-warning">{explainRevert(allocationReason, { userInfo, tokens, allocation })}</p>
                 )}
               </div>
+              {allowlistActive && (
+                <AllocationInfo
+                  account={account}
+                  allowlist={allowlist}
+                  allowlistError={allowlistError}
+                  allocation={allocation}
+                  contributedAmount={userInfo.contributedAmount}
+                  tokens={tokens}
+                />
+              )}
+              {account ? (
+                <>
+                  {!tokens.payment.native && (
+                    <div className="approval-settings">
+                      <label>
+                        Approval:{' '}
+                        <select value={activeApprovalMode} onChange={handleApprovalModeChange}>
+                          <option value={APPROVAL_MODES.EXACT}>Exact amount</option>
+                          <option value={APPROVAL_MODES.UNLIMITED}>Unlimited</option>
+                          {permitDomain && (
+                            <option value={APPROVAL_MODES.PERMIT}>Permit signature (no approval transaction)</option>
+                          )}
+                        </select>
+                      </label>
+                      <p>
+                        Current allowance: {allowanceUnlimited ? 'Unlimited' : formatTokenAmount(userInfo.allowance, tokens.payment)} {paymentSymbol}
+                        {userInfo.allowance && userInfo.allowance.gt(0) && (
+                          <button className="revoke-button" onClick={revokeAllowance} disabled={loading}>
+                            Revoke
+                          </button>
+                        )}
+                      </p>
+                    </div>
+                  )}
+                  <button
+                    onClick={buyTokens}
+                    disabled={loading || !paymentAmount || purchasePreview.tooSmall || Boolean(allocationReason)}
+                  >
+                    {loading ? 'Processing...' : 'Buy Tokens'}
+                  </button>
+                </>
+              ) : (
+                <p className="preview-note">Connect a wallet to buy.</p>
+              )}
             </div>
           )}
 
-          {txHash && (
-            <div className="transaction">
-              <h3>Transaction Submitted</h3>
-              <p><a href={`https://etherscan.io/tx/${txHash}`} target="_blank" rel="noopener noreferrer">
-                View on Etherscan
-              </a></p>
+          {account ? (
+            <div className="user-actions">
+              <h2>Actions</h2>
+              {poolStatus.userActions.claimIDOTokens && (
+                <button onClick={claimIDOTokens} disabled={loading}>
+                  Claim {formatTokenAmount(vesting.claimable.toString(), tokens.ido)} {idoSymbol}
+                </button>
+              )}
+
+              {poolStatus.userActions.claimRefundUser && (
+                <button onClick={claimRefund} disabled={loading}>
+                  Claim Refund
+                </button>
+              )}
             </div>
+          ) : (poolStatus.userActions.claimIDOTokens || poolStatus.userActions.claimRefundUser) && (
+            <div className="user-actions">
+              <h2>Actions</h2>
+              <p className="preview-note">
+                {poolStatus.userActions.claimIDOTokens ? 'Claims are open' : 'Refunds are open'}: connect the wallet you
+                contributed with to {poolStatus.userActions.claimIDOTokens ? 'claim your IDO tokens' : 'claim a refund'}.
+              </p>
+            </div>
+          )}
+
+          {/* The owner ends the sale from the admin panel */}
+          {poolStatus.userActions.endIDO && !isOwner && (
+            <FinalizeSale
+              idoInfo={idoInfo}
+              tokens={tokens}
+              now={now}
+              account={account}
+              loading={loading}
+              onSimulate={() => simulateTransaction(idoPool, 'endIDO', [], getRevertContext)}
+              onEnd={endSale}
+            />
           )}
 
+          <AddressLookup
+            idoPool={idoPool}
+            idoInfo={idoInfo}
+            tokens={tokens}
+            now={now}
+            multicallAddress={poolConfig.multicall}
+          />
+
+          <ActivityPanel
+            idoPool={idoPool}
+            account={account}
+            tokens={tokens}
+            deployBlock={poolConfig.deployBlock}
+            pageSize={poolConfig.logPageSize}
+            indexerUrl={poolConfig.indexerUrl}
+          />
+
+          {isOwner && (
+            <AdminConsole
+              idoPool={idoPool}
+              idoInfo={idoInfo}
+              poolStatus={poolStatus}
+              tokens={tokens}
+              account={account}
+              loading={loading}
+              onTransaction={sendAdminTransaction}
+              idoToken={idoToken}
+              deployBlock={poolConfig.deployBlock}
+              logPageSize={poolConfig.logPageSize}
+              multicallAddress={poolConfig.multicall}
+              onFundPool={fundPool}
+            />
+          )}
+
+          <TransactionQueue
+            transactions={transactions}
+            explorer={poolConfig.explorer}
+            onDismiss={dismiss}
+          />
+
           {error && (
             <div className="error">
               <p>{error}</p>
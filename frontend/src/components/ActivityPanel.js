@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  ACTIVITY_EVENTS,
+  DEFAULT_LOG_PAGE_SIZE,
+  fetchActivityPaged,
+  fetchBlockTimestamps,
+  buildLeaderboard
+} from '../utils/poolEvents';
+import { fetchIndexedActivity } from '../utils/indexer';
+import { formatTokenAmount } from '../utils/tokenMath';
+
+const TABS = [
+  { id: 'history', label: 'My History' },
+  { id: 'activity', label: 'Pool Activity' },
+  { id: 'leaderboard', label: 'Top Contributors' }
+];
+
+const EVENT_LABELS = {
+  TokensPurchased: 'Purchase',
+  RefundClaimed: 'Refund',
+  IDOTokensClaimed: 'Claim'
+};
+
+// Shortens an address for display (0x1234…abcd)
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toLocaleString() : '…';
+}
+
+// Describes the amounts involved in an activity entry
+function describeAmounts(entry, tokens) {
+  const paid = `${formatTokenAmount(entry.paymentAmount, tokens.payment)} ${tokens.payment.symbol}`;
+  const bought = `${formatTokenAmount(entry.idoTokenAmount, tokens.ido)} ${tokens.ido.symbol}`;
+  if (entry.type === 'TokensPurchased') {
+    return `${paid} paid → ${bought}`;
+  }
+  if (entry.type === 'RefundClaimed') {
+    return `${paid} refunded`;
+  }
+  return `${bought} claimed`;
+}
+
+function ActivityTable({ entries, timestamps, tokens, showUser }) {
+  if (entries.length === 0) {
+    return <p>No activity found in the loaded block range.</p>;
+  }
+  return (
+    <table className="activity-table">
+      <thead>
+        <tr>
+          <th>Time</th>
+          <th>Type</th>
+          {showUser && <th>Address</th>}
+          <th>Amount</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry) => (
+          <tr key={entry.id}>
+            <td>{formatTimestamp(timestamps[entry.blockNumber])}</td>
+            <td>{EVENT_LABELS[entry.type]}</td>
+            {showUser && <td title={entry.user}>{shortAddress(entry.user)}</td>}
+            <td>{describeAmounts(entry, tokens)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Contribution history of the connected wallet, pool-wide activity feed and top contributors,
+ * built from TokensPurchased, RefundClaimed and IDOTokensClaimed logs.
+ * With an indexer the whole history is loaded from it at once; otherwise, or if the indexer
+ * fails, logs are loaded from the node newest first, one page of blocks at a time.
+ */
+function ActivityPanel({ idoPool, account, tokens, deployBlock = 0, pageSize = DEFAULT_LOG_PAGE_SIZE, indexerUrl }) {
+  const [tab, setTab] = useState('history');
+  const [activity, setActivity] = useState([]);
+  const [timestamps, setTimestamps] = useState({});
+  const [oldestBlock, setOldestBlock] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const latestBlock = useRef(null);
+
+  // Adds entries to the list, newest first, ignoring logs that were already loaded.
+  // Timestamps not in knownTimestamps are looked up on the node.
+  const mergeActivity = useCallback((entries, knownTimestamps = {}) => {
+    setActivity((current) => {
+      const known = new Set(current.map((entry) => entry.id));
+      return current
+        .concat(entries.filter((entry) => !known.has(entry.id)))
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    });
+    setTimestamps((current) => ({ ...current, ...knownTimestamps }));
+    const missing = entries.filter((entry) => !(entry.blockNumber in knownTimestamps));
+    if (missing.length === 0) return;
+    fetchBlockTimestamps(idoPool.provider, missing.map((entry) => entry.blockNumber))
+      .then((found) => setTimestamps((current) => ({ ...current, ...found })))
+      .catch((error) => console.error('Error fetching block timestamps:', error));
+  }, [idoPool]);
+
+  // Load the most recent page when the pool changes
+  useEffect(() => {
+    let cancelled = false;
+    setActivity([]);
+    setOldestBlock(null);
+    latestBlock.current = null;
+
+    // Loads the history from the indexer, plus whatever the node has that the indexer has not processed yet
+    async function loadFromIndexer() {
+      const indexed = await fetchIndexedActivity(indexerUrl, idoPool.address);
+      const toBlock = await idoPool.provider.getBlockNumber();
+      const recent = indexed.indexedBlock < toBlock
+        ? await fetchActivityPaged(idoPool, indexed.indexedBlock + 1, toBlock, pageSize)
+        : [];
+      if (cancelled) return;
+      latestBlock.current = Math.max(toBlock, indexed.indexedBlock);
+      setOldestBlock(Math.max(deployBlock, indexed.startBlock));
+      mergeActivity([...indexed.entries, ...recent], indexed.timestamps);
+    }
+
+    async function loadLatest() {
+      try {
+        setLoading(true);
+        setError('');
+        if (indexerUrl) {
+          try {
+            await loadFromIndexer();
+            return;
+          } catch (error) {
+            console.error('Error loading pool activity from the indexer, falling back to RPC:', error);
+          }
+        }
+        const toBlock = await idoPool.provider.getBlockNumber();
+        const fromBlock = Math.max(deployBlock, toBlock - pageSize + 1);
+        const entries = await fetchActivityPaged(idoPool, fromBlock, toBlock, pageSize);
+        if (cancelled) return;
+        latestBlock.current = toBlock;
+        setOldestBlock(fromBlock);
+        mergeActivity(entries);
+      } catch (error) {
+        console.error('Error loading pool activity:', error);
+        if (!cancelled) setError(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadLatest();
+    return () => { cancelled = true; };
+  }, [idoPool, deployBlock, pageSize, indexerUrl, mergeActivity]);
+
+  // Append new activity as soon as the pool emits it
+  useEffect(() => {
+    async function loadNew() {
+      if (latestBlock.current === null) return;
+      try {
+        const toBlock = await idoPool.provider.getBlockNumber();
+        if (toBlock <= latestBlock.current) return;
+        const entries = await fetchActivityPaged(idoPool, latestBlock.current + 1, toBlock, pageSize);
+        latestBlock.current = toBlock;
+        mergeActivity(entries);
+      } catch (error) {
+        console.error('Error loading new pool activity:', error);
+      }
+    }
+
+    ACTIVITY_EVENTS.forEach((eventName) => idoPool.on(eventName, loadNew));
+    return () => ACTIVITY_EVENTS.forEach((eventName) => idoPool.off(eventName, loadNew));
+  }, [idoPool, pageSize, mergeActivity]);
+
+  // Load the page of blocks before the oldest one loaded so far
+  async function loadOlder() {
+    try {
+      setLoading(true);
+      setError('');
+      const toBlock = oldestBlock - 1;
+      const fromBlock = Math.max(deployBlock, toBlock - pageSize + 1);
+      const entries = await fetchActivityPaged(idoPool, fromBlock, toBlock, pageSize);
+      setOldestBlock(fromBlock);
+      mergeActivity(entries);
+    } catch (error) {
+      console.error('Error loading older pool activity:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Without a wallet there is no history of one's own to show
+  const activeTab = !account && tab === 'history' ? 'activity' : tab;
+  const tabs = account ? TABS : TABS.filter(({ id }) => id !== 'history');
+  const userActivity = account
+    ? activity.filter((entry) => entry.user.toLowerCase() === account.toLowerCase())
+    : [];
+  const leaderboard = buildLeaderboard(activity);
+  const hasOlder = oldestBlock !== null && oldestBlock > deployBlock;
+
+  return (
+    <div className="activity-panel">
+      <h2>Activity</h2>
+      <div className="tabs">
+        {tabs.map(({ id, label }) => (
+          <button
+            key={id}
+            className={activeTab === id ? 'tab active' : 'tab'}
+            onClick={() => setTab(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'history' && (
+        <ActivityTable entries={userActivity} timestamps={timestamps} tokens={tokens} showUser={false} />
+      )}
+
+      {activeTab === 'activity' && (
+        <ActivityTable entries={activity} timestamps={timestamps} tokens={tokens} showUser={true} />
+      )}
+
+      {activeTab === 'leaderboard' && (
+        leaderboard.length === 0 ? (
+          <p>No contributions found in the loaded block range.</p>
+        ) : (
+          <table className="activity-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Address</th>
+                <th>Contributed ({tokens.payment.symbol})</th>
+                <th>IDO Tokens ({tokens.ido.symbol})</th>
+                <th>Purchases</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map((entry, index) => (
+                <tr key={entry.user}>
+                  <td>{index + 1}</td>
+                  <td title={entry.user}>{shortAddress(entry.user)}</td>
+                  <td>{formatTokenAmount(entry.contributed, tokens.payment)}</td>
+                  <td>{formatTokenAmount(entry.idoTokens, tokens.ido)}</td>
+                  <td>{entry.purchases}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+
+      <div className="activity-footer">
+        {oldestBlock !== null && (
+          <p>
+            Showing blocks {oldestBlock} to {latestBlock.current}
+            {hasOlder ? '' : ' (complete history)'}
+          </p>
+        )}
+        {hasOlder && (
+          <button onClick={loadOlder} disabled={loading}>
+            {loading ? 'Loading...' : 'Load Older Activity'}
+          </button>
+        )}
+        {error && <p className="form-errors">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ActivityPanel;
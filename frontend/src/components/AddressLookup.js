@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { multicall } from '../utils/multicall';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { getPoolStatus } from '../shared/poolStatus';
+
+// Where a participant stands: settled, waiting for the sale to end, or able to claim or refund
+function describePosition(position, idoInfo, now) {
+  if (position.hasRefunded) return 'Refunded';
+  if (position.hasClaimedTokens) return 'IDO tokens claimed';
+  if (position.contributedAmount.isZero()) return 'No contribution';
+  const { userActions } = getPoolStatus(idoInfo, now, position);
+  if (!position.claimedTokens.isZero()) {
+    return userActions.claimIDOTokens ? 'Partially claimed, more IDO tokens ready to claim' : 'Partially claimed, the rest is vesting';
+  }
+  if (userActions.claimIDOTokens) return 'IDO tokens ready to claim';
+  if (idoInfo.idoEnded && !idoInfo.refundEnabled && !position.owedTokens.isZero()) return 'Waiting for the IDO tokens to vest';
+  if (userActions.claimRefundUser) return 'Refund available';
+  return 'Waiting for the sale to end';
+}
+
+/**
+ * Looks up the contribution, owed tokens and claim or refund status of any address, without a wallet
+ */
+function AddressLookup({ idoPool, idoInfo, tokens, now, multicallAddress }) {
+  const [address, setAddress] = useState('');
+  const [position, setPosition] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setPosition(null);
+  }, [idoPool]);
+
+  // Read the position of the entered address from the pool
+  async function lookUp(e) {
+    e.preventDefault();
+    const trimmed = address.trim();
+    if (!ethers.utils.isAddress(trimmed)) {
+      setError('Enter a valid address (0x followed by 40 hexadecimal characters).');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const user = ethers.utils.getAddress(trimmed);
+      const [contributedAmount, owedTokens, claimedTokens, hasRefunded, hasClaimedTokens] = await multicall(idoPool.provider, [
+        { contract: idoPool, method: 'userContributedPaymentAmount', args: [user] },
+        { contract: idoPool, method: 'userOwedIDOTokens', args: [user] },
+        { contract: idoPool, method: 'userClaimedIDOTokens', args: [user] },
+        { contract: idoPool, method: 'userHasRefunded', args: [user] },
+        { contract: idoPool, method: 'userHasClaimedIDOTokens', args: [user] }
+      ], multicallAddress);
+      setPosition({ address: user, contributedAmount, owedTokens, claimedTokens, hasRefunded, hasClaimedTokens });
+    } catch (error) {
+      console.error('Error looking up address:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="address-lookup">
+      <h2>Check an Address</h2>
+      <form className="input-group" onSubmit={lookUp}>
+        <div className="amount-row">
+          <input
+            type="text"
+            placeholder="0x..."
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+          />
+          <button type="submit" disabled={loading || !address.trim()}>
+            {loading ? 'Checking...' : 'Check'}
+          </button>
+        </div>
+      </form>
+      {error && <p className="preview-warning">{error}</p>}
+      {position && (
+        <div className="lookup-result">
+          <p className="pool-address">{position.address}</p>
+          <p><strong>Contribution:</strong> {formatTokenAmount(position.contributedAmount, tokens.payment)} {tokens.payment.symbol}</p>
+          <p><strong>Owed IDO Tokens:</strong> {formatTokenAmount(position.owedTokens, tokens.ido)} {tokens.ido.symbol}</p>
+          <p><strong>Claimed IDO Tokens:</strong> {formatTokenAmount(position.claimedTokens, tokens.ido)} {tokens.ido.symbol}</p>
+          <p><strong>Status:</strong> {describePosition(position, idoInfo, now)}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddressLookup;
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import {
+  parseDateTime,
+  parseDays,
+  parsePercentBps,
+  toDateTimeLocal,
+  validateIDOParameters,
+  validateTokenPrice,
+  validateCaps,
+  validateSchedule,
+  validateVesting
+} from '../utils/adminValidation';
+import { formatTokenAmount, formatTokenPrice, parseTokenAmount, parseTokenPrice } from '../utils/tokenMath';
+import { PHASES } from '../shared/poolStatus';
+import SolvencyMonitor from './SolvencyMonitor';
+import SettlementReport from './SettlementReport';
+import TreasuryWithdrawal from './TreasuryWithdrawal';
+import RoundsEditor from './RoundsEditor';
+
+// Formats a base-unit value for a form input, leaving unset values empty
+function toInputValue(value, format) {
+  return value && !value.isZero() ? format(value) : '';
+}
+
+// Formats a duration in seconds as days for a form input
+function toDays(seconds) {
+  const value = Number(seconds ? seconds.toString() : 0);
+  return value ? String(value / 86400) : '';
+}
+
+// Renders the validation errors of a single form
+function FormErrors({ errors }) {
+  if (!errors || errors.length === 0) return null;
+  return (
+    <ul className="form-errors">
+      {errors.map((message) => <li key={message}>{message}</li>)}
+    </ul>
+  );
+}
+
+/**
+ * Admin console exposing every owner-only IDOPool function.
+ * Inputs are validated against the same rules as the contract's `require` checks
+ * before a transaction is sent. Amounts are entered in whole tokens and converted with the
+ * tokens' decimals.
+ */
+function AdminConsole({
+  idoPool,
+  idoInfo,
+  poolStatus,
+  tokens,
+  account,
+  loading,
+  onTransaction,
+  idoToken,
+  deployBlock,
+  logPageSize,
+  multicallAddress,
+  onFundPool
+}) {
+  const [form, setForm] = useState({
+    startTime: '',
+    endTime: '',
+    tokenPrice: '',
+    softCap: '',
+    hardCap: '',
+    tgePercent: '',
+    cliffDays: '',
+    durationDays: '',
+    vestingStart: ''
+  });
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill the forms with the current on-chain values
+  useEffect(() => {
+    setForm((current) => ({
+      ...current,
+      startTime: toDateTimeLocal(idoInfo.startTime),
+      endTime: toDateTimeLocal(idoInfo.endTime),
+      tokenPrice: toInputValue(idoInfo.tokenPrice, (value) => formatTokenPrice(value, tokens.payment, tokens.ido)),
+      softCap: toInputValue(idoInfo.softCap, (value) => formatTokenAmount(value, tokens.payment)),
+      hardCap: toInputValue(idoInfo.hardCap, (value) => formatTokenAmount(value, tokens.payment))
+    }));
+  }, [idoInfo.startTime, idoInfo.endTime, idoInfo.tokenPrice, idoInfo.softCap, idoInfo.hardCap, tokens]);
+
+  useEffect(() => {
+    setForm((current) => ({
+      ...current,
+      tgePercent: idoInfo.tgeUnlockBps !== undefined ? String(Number(idoInfo.tgeUnlockBps.toString()) / 100) : '',
+      cliffDays: toDays(idoInfo.vestingCliff),
+      durationDays: toDays(idoInfo.vestingDuration),
+      vestingStart: toDateTimeLocal(idoInfo.vestingStart)
+    }));
+  }, [idoInfo.tgeUnlockBps, idoInfo.vestingCliff, idoInfo.vestingDuration, idoInfo.vestingStart]);
+
+  function handleChange(e) {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  }
+
+  // Latest block timestamp, which is what the contract compares schedules against
+  async function latestBlockTime() {
+    const block = await idoPool.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  // Runs the validator for a form and sends the transaction only if it passes
+  async function submit(formName, validate, method, args) {
+    const formErrors = await validate();
+    setErrors({ ...errors, [formName]: formErrors });
+    if (formErrors.length > 0) return;
+    await onTransaction(method, args);
+  }
+
+  async function submitParameters(e) {
+    e.preventDefault();
+    const params = {
+      startTime: parseDateTime(form.startTime),
+      endTime: parseDateTime(form.endTime),
+      tokenPrice: parseTokenPrice(form.tokenPrice, tokens.payment, tokens.ido),
+      softCap: parseTokenAmount(form.softCap, tokens.payment),
+      hardCap: parseTokenAmount(form.hardCap, tokens.payment)
+    };
+    await submit(
+      'parameters',
+      async () => validateIDOParameters(params, idoInfo, await latestBlockTime()),
+      'setIDOParameters',
+      [params.startTime, params.endTime, params.tokenPrice, params.softCap, params.hardCap]
+    );
+  }
+
+  async function submitTokenPrice(e) {
+    e.preventDefault();
+    const tokenPrice = parseTokenPrice(form.tokenPrice, tokens.payment, tokens.ido);
+    await submit(
+      'tokenPrice',
+      async () => validateTokenPrice(tokenPrice, idoInfo),
+      'updateTokenPrice',
+      [tokenPrice]
+    );
+  }
+
+  async function submitCaps(e) {
+    e.preventDefault();
+    const softCap = parseTokenAmount(form.softCap, tokens.payment);
+    const hardCap = parseTokenAmount(form.hardCap, tokens.payment);
+    await submit(
+      'caps',
+      async () => validateCaps(softCap, hardCap, idoInfo),
+      'updateCaps',
+      [softCap, hardCap]
+    );
+  }
+
+  async function submitSchedule(e) {
+    e.preventDefault();
+    const startTime = parseDateTime(form.startTime);
+    const endTime = parseDateTime(form.endTime);
+    await submit(
+      'schedule',
+      async () => validateSchedule(startTime, endTime, idoInfo, await latestBlockTime()),
+      'updateSchedule',
+      [startTime, endTime]
+    );
+  }
+
+  async function submitVesting(e) {
+    e.preventDefault();
+    const params = {
+      vestingStart: parseDateTime(form.vestingStart) || 0,
+      tgeUnlockBps: parsePercentBps(form.tgePercent),
+      vestingCliff: parseDays(form.cliffDays),
+      vestingDuration: parseDays(form.durationDays)
+    };
+    await submit(
+      'vesting',
+      async () => validateVesting(params, idoInfo),
+      'setVesting',
+      [params.vestingStart, params.tgeUnlockBps, params.vestingCliff, params.vestingDuration]
+    );
+  }
+
+  const { adminActions } = poolStatus;
+  const canConfigure = adminActions.setIDOParameters;
+  const paymentSymbol = tokens.payment.symbol || 'Payment Tokens';
+  const idoSymbol = tokens.ido.symbol || 'IDO Token';
+
+  return (
+    <div className="admin-panel">
+      <h2>Admin Panel</h2>
+      <div className="admin-actions">
+        {adminActions.startIDO && (
+          <button onClick={() => onTransaction('startIDO')} disabled={loading}>
+            Start IDO
+          </button>
+        )}
+
+        {adminActions.endIDO && (
+          <button onClick={() => onTransaction('endIDO')} disabled={loading}>
+            End IDO
+          </button>
+        )}
+
+        {adminActions.triggerGlobalRefund && (
+          <button onClick={() => onTransaction('triggerGlobalRefund')} disabled={loading}>
+            Trigger Global Refund
+          </button>
+        )}
+        {adminActions.disableGlobalRefund && (
+          <button onClick={() => onTransaction('disableGlobalRefund')} disabled={loading}>
+            Disable Global Refund
+          </button>
+        )}
+      </div>
+
+      <SolvencyMonitor
+        idoPool={idoPool}
+        idoToken={idoToken}
+        idoInfo={idoInfo}
+        tokens={tokens}
+        loading={loading}
+        onFund={onFundPool}
+      />
+
+      <SettlementReport
+        idoPool={idoPool}
+        poolStatus={poolStatus}
+        tokens={tokens}
+        deployBlock={deployBlock}
+        pageSize={logPageSize}
+        multicallAddress={multicallAddress}
+      />
+
+      <TreasuryWithdrawal
+        idoPool={idoPool}
+        idoToken={idoToken}
+        idoInfo={idoInfo}
+        poolStatus={poolStatus}
+        tokens={tokens}
+        account={account}
+        loading={loading}
+        onTransaction={onTransaction}
+      />
+
+      {poolStatus.phase === PHASES.SCHEDULED && (
+        <p className="admin-note">The IDO can be started once the start time is reached.</p>
+      )}
+      {poolStatus.phase === PHASES.EXPIRED && (
+        <p className="admin-note">The end time passed before the IDO was started. Update the schedule to run it.</p>
+      )}
+      {!canConfigure && (
+        <p className="admin-note">Parameters cannot be changed while the IDO is active.</p>
+      )}
+      {canConfigure && !adminActions.setVesting && (
+        <p className="admin-note">Vesting and sale rounds cannot be changed once the IDO has started.</p>
+      )}
+
+      <div className="admin-forms">
+        <form className="admin-form" onSubmit={submitParameters}>
+          <h3>IDO Parameters</h3>
+          <label>
+            Start Time
+            <input type="datetime-local" name="startTime" value={form.startTime} onChange={handleChange} />
+          </label>
+          <label>
+            End Time
+            <input type="datetime-local" name="endTime" value={form.endTime} onChange={handleChange} />
+          </label>
+          <label>
+            Token Price ({paymentSymbol} per {idoSymbol})
+            <input type="number" name="tokenPrice" min="0" step="any" value={form.tokenPrice} onChange={handleChange} />
+          </label>
+          <label>
+            Soft Cap ({paymentSymbol})
+            <input type="number" name="softCap" min="0" step="any" value={form.softCap} onChange={handleChange} />
+          </label>
+          <label>
+            Hard Cap ({paymentSymbol})
+            <input type="number" name="hardCap" min="0" step="any" value={form.hardCap} onChange={handleChange} />
+          </label>
+          <FormErrors errors={errors.parameters} />
+          <button type="submit" disabled={loading || !canConfigure}>Set IDO Parameters</button>
+        </form>
+
+        <form className="admin-form" onSubmit={submitTokenPrice}>
+          <h3>Token Price</h3>
+          <label>
+            New Price ({paymentSymbol} per {idoSymbol})
+            <input type="number" name="tokenPrice" min="0" step="any" value={form.tokenPrice} onChange={handleChange} />
+          </label>
+          <FormErrors errors={errors.tokenPrice} />
+          <button type="submit" disabled={loading || !canConfigure}>Update Token Price</button>
+        </form>
+
+        <form className="admin-form" onSubmit={submitCaps}>
+          <h3>Caps</h3>
+          <label>
+            Soft Cap ({paymentSymbol})
+            <input type="number" name="softCap" min="0" step="any" value={form.softCap} onChange={handleChange} />
+          </label>
+          <label>
+            Hard Cap ({paymentSymbol})
+            <input type="number" name="hardCap" min="0" step="any" value={form.hardCap} onChange={handleChange} />
+          </label>
+          <FormErrors errors={errors.caps} />
+          <button type="submit" disabled={loading || !canConfigure}>Update Caps</button>
+        </form>
+
+        <form className="admin-form" onSubmit={submitSchedule}>
+          <h3>Schedule</h3>
+          <label>
+            Start Time
+            <input type="datetime-local" name="startTime" value={form.startTime} onChange={handleChange} />
+          </label>
+          <label>
+            End Time
+            <input type="datetime-local" name="endTime" value={form.endTime} onChange={handleChange} />
+          </label>
+          <FormErrors errors={errors.schedule} />
+          <button type="submit" disabled={loading || !canConfigure}>Update Schedule</button>
+        </form>
+
+        <form className="admin-form" onSubmit={submitVesting}>
+          <h3>Vesting</h3>
+          <label>
+            Unlocked at TGE (%)
+            <input type="number" name="tgePercent" min="0" max="100" step="0.01" value={form.tgePercent} onChange={handleChange} />
+          </label>
+          <label>
+            Cliff after TGE (days)
+            <input type="number" name="cliffDays" min="0" step="any" value={form.cliffDays} onChange={handleChange} />
+          </label>
+          <label>
+            Linear Vesting after the Cliff (days)
+            <input type="number" name="durationDays" min="0" step="any" value={form.durationDays} onChange={handleChange} />
+          </label>
+          <label>
+            TGE (empty for the end of the IDO)
+            <input type="datetime-local" name="vestingStart" value={form.vestingStart} onChange={handleChange} />
+          </label>
+          <FormErrors errors={errors.vesting} />
+          <button type="submit" disabled={loading || !adminActions.setVesting}>Set Vesting</button>
+        </form>
+
+        <RoundsEditor
+          idoInfo={idoInfo}
+          poolStatus={poolStatus}
+          tokens={tokens}
+          loading={loading}
+          onTransaction={onTransaction}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default AdminConsole;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { remainingAllocation } from '../utils/allowlist';
+
+/**
+ * The connected wallet's allowlist allocation while the pool only sells to allowlisted addresses:
+ * its minimum and maximum contribution and how much of it remains
+ */
+function AllocationInfo({ account, allowlist, allowlistError, allocation, contributedAmount, tokens }) {
+  const symbol = tokens.payment.symbol;
+  const amount = (value) => `${formatTokenAmount(value, tokens.payment)} ${symbol}`;
+
+  let content;
+  if (allowlistError) {
+    content = <p className="preview-warning">{allowlistError}</p>;
+  } else if (!account) {
+    content = <p className="preview-note">This sale is limited to allowlisted addresses. Connect a wallet to see your allocation.</p>;
+  } else if (!allowlist) {
+    content = <p className="preview-note">Loading the allowlist...</p>;
+  } else if (!allocation) {
+    content = <p className="preview-warning">This wallet is not on the allowlist for this sale.</p>;
+  } else {
+    const remaining = remainingAllocation(allocation, contributedAmount);
+    content = (
+      <>
+        <p>
+          <strong>Your allocation:</strong>{' '}
+          {allocation.minContribution.isZero() ? 'no minimum' : `at least ${amount(allocation.minContribution)}`},{' '}
+          {allocation.maxContribution.isZero() ? 'no maximum' : `at most ${amount(allocation.maxContribution)}`} in total
+        </p>
+        <p><strong>Remaining allocation:</strong> {remaining ? amount(remaining) : 'up to the hard cap'}</p>
+      </>
+    );
+  }
+
+  return <div className="allocation-info">{content}</div>;
+}
+
+export default AllocationInfo;
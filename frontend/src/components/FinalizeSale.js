@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { SimulationError } from '../utils/revertReasons';
+
+/**
+ * Lets any participant end the sale once the contract accepts endIDO from a non-owner (the end time
+ * has passed or the hard cap is reached), so claims or refunds do not wait for the admin.
+ * Ending is a two-step action: the call is simulated first, and only a successful simulation can be
+ * confirmed and sent.
+ */
+function FinalizeSale({ idoInfo, tokens, now, account, loading, onSimulate, onEnd }) {
+  const [check, setCheck] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  // A new pool state invalidates an earlier simulation
+  useEffect(() => {
+    setCheck(null);
+  }, [idoInfo]);
+
+  const symbol = tokens.payment.symbol;
+  const softCapMet = idoInfo.totalRaised.gte(idoInfo.softCap);
+  const reason = idoInfo.totalRaised.gte(idoInfo.hardCap)
+    ? 'The hard cap has been reached'
+    : now >= idoInfo.endTime.toNumber() ? 'The sale\'s end time has passed' : 'The sale can be ended';
+  const outcome = softCapMet
+    ? `every participant can claim their IDO tokens (${formatTokenAmount(idoInfo.totalRaised, tokens.payment)} ${symbol} raised, soft cap met)`
+    : `every participant can claim a refund (${formatTokenAmount(idoInfo.totalRaised, tokens.payment)} of ${formatTokenAmount(idoInfo.softCap, tokens.payment)} ${symbol} soft cap raised)`;
+
+  // Dry-run endIDO from the connected account
+  async function simulate() {
+    try {
+      setChecking(true);
+      setError('');
+      const gasLimit = await onSimulate();
+      setCheck({ gasLimit });
+    } catch (error) {
+      console.error('Error simulating endIDO:', error);
+      setError(error instanceof SimulationError ? error.message : `Could not simulate the transaction: ${error.message}`);
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  async function confirm() {
+    setCheck(null);
+    await onEnd();
+  }
+
+  return (
+    <div className="finalize-sale">
+      <h2>End the Sale</h2>
+      <p>
+        {reason}, but the sale has not been ended yet. Anyone can end it, not just the admin. Ending it
+        unlocks {softCapMet ? 'claims' : 'refunds'}: {outcome}.
+      </p>
+
+      {!account && <p className="preview-note">Connect a wallet to end the sale.</p>}
+
+      {account && !check && (
+        <button onClick={simulate} disabled={loading || checking}>
+          {checking ? 'Simulating...' : 'End IDO'}
+        </button>
+      )}
+
+      {account && check && (
+        <div className="finalize-confirm">
+          <p className="solvency-ok">
+            Simulation succeeded: the transaction will end the sale (estimated gas {check.gasLimit.toString()}).
+          </p>
+          <button onClick={confirm} disabled={loading}>Confirm End IDO</button>
+          <button className="secondary-button" onClick={() => setCheck(null)} disabled={loading}>Cancel</button>
+        </div>
+      )}
+
+      {error && <p className="preview-warning">{error}</p>}
+    </div>
+  );
+}
+
+export default FinalizeSale;
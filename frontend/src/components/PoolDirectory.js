@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import IDOPoolABI from '../abis/IDOPool.json';
+import { loadDirectory } from '../config';
+import { multicall } from '../utils/multicall';
+import {
+  formatTokenAmount,
+  fetchTokenMetadata,
+  nativeCurrencyMetadata,
+  percentOf,
+  DEFAULT_TOKEN_METADATA
+} from '../utils/tokenMath';
+import { describeCountdown, fetchChainTime } from '../utils/time';
+import { getPoolStatus } from '../shared/poolStatus';
+
+const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+// How often the pools are re-read, in milliseconds
+const REFRESH_INTERVAL = 15000;
+
+// Provider for reading the pools: the chain's rpcUrl, or else the wallet if it is on the same chain
+async function getReadProvider(directory) {
+  if (directory.rpcUrl) {
+    return new ethers.providers.JsonRpcProvider(directory.rpcUrl, directory.chainId);
+  }
+  if (window.ethereum) {
+    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const network = await provider.getNetwork();
+    if (network.chainId === directory.chainId) return provider;
+  }
+  throw new Error(`Set "rpcUrl" for ${directory.chainName} in pools.json, or switch your wallet to it, to list its pools`);
+}
+
+// Reads a token's metadata, or the chain's native currency for a pool without a payment token
+function fetchPoolToken(provider, address, nativeCurrency) {
+  if (address === ethers.constants.AddressZero) return nativeCurrencyMetadata(nativeCurrency);
+  return fetchTokenMetadata(new ethers.Contract(address, ERC20_METADATA_ABI, provider));
+}
+
+// Reads the state of one pool; tokens come from the registry when it has them
+async function fetchPool(provider, record, directory) {
+  if ((await provider.getCode(record.address)) === '0x') {
+    return { ...record, missing: true };
+  }
+
+  const idoPool = new ethers.Contract(record.address, IDOPoolABI, provider);
+  const [startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, idoActive, idoEnded, refundEnabled] =
+    await multicall(provider, [
+      { contract: idoPool, method: 'startTime' },
+      { contract: idoPool, method: 'endTime' },
+      { contract: idoPool, method: 'tokenPrice' },
+      { contract: idoPool, method: 'softCap' },
+      { contract: idoPool, method: 'hardCap' },
+      { contract: idoPool, method: 'totalRaised' },
+      { contract: idoPool, method: 'idoActive' },
+      { contract: idoPool, method: 'idoEnded' },
+      { contract: idoPool, method: 'refundGloballyEnabled' }
+    ], directory.multicall);
+
+  let { paymentToken, idoToken } = record;
+  if (!paymentToken || !idoToken) {
+    [paymentToken, idoToken] = await Promise.all([
+      idoPool.paymentToken().then((address) => fetchPoolToken(provider, address, directory.nativeCurrency)),
+      idoPool.idoToken().then((address) => fetchPoolToken(provider, address, directory.nativeCurrency))
+    ]);
+  }
+
+  return {
+    ...record,
+    paymentToken,
+    idoToken,
+    state: { startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, idoActive, idoEnded, refundEnabled }
+  };
+}
+
+function PoolCard({ pool, chainId, now }) {
+  const link = `?chainId=${chainId}&pool=${pool.address}`;
+
+  if (pool.missing) {
+    return (
+      <div className="pool-card">
+        <h3>{pool.address}</h3>
+        <p className="preview-warning">No contract at this address on this chain (was the local node restarted?)</p>
+      </div>
+    );
+  }
+
+  const { state } = pool;
+  const paymentToken = pool.paymentToken || DEFAULT_TOKEN_METADATA;
+  const idoToken = pool.idoToken || DEFAULT_TOKEN_METADATA;
+  const status = getPoolStatus(state, now);
+  const progress = percentOf(state.totalRaised, state.hardCap);
+  const softCapMark = percentOf(state.softCap, state.hardCap);
+  const timer = describeCountdown(status.phase, state, now);
+
+  return (
+    <div className="pool-card">
+      <h3>
+        <a href={link}>{idoToken.symbol || 'IDO'} / {paymentToken.symbol || 'Payment'}</a>
+      </h3>
+      <p className="pool-address">{pool.address}</p>
+      <p><strong>Status:</strong> {status.label}</p>
+      {timer && <p><strong>{timer}</strong></p>}
+      <p>
+        <strong>Raised:</strong> {formatTokenAmount(state.totalRaised, paymentToken)} /{' '}
+        {formatTokenAmount(state.hardCap, paymentToken)} {paymentToken.symbol}
+      </p>
+      <div className="progress-bar pool-progress">
+        <div className="progress" style={{ width: `${progress}%` }}></div>
+        {state.softCap.gt(0) && <div className="soft-cap-mark" style={{ left: `${softCapMark}%` }} title="Soft cap"></div>}
+      </div>
+      <p>{progress}% of Hard Cap</p>
+      {pool.deployBlock !== undefined && <p className="preview-note">Deployed in block {pool.deployBlock}</p>}
+      <a className="pool-link" href={link}>Open Pool</a>
+    </div>
+  );
+}
+
+/**
+ * Lists every pool of the selected chain from the deployments registry, with its phase,
+ * raise progress and countdown, linking to the single-pool view
+ */
+function PoolDirectory() {
+  const [directory, setDirectory] = useState(null);
+  const [pools, setPools] = useState([]);
+  const [error, setError] = useState('');
+  // Chain time and the local time it was read at, so the countdowns follow the chain clock
+  const [clock, setClock] = useState(null);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  // Load the registry for the selected chain
+  useEffect(() => {
+    loadDirectory()
+      .then(setDirectory)
+      .catch((error) => {
+        console.error('Error loading pool directory:', error);
+        setError(error.message);
+      });
+  }, []);
+
+  // Read every pool, then refresh periodically
+  useEffect(() => {
+    if (!directory) return undefined;
+    let cancelled = false;
+
+    async function refresh() {
+      try {
+        const provider = await getReadProvider(directory);
+        const [blockTime, results] = await Promise.all([
+          fetchChainTime(provider),
+          Promise.all(directory.pools.map((pool) => fetchPool(provider, pool, directory)))
+        ]);
+        if (!cancelled) {
+          setPools(results);
+          setClock({ blockTime, readAt: Date.now() });
+          setError('');
+        }
+      } catch (error) {
+        console.error('Error reading pools:', error);
+        if (!cancelled) setError(error.message);
+      }
+    }
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [directory]);
+
+  // Tick the countdowns every second
+  useEffect(() => {
+    if (!clock) return undefined;
+    const tick = () => setNow(clock.blockTime + Math.floor((Date.now() - clock.readAt) / 1000));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [clock]);
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>IDO Pools</h1>
+        {directory && directory.chains.length > 1 && (
+          <select
+            value={directory.chainId}
+            onChange={(e) => { window.location.search = `?view=pools&chainId=${e.target.value}`; }}
+          >
+            {directory.chains.map((chain) => (
+              <option key={chain.chainId} value={chain.chainId}>{chain.name}</option>
+            ))}
+          </select>
+        )}
+      </header>
+
+      {error && (
+        <div className="error">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {directory && directory.pools.length === 0 && (
+        <p>No pools deployed on {directory.chainName} yet. Deploy one with <code>scripts/deploy.ts</code>.</p>
+      )}
+
+      <div className="pool-directory">
+        {pools.map((pool) => (
+          <PoolCard key={pool.address} pool={pool} chainId={directory.chainId} now={now} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PoolDirectory;
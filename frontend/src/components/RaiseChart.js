@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ethers } from 'ethers';
+import { DEFAULT_LOG_PAGE_SIZE, fetchActivityPaged, fetchBlockTimestamps } from '../utils/poolEvents';
+import { fetchIndexedActivity } from '../utils/indexer';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { buildRaiseSeries, projectRaise } from '../utils/raiseProjection';
+import { PHASES } from '../shared/poolStatus';
+
+// Size of the chart in SVG units; it scales to the width of its container
+const WIDTH = 600;
+const HEIGHT = 240;
+const MARGIN = { top: 16, right: 16, bottom: 28, left: 16 };
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Cumulative totalRaised over the sale window, built from TokensPurchased events, with the soft and
+ * hard caps, the schedule and, while the sale is live, a projection at the current pace
+ */
+function RaiseChart({ idoPool, idoInfo, poolStatus, tokens, deployBlock = 0, pageSize = DEFAULT_LOG_PAGE_SIZE, indexerUrl, now }) {
+  const [series, setSeries] = useState([]);
+  const [error, setError] = useState('');
+  // Purchases and timestamps read so far, so each refresh only fetches new blocks
+  const cache = useRef({ activity: [], timestamps: {}, nextBlock: null });
+
+  useEffect(() => {
+    cache.current = { activity: [], timestamps: {}, nextBlock: null };
+    setSeries([]);
+  }, [idoPool, deployBlock, indexerUrl]);
+
+  // Reload whenever totalRaised changes
+  useEffect(() => {
+    if (!idoPool) return;
+    let cancelled = false;
+
+    async function load() {
+      try {
+        if (cache.current.nextBlock === null && indexerUrl) {
+          try {
+            const indexed = await fetchIndexedActivity(indexerUrl, idoPool.address);
+            cache.current = {
+              activity: indexed.entries.filter((entry) => entry.type === 'TokensPurchased'),
+              timestamps: indexed.timestamps,
+              nextBlock: indexed.indexedBlock + 1
+            };
+          } catch (error) {
+            console.error('Error loading purchases from the indexer, falling back to RPC:', error);
+          }
+        }
+
+        const latestBlock = await idoPool.provider.getBlockNumber();
+        const nextBlock = cache.current.nextBlock === null ? deployBlock : cache.current.nextBlock;
+        if (nextBlock <= latestBlock) {
+          const entries = await fetchActivityPaged(idoPool, nextBlock, latestBlock, pageSize);
+          cache.current = {
+            ...cache.current,
+            activity: [...cache.current.activity, ...entries.filter((entry) => entry.type === 'TokensPurchased')],
+            nextBlock: latestBlock + 1
+          };
+        }
+
+        const missing = cache.current.activity
+          .map((entry) => entry.blockNumber)
+          .filter((blockNumber) => cache.current.timestamps[blockNumber] === undefined);
+        if (missing.length > 0) {
+          const found = await fetchBlockTimestamps(idoPool.provider, missing);
+          cache.current.timestamps = { ...cache.current.timestamps, ...found };
+        }
+
+        if (!cancelled) {
+          setSeries(buildRaiseSeries(cache.current.activity, cache.current.timestamps));
+          setError('');
+        }
+      } catch (error) {
+        console.error('Error loading raise history:', error);
+        if (!cancelled) setError('Could not load the raise history.');
+      }
+    }
+
+    load();
+    return () => { cancelled = true; };
+  }, [idoPool, idoInfo.totalRaised, deployBlock, pageSize, indexerUrl]);
+
+  if (!idoInfo.hardCap || idoInfo.hardCap.isZero() || !idoInfo.startTime || idoInfo.startTime.isZero()) {
+    return null;
+  }
+
+  const symbol = tokens.payment.symbol;
+  const startTime = idoInfo.startTime.toNumber();
+  const endTime = idoInfo.endTime.toNumber();
+  const projection = poolStatus.phase === PHASES.LIVE ? projectRaise(series, idoInfo, now) : null;
+
+  // Amounts are plotted as floating-point whole tokens; the labels use the exact values
+  const toNumber = (amount) => parseFloat(ethers.utils.formatUnits(amount, tokens.payment.decimals));
+  const maxY = toNumber(idoInfo.hardCap) * 1.1;
+  const x = (time) => MARGIN.left + ((Math.min(Math.max(time, startTime), endTime) - startTime) / Math.max(1, endTime - startTime)) * (WIDTH - MARGIN.left - MARGIN.right);
+  const y = (amount) => HEIGHT - MARGIN.bottom - (Math.min(toNumber(amount), maxY) / maxY) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+
+  // Step line: flat between purchases, up at each purchase, flat until now (or the end)
+  const lastTime = Math.min(now, endTime);
+  const points = [`${x(startTime)},${y(ethers.constants.Zero)}`];
+  let previous = ethers.constants.Zero;
+  series.forEach((point) => {
+    points.push(`${x(point.time)},${y(previous)}`, `${x(point.time)},${y(point.totalRaised)}`);
+    previous = point.totalRaised;
+  });
+  if (lastTime > startTime) points.push(`${x(lastTime)},${y(previous)}`);
+
+  // The projection runs until the hard cap is hit or the sale ends
+  const projectionEnd = projection && (projection.hardCapAt || endTime);
+
+  return (
+    <div className="raise-chart">
+      <h3>Raise Progress</h3>
+      {error && <p className="preview-warning">{error}</p>}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Total raised over time">
+        <line className="chart-axis" x1={MARGIN.left} y1={y(ethers.constants.Zero)} x2={WIDTH - MARGIN.right} y2={y(ethers.constants.Zero)} />
+        <line className="chart-hard-cap" x1={MARGIN.left} y1={y(idoInfo.hardCap)} x2={WIDTH - MARGIN.right} y2={y(idoInfo.hardCap)} />
+        <text className="chart-label" x={MARGIN.left + 4} y={y(idoInfo.hardCap) - 4}>Hard cap</text>
+        {idoInfo.softCap.gt(0) && (
+          <>
+            <line className="chart-soft-cap" x1={MARGIN.left} y1={y(idoInfo.softCap)} x2={WIDTH - MARGIN.right} y2={y(idoInfo.softCap)} />
+            <text className="chart-label" x={MARGIN.left + 4} y={y(idoInfo.softCap) - 4}>Soft cap</text>
+          </>
+        )}
+        {now > startTime && now < endTime && (
+          <line className="chart-now" x1={x(now)} y1={MARGIN.top} x2={x(now)} y2={y(ethers.constants.Zero)} />
+        )}
+        <polyline className="chart-raised" points={points.join(' ')} />
+        {projection && (
+          <line
+            className="chart-projection"
+            x1={x(now)}
+            y1={y(idoInfo.totalRaised)}
+            x2={x(projectionEnd)}
+            y2={y(projection.projectedTotal)}
+          />
+        )}
+        <text className="chart-label" x={MARGIN.left} y={HEIGHT - 8}>{formatTime(startTime)}</text>
+        <text className="chart-label" x={WIDTH - MARGIN.right} y={HEIGHT - 8} textAnchor="end">{formatTime(endTime)}</text>
+      </svg>
+
+      {projection && (
+        <div className="raise-projection">
+          <p>
+            <strong>Current pace:</strong> {formatTokenAmount(projection.ratePerHour, tokens.payment)} {symbol} per hour
+          </p>
+          <p>
+            <strong>Projected at end:</strong> {formatTokenAmount(projection.projectedTotal, tokens.payment)} {symbol}
+            {projection.hardCapAt && ` (hard cap reached around ${formatTime(projection.hardCapAt)})`}
+          </p>
+          {idoInfo.totalRaised.lt(idoInfo.softCap) && (
+            projection.softCapAt
+              ? <p>At this pace the soft cap is reached around {formatTime(projection.softCapAt)}.</p>
+              : <p className="preview-warning">At this pace the sale ends below the soft cap and contributions would be refunded.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RaiseChart;
@@ -0,0 +1,70 @@
+/* global BigInt */
+import React from 'react';
+import { formatTokenAmount, formatTokenPrice } from '../utils/tokenMath';
+import { formatDuration } from '../utils/time';
+import { ROUND_STATES, normalizeRounds, roundState } from '../shared/rounds';
+
+const STATE_LABELS = {
+  [ROUND_STATES.UPCOMING]: 'Upcoming',
+  [ROUND_STATES.OPEN]: 'Open',
+  [ROUND_STATES.SOLD_OUT]: 'Sold out',
+  [ROUND_STATES.ENDED]: 'Ended'
+};
+
+function formatDate(timestamp) {
+  return new Date(Number(timestamp) * 1000).toLocaleString();
+}
+
+/**
+ * The pool's sale rounds: each round's window, price, and how much of its cap it has raised, with
+ * the round purchases are currently priced at highlighted
+ */
+function RoundTimeline({ rounds, tokens, now }) {
+  const paymentSymbol = tokens.payment.symbol;
+  const idoSymbol = tokens.ido.symbol;
+  const payment = (value) => `${formatTokenAmount(value.toString(), tokens.payment)} ${paymentSymbol}`;
+
+  const normalized = normalizeRounds(rounds);
+  const active = normalized.find((round) => roundState(round, now) === ROUND_STATES.OPEN);
+
+  return (
+    <div className="round-timeline">
+      <h3>Sale Rounds</h3>
+      <ol>
+        {normalized.map((round) => {
+          const state = roundState(round, now);
+          const capped = round.cap > BigInt(0);
+          const percent = capped ? Number((round.raised * BigInt(100)) / round.cap) : 0;
+
+          let timing = `${formatDate(round.startTime)} to ${formatDate(round.endTime)}`;
+          if (state === ROUND_STATES.UPCOMING) timing += ` (opens in ${formatDuration(Number(round.startTime) - now)})`;
+          if (state === ROUND_STATES.OPEN) timing += ` (ends in ${formatDuration(Number(round.endTime) - now)})`;
+
+          return (
+            <li key={round.index} className={`round round-${state}${round === active ? ' round-active' : ''}`}>
+              <p>
+                <strong>{round.name}</strong> <span className="round-state">{STATE_LABELS[state]}</span>
+              </p>
+              <p className="preview-note">{timing}</p>
+              <p>
+                {formatTokenPrice(round.price.toString(), tokens.payment, tokens.ido)} {paymentSymbol} per {idoSymbol}
+              </p>
+              {capped ? (
+                <>
+                  <p>{payment(round.raised)} of {payment(round.cap)} raised</p>
+                  <div className="progress-bar">
+                    <div className="progress" style={{ width: `${Math.min(percent, 100)}%` }}></div>
+                  </div>
+                </>
+              ) : (
+                <p>{payment(round.raised)} raised, no round cap</p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default RoundTimeline;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { MAX_ROUNDS, parseDateTime, toDateTimeLocal, validateRounds } from '../utils/adminValidation';
+import { formatTokenAmount, formatTokenPrice, parseTokenAmount, parseTokenPrice } from '../utils/tokenMath';
+
+const EMPTY_ROW = { name: '', startTime: '', endTime: '', price: '', cap: '' };
+
+// Converts an on-chain round into form inputs
+function toRow(round, tokens) {
+  return {
+    name: round.name,
+    startTime: toDateTimeLocal(round.startTime),
+    endTime: toDateTimeLocal(round.endTime),
+    price: formatTokenPrice(round.price, tokens.payment, tokens.ido),
+    cap: round.cap.isZero() ? '' : formatTokenAmount(round.cap, tokens.payment)
+  };
+}
+
+/**
+ * Edits the pool's sale rounds before the sale starts: one row per round with its window, price
+ * and payment cap (empty for no cap). Saving an empty list clears the rounds, so purchases are priced
+ * at the token price again.
+ */
+function RoundsEditor({ idoInfo, poolStatus, tokens, loading, onTransaction }) {
+  const [rows, setRows] = useState([]);
+  const [errors, setErrors] = useState([]);
+
+  // Pre-fill with the on-chain rounds whenever they change, not on every refresh of the pool state
+  const onChainRows = JSON.stringify(idoInfo.rounds.map((round) => toRow(round, tokens)));
+  useEffect(() => {
+    setRows(JSON.parse(onChainRows));
+  }, [onChainRows]);
+
+  function updateRow(index, field, value) {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  }
+
+  async function submitRounds(e) {
+    e.preventDefault();
+    const rounds = rows.map((row) => ({
+      name: row.name.trim(),
+      startTime: parseDateTime(row.startTime),
+      endTime: parseDateTime(row.endTime),
+      price: parseTokenPrice(row.price, tokens.payment, tokens.ido),
+      cap: row.cap.trim() === '' ? parseTokenAmount('0', tokens.payment) : parseTokenAmount(row.cap, tokens.payment)
+    }));
+    const formErrors = validateRounds(rounds, idoInfo);
+    setErrors(formErrors);
+    if (formErrors.length > 0) return;
+    await onTransaction('setRounds', [rounds]);
+  }
+
+  const canEdit = poolStatus.adminActions.setRounds;
+  const paymentSymbol = tokens.payment.symbol || 'Payment Tokens';
+  const idoSymbol = tokens.ido.symbol || 'IDO Token';
+
+  return (
+    <form className="admin-form rounds-editor" onSubmit={submitRounds}>
+      <h3>Sale Rounds</h3>
+      <p className="preview-note">
+        Purchases are priced at the first open round that is not sold out, and spill over into the next open
+        round once it sells out. Without rounds, they are priced at the token price.
+      </p>
+      {rows.map((row, index) => (
+        <div className="round-row" key={index}>
+          <label>
+            Name
+            <input type="text" value={row.name} placeholder={`Round ${index + 1}`} onChange={(e) => updateRow(index, 'name', e.target.value)} />
+          </label>
+          <label>
+            Start Time
+            <input type="datetime-local" value={row.startTime} onChange={(e) => updateRow(index, 'startTime', e.target.value)} />
+          </label>
+          <label>
+            End Time
+            <input type="datetime-local" value={row.endTime} onChange={(e) => updateRow(index, 'endTime', e.target.value)} />
+          </label>
+          <label>
+            Price ({paymentSymbol} per {idoSymbol})
+            <input type="number" min="0" step="any" value={row.price} onChange={(e) => updateRow(index, 'price', e.target.value)} />
+          </label>
+          <label>
+            Cap ({paymentSymbol}, empty for none)
+            <input type="number" min="0" step="any" value={row.cap} onChange={(e) => updateRow(index, 'cap', e.target.value)} />
+          </label>
+          <button type="button" onClick={() => setRows(rows.filter((_, i) => i !== index))} disabled={loading || !canEdit}>
+            Remove
+          </button>
+        </div>
+      ))}
+      {errors.length > 0 && (
+        <ul className="form-errors">
+          {errors.map((message) => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      <button type="button" onClick={() => setRows([...rows, EMPTY_ROW])} disabled={loading || !canEdit || rows.length >= MAX_ROUNDS}>
+        Add Round
+      </button>{' '}
+      <button type="submit" disabled={loading || !canEdit}>
+        {rows.length === 0 ? 'Clear Rounds' : 'Set Rounds'}
+      </button>
+    </form>
+  );
+}
+
+export default RoundsEditor;
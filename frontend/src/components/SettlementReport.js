@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { fetchActivityPaged } from '../utils/poolEvents';
+import { multicall } from '../utils/multicall';
+import { buildSettlementReport, settlementToCsv } from '../shared/settlement';
+
+// Participants whose mappings are read per multicall request
+const USERS_PER_BATCH = 100;
+
+// Saves text as a file through a temporary download link
+function downloadFile(contents, filename, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Rebuilds every participant's position from the pool events, checks it against the contract's
+ * mappings and exports the result as a CSV or JSON settlement report
+ */
+function SettlementReport({ idoPool, poolStatus, tokens, deployBlock, pageSize, multicallAddress }) {
+  const [report, setReport] = useState(null);
+  const [building, setBuilding] = useState(false);
+  const [error, setError] = useState('');
+
+  // Build the report from the events and the mappings at the latest block
+  const buildReport = async () => {
+    try {
+      setBuilding(true);
+      setError('');
+
+      const blockNumber = await idoPool.provider.getBlockNumber();
+      const activity = await fetchActivityPaged(idoPool, deployBlock || 0, blockNumber, pageSize);
+      const [totalRaised, totalRefunded, refundEnabled] = await multicall(idoPool.provider, [
+        { contract: idoPool, method: 'totalRaised' },
+        { contract: idoPool, method: 'totalRefunded' },
+        { contract: idoPool, method: 'refundGloballyEnabled' }
+      ], multicallAddress);
+
+      const users = [...new Set(activity.map((entry) => entry.user.toLowerCase()))];
+      const onChain = {};
+      for (let i = 0; i < users.length; i += USERS_PER_BATCH) {
+        const batch = users.slice(i, i + USERS_PER_BATCH);
+        const results = await multicall(idoPool.provider, batch.flatMap((user) => [
+          { contract: idoPool, method: 'userContributedPaymentAmount', args: [user] },
+          { contract: idoPool, method: 'userOwedIDOTokens', args: [user] },
+          { contract: idoPool, method: 'userHasRefunded', args: [user] },
+          { contract: idoPool, method: 'userHasClaimedIDOTokens', args: [user] }
+        ]), multicallAddress);
+        batch.forEach((user, j) => {
+          const [contributed, owed, hasRefunded, hasClaimed] = results.slice(j * 4, j * 4 + 4);
+          onChain[user] = { contributed, owed, hasRefunded, hasClaimed };
+        });
+      }
+
+      setReport(buildSettlementReport({
+        pool: idoPool.address,
+        state: { totalRaised, totalRefunded, refundEnabled },
+        activity,
+        onChain,
+        tokens,
+        blockNumber,
+        phase: poolStatus.label
+      }));
+    } catch (error) {
+      console.error('Error building settlement report:', error);
+      setError('Could not build the settlement report.');
+    } finally {
+      setBuilding(false);
+    }
+  };
+
+  const filename = (extension) => `settlement-${idoPool.address}-${report.blockNumber}.${extension}`;
+  const paymentSymbol = tokens.payment.symbol || 'Payment Tokens';
+  const idoSymbol = tokens.ido.symbol || 'IDO Tokens';
+
+  return (
+    <div className="settlement">
+      <h3>Settlement Report</h3>
+      <button onClick={buildReport} disabled={building}>
+        {building ? 'Building...' : report ? 'Rebuild Report' : 'Build Report'}
+      </button>
+      {error && <p className="preview-warning">{error}</p>}
+      {report && (
+        <>
+          <p className="preview-note">At block {report.blockNumber} ({report.phase})</p>
+          <p><strong>Participants:</strong> {report.totals.participants}</p>
+          <p><strong>Total Raised:</strong> {report.totals.totalRaised} {paymentSymbol}</p>
+          <p><strong>Refunded:</strong> {report.totals.refunded} {paymentSymbol}</p>
+          <p><strong>Unclaimed Tokens:</strong> {report.totals.unclaimedTokens} {idoSymbol}</p>
+          <p><strong>Outstanding Refunds:</strong> {report.totals.outstandingRefunds} {paymentSymbol}</p>
+          {report.mismatches.length === 0 ? (
+            <p className="solvency-ok">Events and contract state agree for every participant.</p>
+          ) : (
+            <>
+              <p className="preview-warning">
+                {report.mismatches.length} mismatch(es) between the events and the contract state:
+              </p>
+              <ul className="form-errors">
+                {report.mismatches.map((mismatch) => (
+                  <li key={`${mismatch.address}-${mismatch.field}`}>
+                    {mismatch.address} {mismatch.field}: events {mismatch.fromEvents}, contract {mismatch.fromContract}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="settlement-downloads">
+            <button onClick={() => downloadFile(settlementToCsv(report), filename('csv'), 'text/csv')}>
+              Download CSV
+            </button>
+            <button
+              onClick={() => downloadFile(JSON.stringify(report, null, 2), filename('json'), 'application/json')}
+            >
+              Download JSON
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SettlementReport;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { checkSolvency } from '../shared/solvency';
+
+const BASIS_LABELS = {
+  'worst-case': 'owed tokens plus everything the remaining hard cap can buy',
+  owed: 'tokens owed to participants who have not claimed or been refunded'
+};
+
+/**
+ * Checks that the pool holds enough IDO tokens for every claim, and offers to transfer the shortfall
+ */
+function SolvencyMonitor({ idoPool, idoToken, idoInfo, tokens, loading, onFund }) {
+  const [solvency, setSolvency] = useState(null);
+  const [error, setError] = useState('');
+
+  // Re-check whenever the pool state changes (purchases, claims, refunds, parameter updates)
+  useEffect(() => {
+    if (!idoPool || !idoToken) return;
+    let cancelled = false;
+
+    async function check() {
+      try {
+        const balance = await idoToken.balanceOf(idoPool.address);
+        const state = { ...idoInfo, paymentToken: tokens.payment.address, idoToken: tokens.ido.address };
+        const result = checkSolvency(state, balance, idoInfo.totalOwedIDOTokens);
+        if (!cancelled) {
+          setSolvency(result);
+          setError('');
+        }
+      } catch (error) {
+        console.error('Error checking pool solvency:', error);
+        if (!cancelled) setError('Could not check the pool balance.');
+      }
+    }
+
+    check();
+    return () => { cancelled = true; };
+  }, [idoPool, idoToken, idoInfo, tokens]);
+
+  const idoSymbol = tokens.ido.symbol || 'IDO Tokens';
+  const format = (value) => formatTokenAmount(ethers.BigNumber.from(value.toString()), tokens.ido);
+
+  return (
+    <div className="solvency">
+      <h3>Pool Solvency</h3>
+      {error && <p className="preview-warning">{error}</p>}
+      {solvency && (
+        <>
+          <p><strong>Pool Balance:</strong> {format(solvency.balance)} {idoSymbol}</p>
+          <p>
+            <strong>Required:</strong> {format(solvency.required)} {idoSymbol}
+            <span className="preview-note"> ({BASIS_LABELS[solvency.basis]})</span>
+          </p>
+          {solvency.reserved > 0 && (
+            <p className="preview-note">
+              Includes the {format(solvency.reserved)} {idoSymbol} raised: the pool is paid in its own IDO token,
+              so the raised funds sit in the same balance.
+            </p>
+          )}
+          {solvency.solvent ? (
+            <p className="solvency-ok">The pool holds enough {idoSymbol} to pay out every claim.</p>
+          ) : (
+            <>
+              <p className="preview-warning">
+                The pool is short by {format(solvency.shortfall)} {idoSymbol}. Late claimers would not be able to claim.
+              </p>
+              <button
+                onClick={() => onFund(ethers.BigNumber.from(solvency.shortfall.toString()))}
+                disabled={loading}
+              >
+                Fund Shortfall
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SolvencyMonitor;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { TX_STATUS } from '../hooks/useTransactionQueue';
+import { explorerTxUrl } from '../utils/explorer';
+
+const STATUS_LABELS = {
+  [TX_STATUS.SUBMITTED]: 'Pending',
+  [TX_STATUS.CONFIRMED]: 'Confirmed',
+  [TX_STATUS.FAILED]: 'Failed',
+  [TX_STATUS.REPLACED]: 'Replaced'
+};
+
+/**
+ * Lists the transactions sent from the dApp with their current status and explorer links
+ */
+function TransactionQueue({ transactions, explorer, onDismiss }) {
+  if (transactions.length === 0) return null;
+
+  return (
+    <div className="transaction">
+      <h3>Transactions</h3>
+      <ul className="tx-list">
+        {transactions.map((tx) => {
+          const url = explorerTxUrl(tx.chainId, tx.hash, explorer);
+          return (
+            <li key={tx.hash} className="tx-item">
+              <span className={`tx-status tx-${tx.status}`}>{STATUS_LABELS[tx.status]}</span>
+              <span className="tx-label">{tx.label}</span>
+              {url ? (
+                <a href={url} target="_blank" rel="noopener noreferrer">View on Explorer</a>
+              ) : (
+                <span className="tx-hash" title={tx.hash}>{tx.hash.slice(0, 10)}…</span>
+              )}
+              {tx.status !== TX_STATUS.SUBMITTED && (
+                <button className="tx-dismiss" onClick={() => onDismiss(tx.hash)} title="Dismiss">×</button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default TransactionQueue;
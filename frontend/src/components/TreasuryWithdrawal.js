@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { validateRecoverUnsoldTokens, validateWithdrawFunds } from '../utils/adminValidation';
+
+/**
+ * Previews and sends the raised funds and the unsold IDO tokens to a treasury address once the sale
+ * has succeeded and refunds are off
+ */
+function TreasuryWithdrawal({ idoPool, idoToken, idoInfo, poolStatus, tokens, account, loading, onTransaction }) {
+  const [treasury, setTreasury] = useState(account || '');
+  const [balance, setBalance] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    setTreasury((current) => current || account || '');
+  }, [account]);
+
+  // The pool's IDO token balance the unsold tokens are taken from, re-read whenever the pool state changes
+  useEffect(() => {
+    if (!idoPool || !idoToken) return;
+    let cancelled = false;
+
+    idoToken.balanceOf(idoPool.address)
+      .then((value) => {
+        if (!cancelled) setBalance(value);
+      })
+      .catch((error) => console.error('Error reading the treasury preview:', error));
+
+    return () => { cancelled = true; };
+  }, [idoPool, idoToken, idoInfo]);
+
+  async function send(method, validate) {
+    const formErrors = validate(treasury, idoInfo);
+    setErrors(formErrors);
+    if (formErrors.length > 0) return;
+    await onTransaction(method, [treasury]);
+  }
+
+  const { adminActions } = poolStatus;
+  const paymentSymbol = tokens.payment.symbol || 'Payment Tokens';
+  const idoSymbol = tokens.ido.symbol || 'IDO Tokens';
+  const payment = (value) => `${formatTokenAmount(value, tokens.payment)} ${paymentSymbol}`;
+  const ido = (value) => `${formatTokenAmount(value, tokens.ido)} ${idoSymbol}`;
+
+  let note = null;
+  if (!idoInfo.idoEnded) note = 'Funds can be withdrawn once the sale has ended above the soft cap.';
+  else if (idoInfo.refundEnabled) note = 'Refunds are active: nothing can be withdrawn until they are disabled.';
+  else if (ethers.BigNumber.from(idoInfo.totalRaised).lt(idoInfo.softCap)) {
+    note = 'The soft cap was missed, so the raised funds stay available for refunds.';
+  } else if (!adminActions.recoverUnsoldTokens) {
+    note = 'Refunds took the raise below the soft cap, so the rest of the funds stay available for refunds.';
+  }
+
+  return (
+    <div className="treasury">
+      <h3>Treasury</h3>
+      {note && <p className="admin-note">{note}</p>}
+
+      <p>
+        <strong>Withdrawable Funds:</strong> {idoInfo.fundsWithdrawn ? 'already withdrawn' : payment(idoInfo.withdrawableFunds)}
+        {!idoInfo.fundsWithdrawn && (
+          <span className="preview-note">
+            {' '}({payment(idoInfo.totalRaised)} raised, {payment(idoInfo.totalRefunded)} refunded)
+          </span>
+        )}
+      </p>
+      <p>
+        <strong>Unsold {idoSymbol}:</strong> {ido(idoInfo.unsoldTokens)}
+        {balance && (
+          <span className="preview-note">
+            {' '}(pool holds {ido(balance)}, {ido(idoInfo.totalOwedIDOTokens)} still owed to participants)
+          </span>
+        )}
+      </p>
+      {adminActions.withdrawFunds && (
+        <p className="preview-warning">
+          Once the funds are withdrawn, a global refund can no longer be triggered.
+        </p>
+      )}
+
+      <label>
+        Treasury Address
+        <input type="text" value={treasury} onChange={(e) => setTreasury(e.target.value.trim())} placeholder="0x..." />
+      </label>
+      {errors.length > 0 && (
+        <ul className="form-errors">
+          {errors.map((message) => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      <div className="treasury-actions">
+        <button
+          onClick={() => send('withdrawFunds', validateWithdrawFunds)}
+          disabled={loading || !adminActions.withdrawFunds}
+        >
+          Withdraw {payment(idoInfo.withdrawableFunds)}
+        </button>
+        <button
+          onClick={() => send('recoverUnsoldTokens', validateRecoverUnsoldTokens)}
+          disabled={loading || !adminActions.recoverUnsoldTokens}
+        >
+          Recover {ido(idoInfo.unsoldTokens)}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TreasuryWithdrawal;
@@ -0,0 +1,74 @@
+/* global BigInt */
+import React from 'react';
+import { formatTokenAmount } from '../utils/tokenMath';
+import { formatDuration } from '../utils/time';
+import { BPS, vestingPosition } from '../shared/vesting';
+
+// Formats a vesting period in whole days where possible, e.g. "30 days"
+function formatPeriod(seconds) {
+  const value = Number(seconds.toString());
+  if (value > 0 && value % 86400 === 0) return `${value / 86400} day${value === 86400 ? '' : 's'}`;
+  return formatDuration(value);
+}
+
+function formatDate(timestamp) {
+  return new Date(Number(timestamp.toString()) * 1000).toLocaleString();
+}
+
+// Share of `part` in `total` as a CSS width
+function widthOf(part, total) {
+  return total > BigInt(0) ? `${Number((part * BigInt(10000)) / total) / 100}%` : '0%';
+}
+
+/**
+ * Describes the vesting parameters, e.g. "20% at the TGE, the rest linearly over 180 days after a 30 days cliff"
+ */
+export function describeVesting(idoInfo) {
+  const [tgeUnlockBps, cliff, duration] = [idoInfo.tgeUnlockBps, idoInfo.vestingCliff, idoInfo.vestingDuration]
+    .map((value) => Number(value.toString()));
+  if (tgeUnlockBps === Number(BPS)) return 'Everything unlocks at the TGE.';
+  const atTge = `${tgeUnlockBps / 100}% unlocks at the TGE`;
+  if (duration === 0) {
+    return `${atTge}, the rest ${cliff > 0 ? `${formatPeriod(cliff)} later` : 'at the TGE'}.`;
+  }
+  const cliffText = cliff > 0 ? ` after a ${formatPeriod(cliff)} cliff` : '';
+  return `${atTge}, the rest vests linearly over ${formatPeriod(duration)}${cliffText}.`;
+}
+
+/**
+ * The connected user's IDO tokens on the vesting schedule: claimed, claimable now and still locked,
+ * and when the next tokens unlock
+ */
+function VestingTimeline({ idoInfo, userInfo, tokens, now }) {
+  const position = vestingPosition(idoInfo, userInfo, now);
+  const symbol = tokens.ido.symbol;
+  const amount = (value) => `${formatTokenAmount(value.toString(), tokens.ido)} ${symbol}`;
+
+  let nextUnlock = 'Everything has unlocked';
+  if (!idoInfo.idoEnded) {
+    nextUnlock = Number(idoInfo.vestingStart.toString()) > 0
+      ? `The TGE, at ${formatDate(idoInfo.vestingStart)} or when the sale ends if later`
+      : 'The TGE, when the sale ends';
+  } else if (position.vestingLinearly) {
+    nextUnlock = `Unlocking continuously until ${formatDate(position.vestingEnd)} (in ${formatDuration(Number(position.vestingEnd) - now)})`;
+  } else if (position.nextUnlock) {
+    nextUnlock = `${formatDate(position.nextUnlock)} (in ${formatDuration(Number(position.nextUnlock) - now)})`;
+  }
+
+  return (
+    <div className="vesting-timeline">
+      <h3>Vesting</h3>
+      <p className="preview-note">{describeVesting(idoInfo)}</p>
+      <div className="vesting-bar">
+        <div className="vesting-claimed" style={{ width: widthOf(position.claimed, position.total) }} />
+        <div className="vesting-claimable" style={{ width: widthOf(position.claimable, position.total) }} />
+      </div>
+      <p><span className="vesting-key vesting-claimed" /><strong>Claimed:</strong> {amount(position.claimed)}</p>
+      <p><span className="vesting-key vesting-claimable" /><strong>Claimable now:</strong> {amount(position.claimable)}</p>
+      <p><span className="vesting-key vesting-locked" /><strong>Locked:</strong> {amount(position.locked)}</p>
+      <p><strong>Next unlock:</strong> {nextUnlock}</p>
+    </div>
+  );
+}
+
+export default VestingTimeline;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Shortens an address for display (0x1234…abcd)
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * Wallet choice in the header: every discovered wallet and WalletConnect while disconnected, and the
+ * connected account with a Disconnect button afterwards
+ */
+function WalletMenu({ wallet, disabled, wrongNetwork, chainName, onConnect, onDisconnect, onSwitchNetwork }) {
+  if (wallet.account) {
+    return (
+      <div className="wallet-menu">
+        <p title={wallet.account}>
+          Connected: {shortAddress(wallet.account)} <span className="wallet-name">({wallet.walletName})</span>
+        </p>
+        {wrongNetwork && (
+          <button onClick={onSwitchNetwork} disabled={disabled}>
+            Switch to {chainName}
+          </button>
+        )}
+        <button onClick={onDisconnect} disabled={disabled}>Disconnect</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="wallet-menu">
+      {wallet.readOnly && <p className="wallet-name">Read-only: connect a wallet to buy, claim or refund</p>}
+      {wallet.wallets.length === 0 && (
+        <p className="wallet-name">No wallet found. Install a browser wallet such as MetaMask to take part.</p>
+      )}
+      <div className="wallet-choices">
+        {wallet.wallets.map((choice) => (
+          <button key={choice.id} onClick={() => onConnect(choice.id)} disabled={disabled}>
+            {choice.icon && <img className="wallet-icon" src={choice.icon} alt="" />}
+            {choice.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default WalletMenu;
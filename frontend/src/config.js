@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+
+// Location of the runtime pool configuration (served from public/)
+const CONFIG_URL = `${process.env.PUBLIC_URL}/pools.json`;
+
+// Deployments registry written by the deploy scripts (served from public/)
+const DEPLOYMENTS_URL = `${process.env.PUBLIC_URL}/deployments.json`;
+
+// Registry schema version this dApp understands (see scripts/registry.ts)
+const DEPLOYMENTS_VERSION = 1;
+
+// Allowlist file schema version this dApp understands (see scripts/allowlist.ts)
+const ALLOWLIST_VERSION = 1;
+
+// Native currency of a chain whose pools.json entry does not set nativeCurrency
+const DEFAULT_NATIVE_CURRENCY = { symbol: 'ETH', decimals: 18 };
+
+// Fetches a JSON file served from public/
+async function fetchJson(url, description) {
+  const response = await fetch(url, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Could not load ${description} (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Loads the deployments registry, or an empty one if it is missing
+ * @returns {Promise<{version: number, networks: Object<string, {pools: Array, tokens: Array}>}>}
+ */
+export async function loadDeployments() {
+  let registry;
+  try {
+    registry = await fetchJson(DEPLOYMENTS_URL, 'deployments registry');
+  } catch (error) {
+    console.error('Error loading deployments registry:', error);
+    return { version: DEPLOYMENTS_VERSION, networks: {} };
+  }
+  if (registry.version !== DEPLOYMENTS_VERSION) {
+    throw new Error(`Unsupported deployments registry version ${registry.version}`);
+  }
+  return registry;
+}
+
+/**
+ * Lists the pools deployed on a chain, newest first, one entry per address
+ * @param {object} registry The deployments registry
+ * @param {number} chainId The chain to list
+ * @returns {Array} Pool records from the registry
+ */
+export function registeredPools(registry, chainId) {
+  const network = registry.networks[chainId];
+  if (!network) return [];
+  const seen = new Set();
+  return [...network.pools].reverse().filter((pool) => {
+    const key = pool.address.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Loads the pool configuration for the dApp.
+ * The pool address comes from public/pools.json for the selected chain, or else from the newest
+ * pool of that chain in public/deployments.json, and can be overridden with the `?pool=0x...` URL parameter. `?chainId=` selects a chain other
+ * than the configured default. Optional per-chain entries: `multicall` overrides the Multicall3
+ * address, `deployBlock` is where event history starts and `logPageSize` caps the block range
+ * of each log query, `explorer` is the block explorer base URL for transaction links,
+ * `indexerUrl` is the indexer API the activity history is loaded from, and `rpcUrl` is the public
+ * RPC used in read-only mode. `nativeCurrency` ({ symbol, decimals }) names the currency pools
+ * without a payment token are paid in, ETH by default. The top-level `walletConnectProjectId`
+ * enables WalletConnect.
+ * @returns {Promise<{chainId: number, chainName: string, poolAddress: string, multicall?: string,
+ *   deployBlock?: number, logPageSize?: number, explorer?: string, indexerUrl?: string,
+ *   rpcUrl?: string, nativeCurrency: {symbol: string, decimals: number}, walletConnectProjectId?: string}>}
+ */
+export async function loadPoolConfig() {
+  const config = await fetchJson(CONFIG_URL, 'pool configuration');
+  const registry = await loadDeployments();
+
+  const params = new URLSearchParams(window.location.search);
+  const chainId = Number(params.get('chainId') || config.defaultChainId);
+  const chainConfig = (config.chains || {})[chainId];
+  if (!chainConfig) {
+    throw new Error(`No pool configured for chain ${chainId}`);
+  }
+
+  const pools = registeredPools(registry, chainId);
+  const poolAddress = params.get('pool') || chainConfig.pool || (pools[0] && pools[0].address);
+  if (!poolAddress || !ethers.utils.isAddress(poolAddress)) {
+    throw new Error(`Invalid or missing pool address for ${chainConfig.name} (chain ${chainId})`);
+  }
+
+  // A registered pool knows its own deploy block; pools.json's deployBlock applies to its configured pool
+  const registered = pools.find((pool) => pool.address.toLowerCase() === poolAddress.toLowerCase());
+
+  return {
+    chainId,
+    chainName: chainConfig.name,
+    poolAddress: ethers.utils.getAddress(poolAddress),
+    multicall: chainConfig.multicall,
+    deployBlock: registered ? registered.deployBlock : chainConfig.deployBlock,
+    logPageSize: chainConfig.logPageSize,
+    explorer: chainConfig.explorer,
+    indexerUrl: chainConfig.indexerUrl,
+    rpcUrl: chainConfig.rpcUrl,
+    nativeCurrency: { ...DEFAULT_NATIVE_CURRENCY, ...chainConfig.nativeCurrency },
+    walletConnectProjectId: config.walletConnectProjectId
+  };
+}
+
+/**
+ * Loads what the pool directory lists for the selected chain (`?chainId=`, or the configured default):
+ * the registered pools plus the pool configured in pools.json. `rpcUrl` in the chain's pools.json
+ * entry lets the directory read pools without a wallet.
+ * @returns {Promise<{chainId: number, chainName: string, rpcUrl?: string, multicall?: string,
+ *   nativeCurrency: {symbol: string, decimals: number}, chains: Array<{chainId: number, name: string}>, pools: Array}>}
+ */
+export async function loadDirectory() {
+  const [config, registry] = await Promise.all([fetchJson(CONFIG_URL, 'pool configuration'), loadDeployments()]);
+  const params = new URLSearchParams(window.location.search);
+  const chainId = Number(params.get('chainId') || config.defaultChainId);
+  const chains = config.chains || {};
+  const chainConfig = chains[chainId] || { name: `Chain ${chainId}` };
+
+  const pools = registeredPools(registry, chainId);
+  if (
+    chainConfig.pool &&
+    ethers.utils.isAddress(chainConfig.pool) &&
+    !pools.some((pool) => pool.address.toLowerCase() === chainConfig.pool.toLowerCase())
+  ) {
+    pools.push({ address: chainConfig.pool, deployBlock: chainConfig.deployBlock });
+  }
+
+  return {
+    chainId,
+    chainName: chainConfig.name,
+    rpcUrl: chainConfig.rpcUrl,
+    multicall: chainConfig.multicall,
+    nativeCurrency: { ...DEFAULT_NATIVE_CURRENCY, ...chainConfig.nativeCurrency },
+    chains: Object.keys(chains).map((id) => ({ chainId: Number(id), name: chains[id].name })),
+    pools
+  };
+}
+
+/**
+ * Loads the allowlist published for a pool by `npx hardhat ido allowlist`
+ * (public/allowlists/<chainId>/<pool address, lowercase>.json)
+ * @param {number} chainId The pool's chain
+ * @param {string} poolAddress The pool address
+ * @returns {Promise<object|null>} The allowlist root and the limits and proof of every address, or null
+ * if none is published for this pool
+ */
+export async function loadAllowlist(chainId, poolAddress) {
+  const url = `${process.env.PUBLIC_URL}/allowlists/${chainId}/${poolAddress.toLowerCase()}.json`;
+  const response = await fetch(url, { cache: 'no-store' });
+  // The development server answers missing files with index.html rather than a 404
+  if (response.status === 404 || !(response.headers.get('content-type') || '').includes('json')) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Could not load the allowlist (${response.status})`);
+  }
+  const allowlist = await response.json();
+  if (allowlist.version !== ALLOWLIST_VERSION) {
+    throw new Error(`Unsupported allowlist version ${allowlist.version}`);
+  }
+  return allowlist;
+}
+
+/**
+ * Asks the wallet to switch to the given chain
+ * @param {object} ethereum EIP-1193 provider of the connected wallet
+ * @param {number} chainId The chain to switch to
+ */
+export async function switchChain(ethereum, chainId) {
+  await ethereum.request({
+    method: 'wallet_switchEthereumChain',
+    params: [{ chainId: ethers.utils.hexValue(chainId) }]
+  });
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { fetchChainTime } from '../utils/time';
+
+// Re-read the chain time at least this often, in milliseconds, in case block events are missed
+const RESYNC_INTERVAL = 30000;
+
+// Local time in seconds, with the fraction kept so the offset is not rounded twice
+function localSeconds() {
+  return Date.now() / 1000;
+}
+
+/**
+ * Follows the chain's clock: the offset between the block timestamp and the local clock is
+ * measured on every new block, and the returned time ticks every second from the local clock plus
+ * that offset. The contract compares its schedule with block.timestamp, which drifts from the local
+ * clock on real chains and jumps ahead on local chains after evm_increaseTime.
+ * @param {ethers.providers.Provider|null} provider The provider to read blocks from
+ * @returns {{now: number, offset: number}} Current chain time in seconds, and how far the chain is
+ * ahead of the local clock (negative if behind)
+ */
+function useBlockClock(provider) {
+  const [offset, setOffset] = useState(0);
+  const [now, setNow] = useState(() => Math.floor(localSeconds()));
+
+  // Measure the offset now, then again on every new block
+  useEffect(() => {
+    if (!provider) return undefined;
+    let cancelled = false;
+
+    async function sync() {
+      try {
+        const timestamp = await fetchChainTime(provider);
+        if (!cancelled) setOffset(timestamp - localSeconds());
+      } catch (error) {
+        console.error('Error reading the chain time:', error);
+      }
+    }
+
+    sync();
+    provider.on('block', sync);
+    const interval = setInterval(sync, RESYNC_INTERVAL);
+    return () => {
+      cancelled = true;
+      provider.off('block', sync);
+      clearInterval(interval);
+    };
+  }, [provider]);
+
+  // Tick every second
+  useEffect(() => {
+    const tick = () => setNow(Math.floor(localSeconds() + offset));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [offset]);
+
+  return { now, offset };
+}
+
+export default useBlockClock;
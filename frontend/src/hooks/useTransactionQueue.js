@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ethers } from 'ethers';
+
+export const TX_STATUS = {
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced'
+};
+
+// How ethers describes the replacement of a transaction (TRANSACTION_REPLACED error reason)
+const REPLACEMENT_LABELS = {
+  repriced: 'sped up',
+  cancelled: 'cancelled',
+  replaced: 'replaced'
+};
+
+// Unconfirmed transactions are kept in localStorage so they survive a page reload
+function storageKey(chainId) {
+  return `ido-pool:transactions:${chainId}`;
+}
+
+function loadPending(chainId) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(chainId))) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function savePending(chainId, transactions) {
+  const pending = transactions.filter((tx) => tx.status === TX_STATUS.SUBMITTED);
+  if (pending.length > 0) {
+    localStorage.setItem(storageKey(chainId), JSON.stringify(pending));
+  } else {
+    localStorage.removeItem(storageKey(chainId));
+  }
+}
+
+/**
+ * Tracks the lifecycle of the transactions sent by the dApp (submitted, confirmed, failed, replaced).
+ * @param {number|undefined} chainId The chain the transactions are sent on
+ * @param {ethers.providers.Provider|undefined} provider Used to resume transactions pending before a reload
+ * @returns {{transactions: Array, track: function, dismiss: function}}
+ */
+function useTransactionQueue(chainId, provider) {
+  const [transactions, setTransactions] = useState([]);
+  const resumed = useRef(new Set());
+
+  // Adds or updates an entry, keyed by transaction hash
+  const update = useCallback((hash, changes) => {
+    setTransactions((current) => {
+      const exists = current.some((tx) => tx.hash === hash);
+      const next = exists
+        ? current.map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx))
+        : [{ hash, ...changes }, ...current];
+      savePending(chainId, next);
+      return next;
+    });
+  }, [chainId]);
+
+  // Restore unconfirmed transactions from a previous session
+  useEffect(() => {
+    if (!chainId) return;
+    setTransactions(loadPending(chainId));
+  }, [chainId]);
+
+  // Follow restored transactions until they are mined or disappear from the node
+  useEffect(() => {
+    if (!provider) return;
+
+    transactions
+      .filter((tx) => tx.status === TX_STATUS.SUBMITTED && !resumed.current.has(tx.hash))
+      .forEach(async (tx) => {
+        resumed.current.add(tx.hash);
+        try {
+          const response = await provider.getTransaction(tx.hash);
+          if (!response) {
+            // Dropped from the mempool or replaced by another transaction with the same nonce
+            update(tx.hash, { status: TX_STATUS.REPLACED });
+            return;
+          }
+          const receipt = await provider.waitForTransaction(tx.hash);
+          update(tx.hash, { status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED });
+        } catch (error) {
+          console.error('Error resuming transaction:', error);
+        }
+      });
+  }, [provider, transactions, update]);
+
+  /**
+   * Records a sent transaction and waits for it to be mined
+   * @param {ethers.providers.TransactionResponse} tx The sent transaction
+   * @param {string} label Description shown in the queue
+   * @returns {Promise<ethers.providers.TransactionReceipt>} The receipt of the mined transaction
+   * @throws If the transaction reverts or is cancelled
+   */
+  async function track(tx, label) {
+    resumed.current.add(tx.hash);
+    update(tx.hash, { label, chainId, status: TX_STATUS.SUBMITTED, submittedAt: Date.now() });
+
+    try {
+      const receipt = await tx.wait();
+      update(tx.hash, { status: TX_STATUS.CONFIRMED });
+      return receipt;
+    } catch (error) {
+      if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+        update(tx.hash, { status: TX_STATUS.REPLACED, replacedBy: error.replacement.hash });
+
+        // The replacement is either the same call with a higher fee (repriced) or a different one
+        resumed.current.add(error.replacement.hash);
+        update(error.replacement.hash, {
+          label: `${label} (${REPLACEMENT_LABELS[error.reason] || 'replaced'})`,
+          chainId,
+          status: error.receipt && error.receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+          submittedAt: Date.now()
+        });
+
+        // A sped-up transaction counts as the original one
+        const succeeded = error.reason === 'repriced' && error.receipt && error.receipt.status === 1;
+        if (succeeded) return error.receipt;
+      } else {
+        update(tx.hash, { status: TX_STATUS.FAILED });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes a transaction from the queue
+   * @param {string} hash The transaction hash
+   */
+  function dismiss(hash) {
+    setTransactions((current) => {
+      const next = current.filter((tx) => tx.hash !== hash);
+      savePending(chainId, next);
+      return next;
+    });
+  }
+
+  return { transactions, track, dismiss };
+}
+
+export default useTransactionQueue;
@@ -0,0 +1,168 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { injectedConnector, walletConnectConnector, watchInjectedWallets } from '../utils/wallets';
+
+// Id of the last wallet the user connected, reconnected silently on the next visit
+const LAST_WALLET_KEY = 'ido-pool:last-wallet';
+
+// Reads the account and chain of a connected wallet and wraps it for ethers
+async function describeConnection(connector, source) {
+  const [accounts, chainId] = await Promise.all([
+    source.request({ method: 'eth_accounts' }),
+    source.request({ method: 'eth_chainId' })
+  ]);
+  if (accounts.length === 0) return null;
+
+  // 'any' lets the provider follow chain switches instead of throwing on a network change
+  const provider = new ethers.providers.Web3Provider(source, 'any');
+  const account = ethers.utils.getAddress(accounts[0]);
+  return {
+    connector,
+    ethereum: source,
+    provider,
+    signer: provider.getSigner(account),
+    account,
+    chainId: Number(chainId)
+  };
+}
+
+/**
+ * Connects to one of the available wallets and follows its account and chain.
+ * Every change produces a new provider and signer, so contracts built from them must be rebuilt.
+ * Until a wallet is connected, `provider` reads through the chain's `rpcUrl` (read-only mode).
+ * @param {object|null} poolConfig The pool configuration (see loadPoolConfig)
+ * @returns {{wallets: Array, walletId: string|null, walletName: string|null, readOnly: boolean,
+ *   provider: ethers.providers.Provider|null, signer: ethers.Signer|null, account: string|null,
+ *   chainId: number|null, ethereum: object|null, connect: function, disconnect: function}}
+ */
+function useWallet(poolConfig) {
+  const [announced, setAnnounced] = useState([]);
+  const [connection, setConnection] = useState(null);
+  const restored = useRef(false);
+
+  useEffect(() => watchInjectedWallets(setAnnounced), []);
+
+  // The WalletConnect connector keeps its session, so it is only recreated for another pool configuration
+  const walletConnect = useMemo(() => (
+    poolConfig && poolConfig.walletConnectProjectId
+      ? walletConnectConnector({
+        projectId: poolConfig.walletConnectProjectId,
+        chainId: poolConfig.chainId,
+        rpcUrl: poolConfig.rpcUrl
+      })
+      : null
+  ), [poolConfig]);
+
+  const wallets = useMemo(() => {
+    const list = announced.map(injectedConnector);
+    if (list.length === 0 && window.ethereum) list.push(injectedConnector(null));
+    if (walletConnect) list.push(walletConnect);
+    return list;
+  }, [announced, walletConnect]);
+
+  // Without a wallet the pool is read through the chain's public RPC, if it has one
+  const publicProvider = useMemo(() => (
+    poolConfig && poolConfig.rpcUrl
+      ? new ethers.providers.JsonRpcProvider(poolConfig.rpcUrl, poolConfig.chainId)
+      : null
+  ), [poolConfig]);
+
+  // Connects to a wallet; a silent connection only succeeds if the wallet already authorized the dApp
+  const connect = useCallback(async (walletId, { silent = false } = {}) => {
+    const connector = wallets.find((wallet) => wallet.id === walletId);
+    if (!connector) {
+      throw new Error('This wallet is not available. Is its browser extension installed and enabled?');
+    }
+
+    const source = await connector.connect({ silent });
+    const next = source && (await describeConnection(connector, source));
+    if (!next) return;
+
+    if (connection && connection.connector.id !== connector.id) {
+      await connection.connector.disconnect();
+    }
+    setConnection(next);
+    localStorage.setItem(LAST_WALLET_KEY, connector.id);
+  }, [wallets, connection]);
+
+  async function disconnect() {
+    if (connection) await connection.connector.disconnect();
+    setConnection(null);
+    localStorage.removeItem(LAST_WALLET_KEY);
+  }
+
+  // Reconnect to the last used wallet once it has been discovered
+  useEffect(() => {
+    const lastWalletId = localStorage.getItem(LAST_WALLET_KEY);
+    if (restored.current || !lastWalletId || !wallets.some((wallet) => wallet.id === lastWalletId)) return;
+    restored.current = true;
+    connect(lastWalletId, { silent: true }).catch((error) => {
+      console.error('Error reconnecting wallet:', error);
+    });
+  }, [wallets, connect]);
+
+  // Follow account and chain switches, and disconnection, in the wallet
+  useEffect(() => {
+    if (!connection) return undefined;
+    const { connector, ethereum } = connection;
+    let cancelled = false;
+
+    function update() {
+      describeConnection(connector, ethereum)
+        .then((next) => {
+          if (cancelled) return;
+          setConnection(next);
+          if (!next) localStorage.removeItem(LAST_WALLET_KEY);
+        })
+        .catch((error) => console.error('Error reading wallet state:', error));
+    }
+
+    function handleDisconnect() {
+      if (cancelled) return;
+      setConnection(null);
+      localStorage.removeItem(LAST_WALLET_KEY);
+    }
+
+    ethereum.on('accountsChanged', update);
+    ethereum.on('chainChanged', update);
+    ethereum.on('disconnect', handleDisconnect);
+    return () => {
+      cancelled = true;
+      ethereum.removeListener('accountsChanged', update);
+      ethereum.removeListener('chainChanged', update);
+      ethereum.removeListener('disconnect', handleDisconnect);
+    };
+  }, [connection]);
+
+  if (!connection) {
+    return {
+      wallets,
+      walletId: null,
+      walletName: null,
+      readOnly: Boolean(publicProvider),
+      provider: publicProvider,
+      signer: null,
+      account: null,
+      chainId: publicProvider ? poolConfig.chainId : null,
+      ethereum: null,
+      connect,
+      disconnect
+    };
+  }
+
+  return {
+    wallets,
+    walletId: connection.connector.id,
+    walletName: connection.connector.name,
+    readOnly: false,
+    provider: connection.provider,
+    signer: connection.signer,
+    account: connection.account,
+    chainId: connection.chainId,
+    ethereum: connection.ethereum,
+    connect,
+    disconnect
+  };
+}
+
+export default useWallet;
@@ -2,12 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import PoolDirectory from './components/PoolDirectory';
 import reportWebVitals from './reportWebVitals';
 
+// `?view=pools` shows the directory of every deployed pool, anything else the single-pool view
+const showDirectory = new URLSearchParams(window.location.search).get('view') === 'pools';
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {showDirectory ? <PoolDirectory /> : <App />}
   </React.StrictMode>
 );
 
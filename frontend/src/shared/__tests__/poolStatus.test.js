@@ -0,0 +1,110 @@
+/* global BigInt */
+import { PHASES, getPhase, getPoolStatus } from '../poolStatus';
+
+// A configured pool selling from 100 to 200 at 1 payment token unit per IDO token unit
+function poolState(overrides = {}) {
+  return {
+    startTime: 100,
+    endTime: 200,
+    tokenPrice: 1,
+    softCap: 50,
+    hardCap: 100,
+    totalRaised: 0,
+    idoActive: false,
+    idoEnded: false,
+    refundEnabled: false,
+    totalRefunded: 0,
+    fundsWithdrawn: false,
+    totalClaimedIDOTokens: 0,
+    ...overrides
+  };
+}
+
+const succeeded = poolState({ totalRaised: 80, idoEnded: true, idoEndedAt: 200 });
+
+describe('getPhase', () => {
+  it('follows the schedule before the sale starts', () => {
+    expect(getPhase(poolState({ tokenPrice: 0 }), 150)).toBe(PHASES.UNCONFIGURED);
+    expect(getPhase(poolState(), 50)).toBe(PHASES.SCHEDULED);
+    expect(getPhase(poolState(), 150)).toBe(PHASES.STARTABLE);
+    expect(getPhase(poolState(), 250)).toBe(PHASES.EXPIRED);
+  });
+
+  it('tells a live sale from a sold out or overdue one', () => {
+    expect(getPhase(poolState({ idoActive: true }), 150)).toBe(PHASES.LIVE);
+    expect(getPhase(poolState({ idoActive: true, totalRaised: 100 }), 150)).toBe(PHASES.HARD_CAPPED);
+    expect(getPhase(poolState({ idoActive: true }), 200)).toBe(PHASES.AWAITING_END);
+  });
+
+  it('tells a failed sale from an admin refund', () => {
+    expect(getPhase(succeeded, 250)).toBe(PHASES.SUCCEEDED);
+    expect(getPhase(poolState({ idoEnded: true, totalRaised: 10, refundEnabled: true }), 250)).toBe(PHASES.FAILED);
+    expect(getPhase(poolState({ idoEnded: true, totalRaised: 10 }), 250)).toBe(PHASES.FAILED);
+    expect(getPhase(poolState({ refundEnabled: true }), 150)).toBe(PHASES.ADMIN_REFUNDED);
+    expect(getPhase({ ...succeeded, refundEnabled: true }, 250)).toBe(PHASES.ADMIN_REFUNDED);
+  });
+});
+
+describe('getPoolStatus', () => {
+  it('accepts amounts as BigNumber-like values, bigints or numbers', () => {
+    const state = poolState({ idoActive: true, hardCap: { toString: () => '100' }, totalRaised: BigInt(99) });
+    const status = getPoolStatus(state, 150);
+    expect(status.label).toBe('Live');
+    expect(status.userActions.buyTokens).toBe(true);
+    expect(getPoolStatus({ ...state, tokenPrice: 2 }, 150).userActions.buyTokens).toBe(false);
+  });
+
+  it('only allows buying while a round is open, with rounds', () => {
+    const rounds = [{ name: 'Seed', startTime: 120, endTime: 140, price: 1, cap: 0, raised: 0 }];
+    const state = poolState({ idoActive: true, rounds });
+    expect(getPoolStatus(state, 130).userActions.buyTokens).toBe(true);
+    expect(getPoolStatus(state, 150).userActions.buyTokens).toBe(false);
+  });
+
+  it('lets users claim once the sale succeeded and refund once refunds are on', () => {
+    const user = { contributedAmount: 10, owedTokens: 10, claimedTokens: 0, hasRefunded: false, hasClaimedTokens: false };
+    expect(getPoolStatus(succeeded, 250, user).userActions.claimIDOTokens).toBe(true);
+    expect(getPoolStatus(succeeded, 250, user).userActions.claimRefundUser).toBe(false);
+    expect(getPoolStatus(succeeded, 250, { ...user, hasClaimedTokens: true }).userActions.claimIDOTokens).toBe(false);
+
+    const refunding = { ...succeeded, refundEnabled: true };
+    expect(getPoolStatus(refunding, 250, user).userActions.claimIDOTokens).toBe(false);
+    expect(getPoolStatus(refunding, 250, user).userActions.claimRefundUser).toBe(true);
+    expect(getPoolStatus(refunding, 250, { ...user, hasRefunded: true }).userActions.claimRefundUser).toBe(false);
+    expect(getPoolStatus(refunding, 250, { ...user, owedTokens: 6, claimedTokens: 4 }).userActions.claimRefundUser).toBe(false);
+  });
+
+  it('only lets users claim the tokens vested so far', () => {
+    const vesting = { ...succeeded, vestingStart: 0, tgeUnlockBps: 0, vestingCliff: 100, vestingDuration: 100 };
+    const user = { contributedAmount: 10, owedTokens: 10, claimedTokens: 0, hasRefunded: false, hasClaimedTokens: false };
+    expect(getPoolStatus(vesting, 250, user).userActions.claimIDOTokens).toBe(false);
+    expect(getPoolStatus(vesting, 350, user).userActions.claimIDOTokens).toBe(true);
+  });
+
+  it('releases the funds and unsold tokens only after a successful sale', () => {
+    expect(getPoolStatus(succeeded, 250).adminActions.withdrawFunds).toBe(true);
+    expect(getPoolStatus(succeeded, 250).adminActions.recoverUnsoldTokens).toBe(true);
+    expect(getPoolStatus({ ...succeeded, fundsWithdrawn: true }, 250).adminActions.withdrawFunds).toBe(false);
+    expect(getPoolStatus({ ...succeeded, refundEnabled: true }, 250).adminActions.recoverUnsoldTokens).toBe(false);
+  });
+
+  it('counts refunds against the soft cap before releasing anything', () => {
+    const refunded = { ...succeeded, totalRefunded: 40 };
+    expect(getPoolStatus(refunded, 250).adminActions.withdrawFunds).toBe(false);
+    expect(getPoolStatus(refunded, 250).adminActions.recoverUnsoldTokens).toBe(false);
+    expect(getPoolStatus({ ...succeeded, totalRefunded: 30 }, 250).adminActions.withdrawFunds).toBe(true);
+  });
+
+  it('blocks the global refund once the funds are withdrawn or IDO tokens are claimed', () => {
+    expect(getPoolStatus(succeeded, 250).adminActions.triggerGlobalRefund).toBe(true);
+    expect(getPoolStatus({ ...succeeded, fundsWithdrawn: true }, 250).adminActions.triggerGlobalRefund).toBe(false);
+    expect(getPoolStatus({ ...succeeded, totalClaimedIDOTokens: 1 }, 250).adminActions.triggerGlobalRefund).toBe(false);
+  });
+
+  it('only lets the admin start the sale within its window', () => {
+    expect(getPoolStatus(poolState(), 50).adminActions.startIDO).toBe(false);
+    expect(getPoolStatus(poolState(), 150).adminActions.startIDO).toBe(true);
+    expect(getPoolStatus(poolState({ idoActive: true }), 150).adminActions.startIDO).toBe(false);
+    expect(getPoolStatus(succeeded, 150).adminActions.startIDO).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+/* global BigInt */
+import { ROUND_STATES, currentRound, normalizeRounds, openCapacity, quotePurchase, roundState, worstCaseTokens } from '../rounds';
+
+// Seed and Public overlap from 100 to 200; Late opens when both have ended
+const rounds = [
+  { name: 'Seed', startTime: 0, endTime: 200, price: 1, cap: 50, raised: 40 },
+  { name: 'Public', startTime: 100, endTime: 300, price: 2, cap: 20, raised: 0 },
+  { startTime: 300, endTime: 400, price: 4, cap: 0, raised: 0 }
+];
+
+describe('roundState', () => {
+  it('is upcoming, open, sold out or ended', () => {
+    const [seed, publicRound] = normalizeRounds(rounds);
+    expect(roundState(publicRound, 50)).toBe(ROUND_STATES.UPCOMING);
+    expect(roundState(seed, 150)).toBe(ROUND_STATES.OPEN);
+    expect(roundState({ ...seed, raised: BigInt(50) }, 150)).toBe(ROUND_STATES.SOLD_OUT);
+    expect(roundState(seed, 200)).toBe(ROUND_STATES.ENDED);
+  });
+});
+
+describe('currentRound', () => {
+  it('picks the first open round, as the contract does', () => {
+    expect(currentRound(rounds, 150).name).toBe('Seed');
+    expect(currentRound(rounds, 250).name).toBe('Public');
+    expect(currentRound(rounds, 350)).toMatchObject({ index: 2, name: 'Round 3' });
+    expect(currentRound(rounds, 400)).toBeNull();
+  });
+});
+
+describe('quotePurchase', () => {
+  it('fills the current round, then the later open ones', () => {
+    const quote = quotePurchase(rounds, 31, 150);
+    expect(quote.segments.map((segment) => segment.round.name)).toEqual(['Seed', 'Public']);
+    expect(quote.segments.map((segment) => segment.payment)).toEqual([BigInt(10), BigInt(20)]);
+    expect(quote.idoTokens).toBe(BigInt(20));
+    expect(quote.unfilled).toBe(BigInt(1));
+  });
+
+  it('reports the dust of each round price', () => {
+    const quote = quotePurchase(rounds, 9, 250);
+    expect(quote.idoTokens).toBe(BigInt(4));
+    expect(quote.dust).toBe(BigInt(1));
+    expect(quote.unfilled).toBe(BigInt(0));
+  });
+});
+
+describe('openCapacity', () => {
+  it('sums the room of the open rounds, or is unlimited with an uncapped one', () => {
+    expect(openCapacity(rounds, 150)).toBe(BigInt(30));
+    expect(openCapacity(rounds, 350)).toBeNull();
+  });
+});
+
+describe('worstCaseTokens', () => {
+  it('fills the cheapest rounds first', () => {
+    // 10 at price 1 in Seed, 20 at price 2 in Public, the other 80 at price 4
+    expect(worstCaseTokens(rounds, 110)).toBe(BigInt(10 + 10 + 20));
+  });
+});
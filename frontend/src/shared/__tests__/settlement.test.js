@@ -0,0 +1,106 @@
+/* global BigInt */
+import { buildSettlementReport, formatUnits, replaySettlement, settlementToCsv } from '../settlement';
+
+const POOL = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ALICE = '0x00000000000000000000000000000000000A11CE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x00000000000000000000000000000000000CA201';
+const tokens = { payment: { symbol: 'PAY', decimals: 2 }, ido: { symbol: 'IDO', decimals: 0 } };
+
+// Alice buys twice and claims part of her tokens, Bob buys once and is refunded
+const activity = [
+  { type: 'TokensPurchased', user: ALICE, paymentAmount: 100, idoTokenAmount: 10 },
+  { type: 'TokensPurchased', user: BOB, paymentAmount: 250, idoTokenAmount: 25 },
+  { type: 'TokensPurchased', user: ALICE.toLowerCase(), paymentAmount: 50, idoTokenAmount: 5 },
+  { type: 'IDOTokensClaimed', user: ALICE, paymentAmount: 0, idoTokenAmount: 6 },
+  { type: 'RefundClaimed', user: BOB, paymentAmount: 250, idoTokenAmount: 0 }
+];
+
+const onChain = {
+  [ALICE.toLowerCase()]: { contributed: 150, owed: 9, hasRefunded: false, hasClaimed: false },
+  [BOB.toLowerCase()]: { contributed: 0, owed: 0, hasRefunded: true, hasClaimed: false }
+};
+
+function report(overrides = {}) {
+  return buildSettlementReport({
+    pool: POOL,
+    state: { totalRaised: 400, totalRefunded: 250, refundEnabled: false },
+    activity,
+    onChain,
+    tokens,
+    blockNumber: 42,
+    ...overrides
+  });
+}
+
+describe('formatUnits', () => {
+  it('formats base units without trailing zeros', () => {
+    expect(formatUnits(BigInt('1500000000000000000'), 18)).toBe('1.5');
+    expect(formatUnits(BigInt(5), 6)).toBe('0.000005');
+    expect(formatUnits(BigInt(-120), 2)).toBe('-1.2');
+    expect(formatUnits(BigInt(7), 0)).toBe('7');
+  });
+});
+
+describe('replaySettlement', () => {
+  it('mirrors the mappings the contract keeps, per address', () => {
+    const participants = replaySettlement(activity);
+    expect(Object.keys(participants)).toEqual([ALICE.toLowerCase(), BOB.toLowerCase()]);
+
+    const alice = participants[ALICE.toLowerCase()];
+    expect(alice.purchases).toBe(2);
+    expect(alice.expected).toEqual({ contributed: BigInt(150), owed: BigInt(9), hasRefunded: false, hasClaimed: false });
+    expect(participants[BOB.toLowerCase()].expected).toEqual({
+      contributed: BigInt(0),
+      owed: BigInt(0),
+      hasRefunded: true,
+      hasClaimed: false
+    });
+  });
+
+  it('settles a position once every token has been claimed', () => {
+    const claimedAll = [...activity, { type: 'IDOTokensClaimed', user: ALICE, paymentAmount: 0, idoTokenAmount: 9 }];
+    expect(replaySettlement(claimedAll)[ALICE.toLowerCase()].expected.hasClaimed).toBe(true);
+  });
+});
+
+describe('buildSettlementReport', () => {
+  it('totals the participants and finds no mismatch when the mappings agree', () => {
+    const { totals, participants, mismatches } = report();
+    expect(totals).toMatchObject({ participants: 2, paid: '4', refunded: '2.5', netRaised: '1.5', tokensClaimed: '6', unclaimedTokens: '9' });
+    expect(participants.map((row) => row.status)).toEqual(['partially claimed', 'refunded']);
+    expect(mismatches).toEqual([]);
+  });
+
+  it('reports the mappings and totals that disagree with the events', () => {
+    const { mismatches } = report({
+      state: { totalRaised: 300, totalRefunded: 0, refundEnabled: false },
+      onChain: { ...onChain, [ALICE.toLowerCase()]: { ...onChain[ALICE.toLowerCase()], owed: 10 } }
+    });
+    expect(mismatches).toEqual([
+      { address: ALICE, field: 'userOwedIDOTokens', fromEvents: '9', fromContract: '10' },
+      { address: POOL, field: 'totalRaised', fromEvents: '4', fromContract: '3' },
+      { address: POOL, field: 'totalRefunded', fromEvents: '2.5', fromContract: '0' }
+    ]);
+  });
+
+  it('only counts unclaimed positions as refundable while refunds are enabled', () => {
+    const pending = [...activity, { type: 'TokensPurchased', user: CAROL, paymentAmount: 30, idoTokenAmount: 3 }];
+    const { totals } = report({ activity: pending, state: { totalRaised: 430, refundEnabled: true } });
+    // Alice has claimed part of her tokens, so only Carol can still be refunded
+    expect(totals.outstandingRefunds).toBe('0.3');
+    expect(totals.unclaimedTokens).toBe('9');
+  });
+});
+
+describe('settlementToCsv', () => {
+  it('writes the participants, the totals and the mismatches, quoting where needed', () => {
+    const csv = settlementToCsv(report({ tokens: { ...tokens, payment: { symbol: 'P,AY', decimals: 2 } } }));
+    const lines = csv.split('\n');
+    expect(lines[0]).toMatch(/^address,purchases,"paid \(P,AY\)",/);
+    expect(lines[1]).toBe(`${ALICE},2,1.5,15,0,6,1.5,9,false,false,partially claimed`);
+    expect(lines).toContain('block,42');
+    expect(lines).toContain('mismatch address,field,from events,from contract');
+    expect(csv.endsWith('\n')).toBe(true);
+  });
+});
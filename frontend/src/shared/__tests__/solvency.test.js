@@ -0,0 +1,45 @@
+/* global BigInt */
+import { checkSolvency } from '../solvency';
+
+const PAYMENT_TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const IDO_TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+describe('checkSolvency', () => {
+  const live = { tokenPrice: 2, hardCap: 100, totalRaised: 40, idoActive: true, idoEnded: false };
+
+  it('covers everything the remaining hard cap could buy while the sale is open', () => {
+    const solvency = checkSolvency(live, 45, 20);
+    expect(solvency.basis).toBe('worst-case');
+    expect(solvency.required).toBe(BigInt(50));
+    expect(solvency.shortfall).toBe(BigInt(5));
+    expect(solvency.solvent).toBe(false);
+  });
+
+  it('prices the remaining hard cap at the cheapest rounds, with rounds', () => {
+    // 10 at price 1, the other 50 at price 4
+    const rounds = [
+      { startTime: 0, endTime: 100, price: 4, cap: 0, raised: 0 },
+      { startTime: 0, endTime: 100, price: 1, cap: 20, raised: 10 }
+    ];
+    expect(checkSolvency({ ...live, tokenPrice: 0, rounds }, 0, 0).required).toBe(BigInt(10 + 12));
+  });
+
+  it('only covers the owed tokens once the sale has ended', () => {
+    const solvency = checkSolvency({ ...live, idoActive: false, idoEnded: true }, 45, 20);
+    expect(solvency.basis).toBe('owed');
+    expect(solvency.required).toBe(BigInt(20));
+    expect(solvency.solvent).toBe(true);
+  });
+
+  it('reserves the raised funds when the pool is paid in its own IDO token', () => {
+    const ended = { ...live, idoActive: false, idoEnded: true, withdrawableFunds: 40 };
+    const separate = checkSolvency({ ...ended, paymentToken: PAYMENT_TOKEN, idoToken: IDO_TOKEN }, 45, 20);
+    expect(separate.reserved).toBe(BigInt(0));
+    expect(separate.solvent).toBe(true);
+
+    const shared = checkSolvency({ ...ended, paymentToken: IDO_TOKEN.toLowerCase(), idoToken: IDO_TOKEN }, 45, 20);
+    expect(shared.reserved).toBe(BigInt(40));
+    expect(shared.required).toBe(BigInt(60));
+    expect(shared.shortfall).toBe(BigInt(15));
+  });
+});
@@ -0,0 +1,54 @@
+/* global BigInt */
+import { BPS, tgeTime, vestedAmount, vestingPosition } from '../vesting';
+
+// 20% at the TGE (1000), then the rest vests linearly from 1100 to 1500
+const schedule = {
+  idoEnded: true,
+  idoEndedAt: 1000,
+  vestingStart: 500,
+  tgeUnlockBps: 2000,
+  vestingCliff: 100,
+  vestingDuration: 400
+};
+
+describe('tgeTime', () => {
+  it('is the vesting start or the end of the IDO, whichever is later', () => {
+    expect(tgeTime(schedule)).toBe(BigInt(1000));
+    expect(tgeTime({ ...schedule, vestingStart: 1200 })).toBe(BigInt(1200));
+    expect(tgeTime({ ...schedule, idoEnded: false })).toBe(BigInt(0));
+  });
+});
+
+describe('vestedAmount', () => {
+  it('unlocks the TGE share, waits for the cliff, then vests linearly', () => {
+    expect(vestedAmount(1000, schedule, 999)).toBe(BigInt(0));
+    expect(vestedAmount(1000, schedule, 1000)).toBe(BigInt(200));
+    expect(vestedAmount(1000, schedule, 1099)).toBe(BigInt(200));
+    expect(vestedAmount(1000, schedule, 1300)).toBe(BigInt(600));
+    expect(vestedAmount(1000, schedule, 1500)).toBe(BigInt(1000));
+  });
+
+  it('unlocks everything at the TGE without vesting', () => {
+    expect(vestedAmount(1000, { ...schedule, tgeUnlockBps: BPS }, 1000)).toBe(BigInt(1000));
+    expect(vestedAmount(1000, { ...schedule, tgeUnlockBps: undefined }, 1000)).toBe(BigInt(1000));
+  });
+});
+
+describe('vestingPosition', () => {
+  it('splits the purchase into claimed, claimable and locked tokens', () => {
+    const position = vestingPosition(schedule, { owedTokens: 800, claimedTokens: 200 }, 1300);
+    expect(position.total).toBe(BigInt(1000));
+    expect(position.claimable).toBe(BigInt(400));
+    expect(position.locked).toBe(BigInt(400));
+    expect(position.nextUnlock).toBe(BigInt(1500));
+    expect(position.vestingLinearly).toBe(true);
+  });
+
+  it('points at the next unlock until everything has vested', () => {
+    const user = { owedTokens: 1000, claimedTokens: 0 };
+    expect(vestingPosition(schedule, user, 1050).nextUnlock).toBe(BigInt(1100));
+    expect(vestingPosition(schedule, user, 1050).vestingLinearly).toBe(false);
+    expect(vestingPosition(schedule, user, 1500).nextUnlock).toBeNull();
+    expect(vestingPosition({ ...schedule, idoEnded: false }, user, 1050).tge).toBe(BigInt(0));
+  });
+});
@@ -0,0 +1,162 @@
+/* global BigInt */
+/*
+ * Pool status state machine shared by the dApp and the Hardhat scripts.
+ *
+ * Derives the phase of an IDOPool from its on-chain state and the block time, and which user and
+ * admin functions the contract would currently accept. Written as CommonJS without dependencies so
+ * scripts can require() it directly; amounts may be ethers v5 BigNumbers, bigints or numbers.
+ */
+
+const { vestedAmount } = require('./vesting');
+const { currentRound } = require('./rounds');
+
+const PHASES = {
+  UNCONFIGURED: 'unconfigured',
+  SCHEDULED: 'scheduled',
+  STARTABLE: 'startable',
+  EXPIRED: 'expired',
+  LIVE: 'live',
+  HARD_CAPPED: 'hard-capped',
+  AWAITING_END: 'awaiting-end',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  ADMIN_REFUNDED: 'admin-refunded'
+};
+
+const PHASE_LABELS = {
+  [PHASES.UNCONFIGURED]: 'Unconfigured',
+  [PHASES.SCHEDULED]: 'Scheduled',
+  [PHASES.STARTABLE]: 'Ready to Start',
+  [PHASES.EXPIRED]: 'Expired - Not Started',
+  [PHASES.LIVE]: 'Live',
+  [PHASES.HARD_CAPPED]: 'Hard Cap Reached',
+  [PHASES.AWAITING_END]: 'Awaiting End',
+  [PHASES.SUCCEEDED]: 'Ended - Successful',
+  [PHASES.FAILED]: 'Ended - Failed, Refunding',
+  [PHASES.ADMIN_REFUNDED]: 'Refunded by Admin'
+};
+
+function toBigInt(value) {
+  return BigInt(value ? value.toString() : 0);
+}
+
+/**
+ * Normalizes the pool state read from the contract
+ * @param {object} state { startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, idoActive,
+ * idoEnded, refundEnabled, totalRefunded, fundsWithdrawn, totalClaimedIDOTokens }
+ * @returns {object} The same fields with numeric values as bigints
+ */
+function normalizeState(state) {
+  return {
+    startTime: toBigInt(state.startTime),
+    endTime: toBigInt(state.endTime),
+    tokenPrice: toBigInt(state.tokenPrice),
+    softCap: toBigInt(state.softCap),
+    hardCap: toBigInt(state.hardCap),
+    totalRaised: toBigInt(state.totalRaised),
+    idoActive: Boolean(state.idoActive),
+    idoEnded: Boolean(state.idoEnded),
+    refundEnabled: Boolean(state.refundEnabled),
+    totalRefunded: toBigInt(state.totalRefunded),
+    fundsWithdrawn: Boolean(state.fundsWithdrawn),
+    totalClaimedIDOTokens: toBigInt(state.totalClaimedIDOTokens)
+  };
+}
+
+/**
+ * Determines the phase of the pool
+ * @param {object} state Pool state, see normalizeState
+ * @param {number} now Latest block timestamp, in seconds
+ * @returns {string} One of PHASES
+ */
+function getPhase(state, now) {
+  const pool = normalizeState(state);
+  const time = BigInt(Math.floor(now));
+  const softCapMet = pool.totalRaised >= pool.softCap;
+
+  if (pool.refundEnabled) {
+    // endIDO enables refunds itself when the soft cap is missed; any other refund was the admin's call
+    return pool.idoEnded && !softCapMet ? PHASES.FAILED : PHASES.ADMIN_REFUNDED;
+  }
+  if (pool.idoEnded) {
+    // A failed sale whose refund was disabled again by the admin stays failed
+    return softCapMet ? PHASES.SUCCEEDED : PHASES.FAILED;
+  }
+  if (pool.idoActive) {
+    if (pool.totalRaised >= pool.hardCap) return PHASES.HARD_CAPPED;
+    if (time >= pool.endTime) return PHASES.AWAITING_END;
+    return PHASES.LIVE;
+  }
+  if (pool.tokenPrice === BigInt(0) || pool.endTime === BigInt(0)) return PHASES.UNCONFIGURED;
+  if (time < pool.startTime) return PHASES.SCHEDULED;
+  if (time < pool.endTime) return PHASES.STARTABLE;
+  return PHASES.EXPIRED;
+}
+
+/**
+ * Derives the phase of the pool and the functions the contract would accept right now
+ * @param {object} state Pool state, see normalizeState, plus the vesting parameters of vesting.js if the
+ * user's claims should be checked against them, and `rounds` (see rounds.js) if the pool sells in rounds
+ * @param {number} now Latest block timestamp, in seconds
+ * @param {object} [user] The connected user's state: { contributedAmount, owedTokens, claimedTokens,
+ * hasRefunded, hasClaimedTokens }. Without it, the user actions only reflect the pool state.
+ * @returns {{phase: string, label: string, userActions: object, adminActions: object}}
+ * Each action is a boolean keyed by the contract function name.
+ */
+function getPoolStatus(state, now, user) {
+  const pool = normalizeState(state);
+  const time = BigInt(Math.floor(now));
+  const phase = getPhase(state, now);
+
+  const inWindow = time >= pool.startTime && time < pool.endTime;
+  // Funds and unsold tokens can only leave the pool once refunds are off after a successful sale,
+  // and only if what is left after refunds still meets the soft cap
+  const releasable = pool.idoEnded && pool.totalRaised - pool.totalRefunded >= pool.softCap && !pool.refundEnabled;
+  const settled = !user || (!user.hasRefunded && !user.hasClaimedTokens);
+  const hasOwedTokens = !user || toBigInt(user.owedTokens) > BigInt(0);
+  const hasContribution = !user || toBigInt(user.contributedAmount) > BigInt(0);
+  // Only the tokens vested so far can be claimed
+  const hasVestedTokens = !user || state.tgeUnlockBps === undefined ||
+    vestedAmount(toBigInt(user.owedTokens) + toBigInt(user.claimedTokens), state, now) > toBigInt(user.claimedTokens);
+
+  // With rounds, purchases are priced at the current round and fail while none is open
+  const hasRounds = Boolean(state.rounds && state.rounds.length > 0);
+  const round = hasRounds ? currentRound(state.rounds, now) : null;
+  const price = hasRounds ? (round ? round.price : BigInt(0)) : pool.tokenPrice;
+
+  const userActions = {
+    // At least one IDO token unit must still fit under the hard cap
+    buyTokens: pool.idoActive && inWindow && price > BigInt(0) && pool.hardCap - pool.totalRaised >= price,
+    claimIDOTokens: pool.idoEnded && pool.totalRaised >= pool.softCap && !pool.refundEnabled &&
+      settled && hasOwedTokens && hasVestedTokens,
+    // A partial claim rules out a refund
+    claimRefundUser: pool.refundEnabled && settled && hasContribution && toBigInt(user && user.claimedTokens) === BigInt(0),
+    // Anyone may end the sale once it is over or sold out
+    endIDO: pool.idoActive && (time >= pool.endTime || pool.totalRaised >= pool.hardCap)
+  };
+
+  const adminActions = {
+    setIDOParameters: !pool.idoActive,
+    updateTokenPrice: !pool.idoActive,
+    updateCaps: !pool.idoActive,
+    updateSchedule: !pool.idoActive,
+    setVesting: !pool.idoActive && !pool.idoEnded,
+    setRounds: !pool.idoActive && !pool.idoEnded,
+    startIDO: !pool.idoActive && !pool.idoEnded && time >= pool.startTime && time < pool.endTime,
+    endIDO: pool.idoActive,
+    // Once anyone has claimed IDO tokens, a refund would lock the rest of their tokens in the pool
+    triggerGlobalRefund: !pool.refundEnabled && !pool.fundsWithdrawn && pool.totalClaimedIDOTokens === BigInt(0),
+    disableGlobalRefund: pool.refundEnabled,
+    withdrawFunds: releasable && !pool.fundsWithdrawn,
+    recoverUnsoldTokens: releasable
+  };
+
+  return { phase, label: PHASE_LABELS[phase], userActions, adminActions };
+}
+
+module.exports = {
+  PHASES,
+  PHASE_LABELS,
+  getPhase,
+  getPoolStatus
+};
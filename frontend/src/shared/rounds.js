@@ -0,0 +1,150 @@
+/* global BigInt */
+/*
+ * Sale rounds shared by the dApp and the Hardhat tasks.
+ *
+ * Mirrors IDOPool.currentRound and _buyFromRounds: a round is open from its start to its end time
+ * until it raises its cap, and a purchase fills the current round, then any later round that is
+ * open at the same time. Same conventions as poolStatus.js: CommonJS, amounts as BigNumbers,
+ * bigints or numbers.
+ */
+
+const ZERO = BigInt(0);
+
+const ROUND_STATES = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  SOLD_OUT: 'sold-out',
+  ENDED: 'ended'
+};
+
+function toBigInt(value) {
+  return BigInt(value ? value.toString() : 0);
+}
+
+/**
+ * Normalizes the rounds read from the contract
+ * @param {Array<object>} [rounds] { name, startTime, endTime, price, cap, raised } per round, raised
+ * being the round's roundRaised
+ * @returns {Array<object>} The same fields with numeric values as bigints, plus the round's index
+ */
+function normalizeRounds(rounds) {
+  return (rounds || []).map((round, index) => ({
+    index,
+    name: round.name || `Round ${index + 1}`,
+    startTime: toBigInt(round.startTime),
+    endTime: toBigInt(round.endTime),
+    price: toBigInt(round.price),
+    cap: toBigInt(round.cap),
+    raised: toBigInt(round.raised)
+  }));
+}
+
+/**
+ * Whether a round is upcoming, open, sold out or over
+ * @param {object} round A normalized round
+ * @param {number} now Block timestamp, in seconds
+ * @returns {string} One of ROUND_STATES
+ */
+function roundState(round, now) {
+  const time = BigInt(Math.floor(now));
+  if (time < round.startTime) return ROUND_STATES.UPCOMING;
+  if (time >= round.endTime) return ROUND_STATES.ENDED;
+  if (round.cap !== ZERO && round.raised >= round.cap) return ROUND_STATES.SOLD_OUT;
+  return ROUND_STATES.OPEN;
+}
+
+// Payment a round can still take, or null without a cap
+function roundRoom(round) {
+  if (round.cap === ZERO) return null;
+  return round.cap > round.raised ? round.cap - round.raised : ZERO;
+}
+
+/**
+ * Finds the round purchases are priced at, as IDOPool.currentRound does
+ * @param {Array<object>} rounds The pool's rounds (see normalizeRounds), raw or normalized
+ * @param {number} now Block timestamp, in seconds
+ * @returns {object|null} The normalized round, or null if none is open
+ */
+function currentRound(rounds, now) {
+  return normalizeRounds(rounds).find((round) => roundState(round, now) === ROUND_STATES.OPEN) || null;
+}
+
+/**
+ * Prices a purchase at the open rounds, as IDOPool._buyFromRounds does
+ * @param {Array<object>} rounds The pool's rounds
+ * @param {*} paymentAmount Payment in payment-token base units
+ * @param {number} now Block timestamp, in seconds
+ * @returns {{segments: Array<{round: object, payment: bigint, idoTokens: bigint}>, idoTokens: bigint,
+ *   dust: bigint, unfilled: bigint}} One segment per round the purchase buys from; `dust` is the part
+ * of the payment that buys nothing because of the integer division, `unfilled` what no open round can
+ * take (the contract then reverts with "Purchase exceeds round capacity")
+ */
+function quotePurchase(rounds, paymentAmount, now) {
+  const segments = [];
+  let remaining = toBigInt(paymentAmount);
+  let idoTokens = ZERO;
+  let dust = ZERO;
+
+  normalizeRounds(rounds)
+    .filter((round) => roundState(round, now) === ROUND_STATES.OPEN)
+    .forEach((round) => {
+      if (remaining === ZERO) return;
+      const room = roundRoom(round);
+      const payment = room !== null && room < remaining ? room : remaining;
+      const tokens = payment / round.price;
+      segments.push({ round, payment, idoTokens: tokens });
+      idoTokens += tokens;
+      dust += payment - tokens * round.price;
+      remaining -= payment;
+    });
+
+  return { segments, idoTokens, dust, unfilled: remaining };
+}
+
+/**
+ * Sums what the open rounds can still take
+ * @param {Array<object>} rounds The pool's rounds
+ * @param {number} now Block timestamp, in seconds
+ * @returns {bigint|null} The payment in base units, or null if an open round has no cap
+ */
+function openCapacity(rounds, now) {
+  let total = ZERO;
+  for (const round of normalizeRounds(rounds)) {
+    if (roundState(round, now) !== ROUND_STATES.OPEN) continue;
+    const room = roundRoom(round);
+    if (room === null) return null;
+    total += room;
+  }
+  return total;
+}
+
+/**
+ * The most IDO tokens a payment could still buy from the rounds, at any time: the cheapest rounds
+ * are filled first
+ * @param {Array<object>} rounds The pool's rounds
+ * @param {*} payment Payment left under the hard cap
+ * @returns {bigint} IDO-token base units
+ */
+function worstCaseTokens(rounds, payment) {
+  let remaining = toBigInt(payment);
+  let tokens = ZERO;
+  normalizeRounds(rounds)
+    .sort((a, b) => (a.price < b.price ? -1 : a.price > b.price ? 1 : 0))
+    .forEach((round) => {
+      const room = roundRoom(round);
+      const amount = room !== null && room < remaining ? room : remaining;
+      tokens += amount / round.price;
+      remaining -= amount;
+    });
+  return tokens;
+}
+
+module.exports = {
+  ROUND_STATES,
+  normalizeRounds,
+  roundState,
+  currentRound,
+  quotePurchase,
+  openCapacity,
+  worstCaseTokens
+};
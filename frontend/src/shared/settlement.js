@@ -0,0 +1,232 @@
+/* global BigInt */
+/*
+ * Post-IDO settlement report shared by the dApp and the Hardhat tasks.
+ *
+ * Rebuilds every participant's state by replaying the pool's TokensPurchased, RefundClaimed and
+ * IDOTokensClaimed events the same way the contract updates its mappings, then checks the result
+ * against the mappings themselves. Same conventions as poolStatus.js.
+ */
+
+const ZERO = BigInt(0);
+
+function toBigInt(value) {
+  return BigInt(value ? value.toString() : 0);
+}
+
+/**
+ * Formats base units with the given decimals, e.g. 1500000000000000000n with 18 decimals -> "1.5"
+ * @param {bigint} value Amount in base units
+ * @param {number} decimals Token decimals
+ * @returns {string}
+ */
+function formatUnits(value, decimals) {
+  const negative = value < ZERO;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Replays the activity events into per-address totals and the mapping values they imply
+ * @param {Array<{type: string, user: string, paymentAmount: *, idoTokenAmount: *}>} activity Events, oldest first
+ * @returns {Object<string, object>} Participants keyed by lower-case address
+ */
+function replaySettlement(activity) {
+  const participants = {};
+
+  activity.forEach((entry) => {
+    const key = entry.user.toLowerCase();
+    if (!participants[key]) {
+      participants[key] = {
+        address: entry.user,
+        purchases: 0,
+        paid: ZERO,
+        tokensPurchased: ZERO,
+        refunded: ZERO,
+        claimed: ZERO,
+        expected: { contributed: ZERO, owed: ZERO, hasRefunded: false, hasClaimed: false }
+      };
+    }
+    const participant = participants[key];
+    const { expected } = participant;
+
+    // Mirrors buyTokens, claimRefundUser and claimIDOTokens
+    if (entry.type === 'TokensPurchased') {
+      participant.purchases += 1;
+      participant.paid += toBigInt(entry.paymentAmount);
+      participant.tokensPurchased += toBigInt(entry.idoTokenAmount);
+      expected.contributed += toBigInt(entry.paymentAmount);
+      expected.owed += toBigInt(entry.idoTokenAmount);
+    } else if (entry.type === 'RefundClaimed') {
+      participant.refunded += toBigInt(entry.paymentAmount);
+      expected.contributed = ZERO;
+      expected.owed = ZERO;
+      expected.hasRefunded = true;
+    } else if (entry.type === 'IDOTokensClaimed') {
+      // With vesting a claim may be partial; the position is settled once nothing is owed
+      participant.claimed += toBigInt(entry.idoTokenAmount);
+      expected.owed -= toBigInt(entry.idoTokenAmount);
+      expected.hasClaimed = expected.owed === ZERO;
+    }
+  });
+
+  return participants;
+}
+
+/**
+ * Builds the settlement report of a pool
+ * @param {object} params
+ * @param {string} params.pool The pool address
+ * @param {object} params.state Pool state: { totalRaised, refundEnabled, ... }, and `totalRefunded` to check it too
+ * @param {Array} params.activity Activity events, oldest first
+ * @param {Object<string, object>} params.onChain Mapping values keyed by lower-case address:
+ * { contributed, owed, hasRefunded, hasClaimed }
+ * @param {{payment: {symbol, decimals}, ido: {symbol, decimals}}} params.tokens Token metadata
+ * @param {number} params.blockNumber Block the report was built at
+ * @param {string} [params.phase] Pool phase label
+ * @returns {object} The report, with amounts as human-readable strings
+ */
+function buildSettlementReport({ pool, state, activity, onChain, tokens, blockNumber, phase }) {
+  const pay = (value) => formatUnits(value, tokens.payment.decimals);
+  const ido = (value) => formatUnits(value, tokens.ido.decimals);
+  const participants = Object.values(replaySettlement(activity));
+  const mismatches = [];
+  const totals = {
+    paid: ZERO,
+    refunded: ZERO,
+    tokensPurchased: ZERO,
+    tokensClaimed: ZERO,
+    unclaimedTokens: ZERO,
+    outstandingRefunds: ZERO
+  };
+
+  const rows = participants.map((participant) => {
+    const { expected } = participant;
+    const actual = onChain[participant.address.toLowerCase()] || {};
+    const settled = expected.hasRefunded || expected.hasClaimed;
+
+    totals.paid += participant.paid;
+    totals.refunded += participant.refunded;
+    totals.tokensPurchased += participant.tokensPurchased;
+    totals.tokensClaimed += participant.claimed;
+    // While refunds are enabled an unsettled position can only be refunded, otherwise only claimed;
+    // a partially claimed position can no longer be refunded
+    const refundable = state.refundEnabled && participant.claimed === ZERO;
+    if (!settled && refundable) totals.outstandingRefunds += expected.contributed;
+    else if (!settled) totals.unclaimedTokens += expected.owed;
+
+    // Compare each mapping with the value implied by the events
+    [
+      ['userContributedPaymentAmount', expected.contributed, toBigInt(actual.contributed), pay],
+      ['userOwedIDOTokens', expected.owed, toBigInt(actual.owed), ido],
+      ['userHasRefunded', expected.hasRefunded, Boolean(actual.hasRefunded), String],
+      ['userHasClaimedIDOTokens', expected.hasClaimed, Boolean(actual.hasClaimed), String]
+    ].forEach(([field, fromEvents, fromContract, format]) => {
+      if (fromEvents !== fromContract) {
+        mismatches.push({ address: participant.address, field, fromEvents: format(fromEvents), fromContract: format(fromContract) });
+      }
+    });
+
+    let status = 'pending';
+    if (expected.hasRefunded) status = 'refunded';
+    else if (expected.hasClaimed) status = 'claimed';
+    else if (participant.claimed > ZERO) status = 'partially claimed';
+    else if (state.refundEnabled) status = 'refund outstanding';
+    else if (expected.owed > ZERO) status = 'unclaimed';
+
+    return {
+      address: participant.address,
+      purchases: participant.purchases,
+      paid: pay(participant.paid),
+      tokensPurchased: ido(participant.tokensPurchased),
+      refunded: pay(participant.refunded),
+      claimed: ido(participant.claimed),
+      contributed: pay(toBigInt(actual.contributed)),
+      owed: ido(toBigInt(actual.owed)),
+      hasRefunded: Boolean(actual.hasRefunded),
+      hasClaimed: Boolean(actual.hasClaimed),
+      status
+    };
+  });
+
+  // totalRaised only ever grows, so it must equal every payment ever made
+  const totalRaised = toBigInt(state.totalRaised);
+  if (totalRaised !== totals.paid) {
+    mismatches.push({ address: pool, field: 'totalRaised', fromEvents: pay(totals.paid), fromContract: pay(totalRaised) });
+  }
+  if (state.totalRefunded !== undefined && toBigInt(state.totalRefunded) !== totals.refunded) {
+    mismatches.push({
+      address: pool,
+      field: 'totalRefunded',
+      fromEvents: pay(totals.refunded),
+      fromContract: pay(toBigInt(state.totalRefunded))
+    });
+  }
+
+  return {
+    pool,
+    blockNumber,
+    phase,
+    paymentToken: tokens.payment,
+    idoToken: tokens.ido,
+    totals: {
+      participants: rows.length,
+      totalRaised: pay(totalRaised),
+      paid: pay(totals.paid),
+      refunded: pay(totals.refunded),
+      netRaised: pay(totals.paid - totals.refunded),
+      tokensPurchased: ido(totals.tokensPurchased),
+      tokensClaimed: ido(totals.tokensClaimed),
+      unclaimedTokens: ido(totals.unclaimedTokens),
+      outstandingRefunds: pay(totals.outstandingRefunds)
+    },
+    participants: rows,
+    mismatches
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',');
+}
+
+/**
+ * Converts a settlement report to CSV: participants, then totals, then mismatches
+ * @param {object} report The report from buildSettlementReport
+ * @returns {string}
+ */
+function settlementToCsv(report) {
+  const pay = report.paymentToken.symbol;
+  const ido = report.idoToken.symbol;
+  const lines = [
+    csvRow([
+      'address', 'purchases', `paid (${pay})`, `tokens purchased (${ido})`, `refunded (${pay})`, `claimed (${ido})`,
+      `contributed on-chain (${pay})`, `owed on-chain (${ido})`, 'has refunded', 'has claimed', 'status'
+    ]),
+    ...report.participants.map((row) => csvRow([
+      row.address, row.purchases, row.paid, row.tokensPurchased, row.refunded, row.claimed,
+      row.contributed, row.owed, row.hasRefunded, row.hasClaimed, row.status
+    ])),
+    '',
+    csvRow(['total', 'value']),
+    csvRow(['pool', report.pool]),
+    csvRow(['block', report.blockNumber]),
+    ...Object.keys(report.totals).map((key) => csvRow([key, report.totals[key]])),
+    '',
+    csvRow(['mismatch address', 'field', 'from events', 'from contract']),
+    ...report.mismatches.map((mismatch) => csvRow([mismatch.address, mismatch.field, mismatch.fromEvents, mismatch.fromContract]))
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  formatUnits,
+  replaySettlement,
+  buildSettlementReport,
+  settlementToCsv
+};
@@ -0,0 +1,55 @@
+/* global BigInt */
+/*
+ * Pool solvency check shared by the dApp and the Hardhat tasks.
+ *
+ * claimIDOTokens pays out of the pool's own IDO token balance, so an underfunded pool lets early
+ * claimers through and makes late claimers revert. This compares the balance with what the pool
+ * can still owe, as its totalOwedIDOTokens reports it. Same conventions as poolStatus.js: CommonJS,
+ * amounts as BigNumbers, bigints or numbers.
+ */
+
+const { worstCaseTokens } = require('./rounds');
+
+function toBigInt(value) {
+  return BigInt(value ? value.toString() : 0);
+}
+
+function sameToken(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Compares the pool's IDO token balance with what it may have to pay out
+ * @param {object} state Pool state: { tokenPrice, hardCap, totalRaised, idoActive, idoEnded }, plus the
+ * `paymentToken` and `idoToken` addresses, the pool's `withdrawableFunds`, and `rounds` (see rounds.js)
+ * if the pool sells in rounds
+ * @param {*} balance The pool's IDO token balance
+ * @param {*} owed IDO tokens currently owed, the pool's totalOwedIDOTokens
+ * @returns {{basis: string, required: bigint, reserved: bigint, balance: bigint, shortfall: bigint, solvent: boolean}}
+ * `basis` is 'worst-case' while purchases are still possible (owed tokens plus everything the
+ * remaining hard cap could buy) and 'owed' once the sale has ended. When the payment token is also
+ * the IDO token, the raised funds sit in the same balance: they are `reserved` and part of `required`.
+ */
+function checkSolvency(state, balance, owed) {
+  const tokenPrice = toBigInt(state.tokenPrice);
+  const owedTokens = toBigInt(owed);
+  const poolBalance = toBigInt(balance);
+
+  let required = owedTokens;
+  let basis = 'owed';
+  const hasRounds = Boolean(state.rounds && state.rounds.length > 0);
+  if (!state.idoEnded && (tokenPrice > BigInt(0) || hasRounds)) {
+    const room = toBigInt(state.hardCap) - toBigInt(state.totalRaised);
+    if (room > BigInt(0)) required += hasRounds ? worstCaseTokens(state.rounds, room) : room / tokenPrice;
+    basis = 'worst-case';
+  }
+  const reserved = sameToken(state.paymentToken, state.idoToken) ? toBigInt(state.withdrawableFunds) : BigInt(0);
+  required += reserved;
+
+  const shortfall = required > poolBalance ? required - poolBalance : BigInt(0);
+  return { basis, required, reserved, balance: poolBalance, shortfall, solvent: shortfall === BigInt(0) };
+}
+
+module.exports = {
+  checkSolvency
+};
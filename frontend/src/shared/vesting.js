@@ -0,0 +1,114 @@
+/* global BigInt */
+/*
+ * Vesting schedule of the purchased IDO tokens, shared by the dApp and the Hardhat tasks.
+ *
+ * Mirrors IDOPool.tgeTime and vestedIDOTokens: `tgeUnlockBps` of a user's tokens unlock at the TGE (the
+ * vesting start, or the end of the IDO if that is later), and the rest vests linearly over
+ * `vestingDuration` seconds once `vestingCliff` seconds have passed since the TGE. Same conventions
+ * as poolStatus.js: CommonJS, amounts as BigNumbers, bigints or numbers.
+ */
+
+const BPS = BigInt(10000);
+const ZERO = BigInt(0);
+
+function toBigInt(value) {
+  return BigInt(value ? value.toString() : 0);
+}
+
+/**
+ * Normalizes the vesting parameters read from the contract
+ * @param {object} state { idoEnded, idoEndedAt, vestingStart, tgeUnlockBps, vestingCliff, vestingDuration }
+ * @returns {object} The same fields with numeric values as bigints. Without `tgeUnlockBps` (a pool read
+ * without its vesting parameters) everything unlocks at the TGE.
+ */
+function normalizeVesting(state) {
+  return {
+    idoEnded: Boolean(state.idoEnded),
+    idoEndedAt: toBigInt(state.idoEndedAt),
+    vestingStart: toBigInt(state.vestingStart),
+    tgeUnlockBps: state.tgeUnlockBps === undefined ? BPS : toBigInt(state.tgeUnlockBps),
+    vestingCliff: toBigInt(state.vestingCliff),
+    vestingDuration: toBigInt(state.vestingDuration)
+  };
+}
+
+/**
+ * TGE time, as IDOPool.tgeTime computes it
+ * @param {object} state Pool state, see normalizeVesting
+ * @returns {bigint} The TGE time in seconds, or 0 before the IDO ends
+ */
+function tgeTime(state) {
+  const vesting = normalizeVesting(state);
+  if (!vesting.idoEnded) return ZERO;
+  return vesting.vestingStart > vesting.idoEndedAt ? vesting.vestingStart : vesting.idoEndedAt;
+}
+
+/**
+ * Amount of a user's IDO tokens vested at a given time, as IDOPool.vestedIDOTokens computes it
+ * @param {*} total The user's purchased IDO tokens (owed plus claimed)
+ * @param {object} state Pool state, see normalizeVesting
+ * @param {number} now Block timestamp, in seconds
+ * @returns {bigint}
+ */
+function vestedAmount(total, state, now) {
+  const vesting = normalizeVesting(state);
+  const amount = toBigInt(total);
+  const time = BigInt(Math.floor(now));
+  const tge = tgeTime(state);
+  if (tge === ZERO || time < tge) return ZERO;
+
+  const unlockedAtTge = (amount * vesting.tgeUnlockBps) / BPS;
+  const cliffEnd = tge + vesting.vestingCliff;
+  if (time < cliffEnd) return unlockedAtTge;
+  if (time >= cliffEnd + vesting.vestingDuration) return amount;
+  return unlockedAtTge + ((amount - unlockedAtTge) * (time - cliffEnd)) / vesting.vestingDuration;
+}
+
+/**
+ * Describes where a user stands in the vesting schedule
+ * @param {object} state Pool state, see normalizeVesting
+ * @param {object} user { owedTokens, claimedTokens }
+ * @param {number} now Block timestamp, in seconds
+ * @returns {{total: bigint, claimed: bigint, claimable: bigint, locked: bigint, tge: bigint,
+ *   cliffEnd: bigint, vestingEnd: bigint, nextUnlock: bigint|null, vestingLinearly: boolean}}
+ * Times are 0 before the IDO ends. `nextUnlock` is the next TGE or cliff unlock, or the end of the
+ * vesting while tokens vest linearly; null once everything has vested.
+ */
+function vestingPosition(state, user, now) {
+  const vesting = normalizeVesting(state);
+  const claimed = toBigInt(user.claimedTokens);
+  const total = toBigInt(user.owedTokens) + claimed;
+  const vested = vestedAmount(total, state, now);
+  const time = BigInt(Math.floor(now));
+
+  const tge = tgeTime(state);
+  const cliffEnd = tge === ZERO ? ZERO : tge + vesting.vestingCliff;
+  const vestingEnd = tge === ZERO ? ZERO : cliffEnd + vesting.vestingDuration;
+
+  let nextUnlock = null;
+  if (tge !== ZERO && vested < total) {
+    if (time < tge) nextUnlock = tge;
+    else if (time < cliffEnd) nextUnlock = cliffEnd;
+    else nextUnlock = vestingEnd;
+  }
+
+  return {
+    total,
+    claimed,
+    claimable: vested > claimed ? vested - claimed : ZERO,
+    locked: total - vested,
+    tge,
+    cliffEnd,
+    vestingEnd,
+    nextUnlock,
+    vestingLinearly: tge !== ZERO && time >= cliffEnd && time < vestingEnd && vested < total
+  };
+}
+
+module.exports = {
+  BPS,
+  normalizeVesting,
+  tgeTime,
+  vestedAmount,
+  vestingPosition
+};
@@ -0,0 +1,66 @@
+import { ethers } from 'ethers';
+import { PACE_WINDOW, buildRaiseSeries, projectRaise } from '../raiseProjection';
+
+const { BigNumber } = ethers;
+const HOUR = 3600;
+
+// A ten hour sale that raised 10 in each of its first two hours
+const activity = [
+  { type: 'TokensPurchased', blockNumber: 3, logIndex: 0, paymentAmount: BigNumber.from(10) },
+  { type: 'RefundClaimed', blockNumber: 4, logIndex: 0, paymentAmount: BigNumber.from(10) },
+  { type: 'TokensPurchased', blockNumber: 2, logIndex: 1, paymentAmount: BigNumber.from(10) },
+  { type: 'TokensPurchased', blockNumber: 5, logIndex: 0, paymentAmount: BigNumber.from(99) }
+];
+const timestamps = { 2: HOUR, 3: 2 * HOUR, 4: 2 * HOUR };
+
+function poolInfo(overrides = {}) {
+  return {
+    startTime: BigNumber.from(0),
+    endTime: BigNumber.from(10 * HOUR),
+    softCap: BigNumber.from(50),
+    hardCap: BigNumber.from(200),
+    totalRaised: BigNumber.from(20),
+    ...overrides
+  };
+}
+
+describe('buildRaiseSeries', () => {
+  it('sums the purchases with a known block time, oldest first', () => {
+    const series = buildRaiseSeries(activity, timestamps);
+    expect(series.map((point) => point.time)).toEqual([HOUR, 2 * HOUR]);
+    expect(series.map((point) => point.totalRaised.toNumber())).toEqual([10, 20]);
+  });
+});
+
+describe('projectRaise', () => {
+  const series = buildRaiseSeries(activity, timestamps);
+
+  it('is null outside the sale', () => {
+    expect(projectRaise(series, poolInfo(), 0)).toBeNull();
+    expect(projectRaise(series, poolInfo(), 10 * HOUR)).toBeNull();
+  });
+
+  it('extrapolates the pace so far to the end of the sale', () => {
+    const projection = projectRaise(series, poolInfo(), 2 * HOUR);
+    expect(projection.ratePerHour.toNumber()).toBe(10);
+    expect(projection.projectedTotal.toNumber()).toBe(100);
+    expect(projection.softCapAt).toBe(5 * HOUR);
+    expect(projection.hardCapAt).toBeNull();
+    expect(projection.reachesSoftCap).toBe(true);
+  });
+
+  it('stops at the hard cap', () => {
+    const projection = projectRaise(series, poolInfo({ hardCap: BigNumber.from(60) }), 2 * HOUR);
+    expect(projection.projectedTotal.toNumber()).toBe(60);
+    expect(projection.hardCapAt).toBe(6 * HOUR);
+  });
+
+  it('only takes the pace of the last PACE_WINDOW seconds', () => {
+    // The window starts after the first purchase, leaving 10 raised over PACE_WINDOW seconds
+    const projection = projectRaise(series, poolInfo(), HOUR + PACE_WINDOW);
+    expect(projection.ratePerHour.toNumber()).toBe(Math.floor((10 * HOUR) / PACE_WINDOW));
+    expect(projection.projectedTotal.toNumber()).toBe(25);
+    expect(projection.reachesSoftCap).toBe(false);
+    expect(projection.softCapAt).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import {
+  formatTokenPrice,
+  maxPurchase,
+  parseTokenAmount,
+  parseTokenPrice,
+  previewPurchase,
+  spendableBalance
+} from '../tokenMath';
+
+const { BigNumber } = ethers;
+const units = (value) => ethers.utils.parseUnits(String(value), 18);
+
+// Pool state as fetchIdoInfo sets it: 1 payment token per IDO token (both with 18 decimals)
+function poolInfo(overrides = {}) {
+  return {
+    tokenPrice: BigNumber.from(1),
+    hardCap: units(100),
+    totalRaised: units(40),
+    rounds: [],
+    ...overrides
+  };
+}
+
+describe('previewPurchase', () => {
+  it('credits paymentAmount / tokenPrice and reports the dust', () => {
+    const preview = previewPurchase(BigNumber.from(1005), poolInfo({ tokenPrice: BigNumber.from(10) }), 0);
+    expect(preview.idoTokens.toString()).toBe('100');
+    expect(preview.dust.toString()).toBe('5');
+    expect(preview.tooSmall).toBe(false);
+  });
+
+  it('flags a payment below the price of one IDO token unit', () => {
+    const preview = previewPurchase(BigNumber.from(9), poolInfo({ tokenPrice: BigNumber.from(10) }), 0);
+    expect(preview.idoTokens.isZero()).toBe(true);
+    expect(preview.tooSmall).toBe(true);
+  });
+
+  it('buys nothing before the pool state has loaded', () => {
+    const preview = previewPurchase(units(1), { tokenPrice: 0, rounds: [] }, 0);
+    expect(preview.idoTokens.isZero()).toBe(true);
+    expect(preview.tooSmall).toBe(false);
+  });
+
+  it('spills over into the next open round and reports what no round can take', () => {
+    const rounds = [
+      { name: 'Seed', startTime: 0, endTime: 100, price: 1, cap: 50, raised: 40 },
+      { name: 'Public', startTime: 0, endTime: 100, price: 2, cap: 20, raised: 0 }
+    ];
+    const preview = previewPurchase(BigNumber.from(40), poolInfo({ rounds }), 10);
+    expect(preview.segments.map((segment) => segment.payment.toString())).toEqual(['10', '20']);
+    expect(preview.idoTokens.toString()).toBe('20');
+    expect(preview.unfilled.toString()).toBe('10');
+  });
+});
+
+describe('maxPurchase', () => {
+  it('returns zero while the pool state is still the initial one', () => {
+    const initial = { tokenPrice: 0, hardCap: 0, totalRaised: 0, rounds: [] };
+    expect(maxPurchase(BigNumber.from(0), initial).isZero()).toBe(true);
+    expect(maxPurchase(units(5), initial).isZero()).toBe(true);
+  });
+
+  it('is limited by the balance, the hard cap room and the allocation', () => {
+    expect(maxPurchase(units(10), poolInfo()).toString()).toBe(units(10).toString());
+    expect(maxPurchase(units(80), poolInfo()).toString()).toBe(units(60).toString());
+    expect(maxPurchase(units(80), poolInfo(), units(25)).toString()).toBe(units(25).toString());
+  });
+
+  it('rounds down to a whole number of IDO token units', () => {
+    const max = maxPurchase(BigNumber.from(1005), poolInfo({ tokenPrice: BigNumber.from(10) }));
+    expect(max.toString()).toBe('1000');
+  });
+
+  it('is limited by what the open rounds can still take', () => {
+    const rounds = [{ name: 'Seed', startTime: 0, endTime: 100, price: 3, cap: 100, raised: 0 }];
+    const max = maxPurchase(BigNumber.from(1000), poolInfo({ rounds }), null, 10);
+    expect(max.toString()).toBe('99');
+  });
+});
+
+describe('token prices', () => {
+  const payment = { decimals: 18 };
+  const ido = { decimals: 6 };
+
+  it('converts between the on-chain price and the price of a whole IDO token', () => {
+    // 0.5 payment tokens per whole IDO token is 0.5e18 / 1e6 payment base units per IDO base unit
+    const price = parseTokenPrice('0.5', payment, ido);
+    expect(price.toString()).toBe('500000000000');
+    expect(formatTokenPrice(price, payment, ido)).toBe('0.5');
+  });
+
+  it('rejects prices that are not a whole number of base units', () => {
+    expect(parseTokenPrice('0.5', { decimals: 6 }, { decimals: 18 })).toBeNull();
+    expect(parseTokenAmount('abc', payment)).toBeNull();
+  });
+});
+
+describe('spendableBalance', () => {
+  it('keeps a gas reserve of the native currency only', () => {
+    expect(spendableBalance(units(1), { decimals: 18 }).toString()).toBe(units(1).toString());
+    expect(spendableBalance(units(1), { decimals: 18, native: true }).toString()).toBe(units('0.99').toString());
+    expect(spendableBalance(units('0.001'), { decimals: 18, native: true }).isZero()).toBe(true);
+  });
+});
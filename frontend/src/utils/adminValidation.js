@@ -0,0 +1,233 @@
+import { ethers } from 'ethers';
+
+/*
+ * Client-side checks for the owner-only IDOPool functions.
+ * Each validator mirrors the `require` statements of the matching contract function
+ * and returns a list of error messages (empty when the call would be accepted).
+ */
+
+/**
+ * Converts a `datetime-local` input value into a unix timestamp in seconds
+ * @param {string} value The input value (e.g. "2025-01-31T12:00")
+ * @returns {number|null} The timestamp, or null if the value is empty or invalid
+ */
+export function parseDateTime(value) {
+  if (!value) return null;
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : Math.floor(millis / 1000);
+}
+
+/**
+ * Converts a unix timestamp in seconds into a `datetime-local` input value (local time)
+ * @param {number|ethers.BigNumber} timestamp The timestamp to convert
+ * @returns {string} The input value, or an empty string for an unset timestamp
+ */
+export function toDateTimeLocal(timestamp) {
+  const seconds = Number(timestamp ? timestamp.toString() : 0);
+  if (!seconds) return '';
+  const date = new Date(seconds * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Mirrors the schedule checks of setIDOParameters and updateSchedule
+function scheduleErrors(startTime, endTime, now) {
+  const errors = [];
+  if (startTime === null) {
+    errors.push('Start time is required');
+  } else if (startTime < now) {
+    errors.push('Start time must be in the future');
+  }
+  if (endTime === null) {
+    errors.push('End time is required');
+  } else if (startTime !== null && endTime <= startTime) {
+    errors.push('End time must be after start time');
+  }
+  return errors;
+}
+
+// Mirrors the token price check of setIDOParameters and updateTokenPrice
+function priceErrors(tokenPrice) {
+  if (tokenPrice === null) return ['Token price must be a valid number that the token decimals can represent'];
+  if (tokenPrice.lte(0)) return ['Token price must be greater than 0'];
+  return [];
+}
+
+// Mirrors the cap checks of setIDOParameters and updateCaps
+function capErrors(softCap, hardCap) {
+  const errors = [];
+  if (hardCap === null) {
+    errors.push('Hard cap must be a valid number');
+  } else if (hardCap.lte(0)) {
+    errors.push('Hard cap must be greater than 0');
+  }
+  if (softCap === null) {
+    errors.push('Soft cap must be a valid number');
+  } else if (softCap.lte(0) || (hardCap !== null && softCap.gt(hardCap))) {
+    errors.push('Soft cap must be > 0 and <= hard cap');
+  }
+  return errors;
+}
+
+/**
+ * Validates the arguments of setIDOParameters
+ * @param {object} params Parsed parameters (startTime, endTime, tokenPrice, softCap, hardCap)
+ * @param {object} idoInfo Current pool state
+ * @param {number} now Latest block timestamp
+ * @returns {string[]} Validation errors
+ */
+export function validateIDOParameters(params, idoInfo, now) {
+  const errors = idoInfo.idoActive ? ['IDO already active'] : [];
+  return errors.concat(
+    scheduleErrors(params.startTime, params.endTime, now),
+    priceErrors(params.tokenPrice),
+    capErrors(params.softCap, params.hardCap)
+  );
+}
+
+/**
+ * Validates the argument of updateTokenPrice
+ * @param {ethers.BigNumber|null} tokenPrice Parsed token price
+ * @param {object} idoInfo Current pool state
+ * @returns {string[]} Validation errors
+ */
+export function validateTokenPrice(tokenPrice, idoInfo) {
+  const errors = idoInfo.idoActive ? ['Cannot change price during active IDO'] : [];
+  return errors.concat(priceErrors(tokenPrice));
+}
+
+/**
+ * Validates the arguments of updateCaps
+ * @param {ethers.BigNumber|null} softCap Parsed soft cap
+ * @param {ethers.BigNumber|null} hardCap Parsed hard cap
+ * @param {object} idoInfo Current pool state
+ * @returns {string[]} Validation errors
+ */
+export function validateCaps(softCap, hardCap, idoInfo) {
+  const errors = idoInfo.idoActive ? ['Cannot change caps during active IDO'] : [];
+  return errors.concat(capErrors(softCap, hardCap));
+}
+
+/**
+ * Validates the arguments of updateSchedule
+ * @param {number|null} startTime Start timestamp
+ * @param {number|null} endTime End timestamp
+ * @param {object} idoInfo Current pool state
+ * @param {number} now Latest block timestamp
+ * @returns {string[]} Validation errors
+ */
+export function validateSchedule(startTime, endTime, idoInfo, now) {
+  const errors = idoInfo.idoActive ? ['Cannot change schedule during active IDO'] : [];
+  return errors.concat(scheduleErrors(startTime, endTime, now));
+}
+
+/**
+ * Converts a percentage input with at most two decimals into basis points
+ * @param {string} value The input value (e.g. "12.5")
+ * @returns {number|null} The basis points, or null if the value is empty or invalid
+ */
+export function parsePercentBps(value) {
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+}
+
+/**
+ * Converts a number of days into whole seconds
+ * @param {string} value The input value (e.g. "30" or "0.5"); empty means zero
+ * @returns {number|null} The seconds, or null if the value is invalid
+ */
+export function parseDays(value) {
+  if (String(value).trim() === '') return 0;
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? Math.round(days * 86400) : null;
+}
+
+/**
+ * Validates the arguments of setVesting
+ * @param {object} params Parsed parameters (vestingStart, tgeUnlockBps, vestingCliff, vestingDuration)
+ * @param {object} idoInfo Current pool state
+ * @returns {string[]} Validation errors
+ */
+export function validateVesting(params, idoInfo) {
+  const errors = idoInfo.idoActive || idoInfo.idoEnded ? ['Vesting can only be changed before the IDO starts'] : [];
+  if (params.tgeUnlockBps === null) {
+    errors.push('TGE unlock must be a percentage with at most two decimals');
+  } else if (params.tgeUnlockBps > 10000) {
+    errors.push('TGE unlock cannot exceed 100%');
+  }
+  if (params.vestingCliff === null) errors.push('Cliff must be a number of days');
+  if (params.vestingDuration === null) errors.push('Vesting duration must be a number of days');
+  return errors;
+}
+
+// Mirrors the checks withdrawFunds and recoverUnsoldTokens share
+function releaseErrors(treasury, idoInfo) {
+  const errors = [];
+  if (!ethers.utils.isAddress(treasury || '')) {
+    errors.push('Treasury must be a valid address');
+  } else if (ethers.BigNumber.from(treasury).isZero()) {
+    errors.push('Treasury cannot be zero address');
+  }
+  if (!idoInfo.idoEnded) errors.push('IDO not ended');
+  else if (ethers.BigNumber.from(idoInfo.totalRaised).lt(idoInfo.softCap)) errors.push('Soft cap not met');
+  else if (ethers.BigNumber.from(idoInfo.totalRaised).sub(idoInfo.totalRefunded || 0).lt(idoInfo.softCap)) {
+    errors.push('Refunds took the raise below the soft cap');
+  }
+  if (idoInfo.refundEnabled) errors.push('Refunds are active, cannot withdraw');
+  return errors;
+}
+
+/**
+ * Validates the argument of withdrawFunds
+ * @param {string} treasury The address receiving the funds
+ * @param {object} idoInfo Current pool state, with fundsWithdrawn and withdrawableFunds
+ * @returns {string[]} Validation errors
+ */
+export function validateWithdrawFunds(treasury, idoInfo) {
+  const errors = releaseErrors(treasury, idoInfo);
+  if (idoInfo.fundsWithdrawn) errors.push('Funds already withdrawn');
+  else if (ethers.BigNumber.from(idoInfo.withdrawableFunds).isZero()) errors.push('No funds to withdraw');
+  return errors;
+}
+
+/**
+ * Validates the argument of recoverUnsoldTokens
+ * @param {string} treasury The address receiving the tokens
+ * @param {object} idoInfo Current pool state, with unsoldTokens
+ * @returns {string[]} Validation errors
+ */
+export function validateRecoverUnsoldTokens(treasury, idoInfo) {
+  const errors = releaseErrors(treasury, idoInfo);
+  if (ethers.BigNumber.from(idoInfo.unsoldTokens).isZero()) errors.push('No unsold tokens to recover');
+  return errors;
+}
+
+// Mirrors IDOPool.MAX_ROUNDS
+export const MAX_ROUNDS = 10;
+
+/**
+ * Validates the argument of setRounds
+ * @param {Array<object>} rounds Parsed rounds (name, startTime, endTime, price, cap), invalid inputs as null
+ * @param {object} idoInfo Current pool state
+ * @returns {string[]} Validation errors
+ */
+export function validateRounds(rounds, idoInfo) {
+  const errors = idoInfo.idoActive || idoInfo.idoEnded ? ['Rounds can only be changed before the IDO starts'] : [];
+  if (rounds.length > MAX_ROUNDS) errors.push(`At most ${MAX_ROUNDS} rounds are allowed`);
+  rounds.forEach((round, i) => {
+    const label = round.name || `Round ${i + 1}`;
+    if (round.price === null) errors.push(`${label}: price must be a valid number that the token decimals can represent`);
+    else if (round.price.lte(0)) errors.push(`${label}: price must be greater than 0`);
+    if (round.startTime === null) errors.push(`${label}: start time is required`);
+    if (round.endTime === null) errors.push(`${label}: end time is required`);
+    else if (round.startTime !== null && round.endTime <= round.startTime) errors.push(`${label}: must end after it starts`);
+    if (round.cap === null) errors.push(`${label}: cap must be a valid number (0 for no cap)`);
+    const previous = rounds[i - 1];
+    if (previous && previous.startTime !== null && round.startTime !== null && round.startTime < previous.startTime) {
+      errors.push(`${label}: rounds must be ordered by start time`);
+    }
+  });
+  return errors;
+}
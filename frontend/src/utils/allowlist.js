@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+
+/**
+ * Whether the pool only sells to allowlisted addresses
+ * @param {string} allowlistRoot The pool's allowlistRoot
+ * @returns {boolean}
+ */
+export function isAllowlistActive(allowlistRoot) {
+  return Boolean(allowlistRoot) && allowlistRoot !== ethers.constants.HashZero;
+}
+
+/**
+ * Finds an address's limits and proof in a published allowlist
+ * @param {object|null} allowlist The allowlist file (see loadAllowlist), already checked against the pool's root
+ * @param {string|null} account The address to look up
+ * @returns {{minContribution: ethers.BigNumber, maxContribution: ethers.BigNumber, proof: string[]}|null}
+ * The allocation argument of buyTokensAllowlisted, or null if the address is not listed
+ */
+export function allocationFor(allowlist, account) {
+  if (!allowlist || !account) return null;
+  const entry = allowlist.entries[ethers.utils.getAddress(account)];
+  if (!entry) return null;
+  return {
+    minContribution: ethers.BigNumber.from(entry.minContribution),
+    maxContribution: ethers.BigNumber.from(entry.maxContribution),
+    proof: entry.proof
+  };
+}
+
+/**
+ * Computes how much more an allowlisted address may contribute
+ * @param {object|null} allocation The address's allocation (see allocationFor)
+ * @param {ethers.BigNumber} contributedAmount What the address has contributed so far
+ * @returns {ethers.BigNumber|null} The remaining allocation, or null if it has no maximum
+ */
+export function remainingAllocation(allocation, contributedAmount) {
+  if (!allocation || allocation.maxContribution.isZero()) return null;
+  const remaining = allocation.maxContribution.sub(contributedAmount || 0);
+  return remaining.gt(0) ? remaining : ethers.constants.Zero;
+}
+
+/**
+ * Mirrors the allowlist checks of buyTokensAllowlisted
+ * @param {ethers.BigNumber} paymentAmount Payment in payment-token base units
+ * @param {object|null} allocation The buyer's allocation (see allocationFor), null if not listed
+ * @param {ethers.BigNumber} contributedAmount What the buyer has contributed so far
+ * @returns {string|null} The reason the contract would revert with, or null if the checks pass
+ */
+export function checkAllocation(paymentAmount, allocation, contributedAmount) {
+  if (!allocation) return 'Not on the allowlist';
+  const newContribution = ethers.BigNumber.from(contributedAmount || 0).add(paymentAmount);
+  if (newContribution.lt(allocation.minContribution)) return 'Below minimum contribution';
+  if (!allocation.maxContribution.isZero() && newContribution.gt(allocation.maxContribution)) {
+    return 'Exceeds maximum contribution';
+  }
+  return null;
+}
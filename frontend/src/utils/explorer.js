@@ -0,0 +1,23 @@
+// Block explorers of well-known chains; local chains (Ganache, Hardhat) have none
+const EXPLORERS = {
+  1: 'https://etherscan.io',
+  5: 'https://goerli.etherscan.io',
+  10: 'https://optimistic.etherscan.io',
+  56: 'https://bscscan.com',
+  137: 'https://polygonscan.com',
+  8453: 'https://basescan.org',
+  42161: 'https://arbiscan.io',
+  11155111: 'https://sepolia.etherscan.io'
+};
+
+/**
+ * Returns the block explorer URL of a transaction
+ * @param {number} chainId The chain the transaction was sent on
+ * @param {string} hash The transaction hash
+ * @param {string} [explorer] Explorer base URL from the pool configuration, overriding the default
+ * @returns {string|null} The URL, or null if the chain has no known explorer
+ */
+export function explorerTxUrl(chainId, hash, explorer) {
+  const baseUrl = explorer || EXPLORERS[chainId];
+  return baseUrl ? `${baseUrl.replace(/\/$/, '')}/tx/${hash}` : null;
+}
@@ -0,0 +1,67 @@
+import { ethers } from 'ethers';
+import { ACTIVITY_EVENTS } from './poolEvents';
+
+// Requests slower than this fall back to the RPC node
+const INDEXER_TIMEOUT = 5000;
+
+// Events requested per page (the indexer's maximum)
+const EVENTS_PAGE_SIZE = 1000;
+
+/**
+ * Reads a path from the indexer API (see `npx hardhat ido indexer`)
+ * @param {string} indexerUrl Base URL of the indexer, e.g. http://127.0.0.1:4000
+ * @param {string} path Path and query, e.g. /status
+ * @returns {Promise<object>} The decoded JSON response
+ */
+export async function fetchFromIndexer(indexerUrl, path) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), INDEXER_TIMEOUT);
+  try {
+    const response = await fetch(`${indexerUrl.replace(/\/$/, '')}${path}`, { signal: controller.signal });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `Indexer request failed (${response.status})`);
+    }
+    return body;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Loads the complete purchase, refund and claim history of a pool from the indexer, in the same
+ * shape as fetchActivity in poolEvents.js
+ * @param {string} indexerUrl Base URL of the indexer
+ * @param {string} poolAddress The pool the indexer is expected to follow
+ * @returns {Promise<{entries: Array, timestamps: Object<number, number>, startBlock: number, indexedBlock: number}>}
+ * Entries oldest first, block timestamps, and the range of blocks the indexer has processed
+ */
+export async function fetchIndexedActivity(indexerUrl, poolAddress) {
+  const status = await fetchFromIndexer(indexerUrl, '/status');
+  if (status.pool.toLowerCase() !== poolAddress.toLowerCase()) {
+    throw new Error(`The indexer follows ${status.pool}, not ${poolAddress}`);
+  }
+
+  const entries = [];
+  const timestamps = {};
+  const query = `/events?type=${ACTIVITY_EVENTS.join(',')}&toBlock=${status.indexedBlock}&limit=${EVENTS_PAGE_SIZE}`;
+  for (let offset = 0; ; offset += EVENTS_PAGE_SIZE) {
+    const { events } = await fetchFromIndexer(indexerUrl, `${query}&offset=${offset}`);
+    events.forEach((event) => {
+      entries.push({
+        id: event.id,
+        type: event.type,
+        user: ethers.utils.getAddress(event.user),
+        paymentAmount: ethers.BigNumber.from(event.paymentAmount),
+        idoTokenAmount: ethers.BigNumber.from(event.idoTokenAmount),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash
+      });
+      timestamps[event.blockNumber] = event.timestamp;
+    });
+    if (events.length < EVENTS_PAGE_SIZE) break;
+  }
+
+  return { entries, timestamps, startBlock: status.startBlock, indexedBlock: status.indexedBlock };
+}
@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+
+// Canonical Multicall3 deployment address (same on most public chains)
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Whether Multicall3 is deployed, cached per provider and address
+const deployments = new WeakMap();
+
+// Checks (once per provider) whether a Multicall3 contract exists at the given address
+function isMulticallDeployed(provider, address) {
+  if (!deployments.has(provider)) {
+    deployments.set(provider, {});
+  }
+  const cache = deployments.get(provider);
+  if (!(address in cache)) {
+    cache[address] = provider.getCode(address)
+      .then((code) => code !== '0x')
+      .catch(() => false);
+  }
+  return cache[address];
+}
+
+/**
+ * Performs several contract reads in a single RPC request through Multicall3.
+ * Falls back to parallel individual calls on chains without Multicall3 (e.g. a local Ganache).
+ * @param {ethers.providers.Provider} provider The provider to read from
+ * @param {Array<{contract: ethers.Contract, method: string, args?: Array}>} calls The reads to perform
+ * @param {string} [multicallAddress] Address of the Multicall3 contract on this chain
+ * @returns {Promise<Array>} The decoded results, in the same order as `calls`
+ */
+export async function multicall(provider, calls, multicallAddress = MULTICALL3_ADDRESS) {
+  if (!(await isMulticallDeployed(provider, multicallAddress))) {
+    return Promise.all(calls.map(({ contract, method, args = [] }) => contract[method](...args)));
+  }
+
+  const multicallContract = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+  const results = await multicallContract.callStatic.aggregate3(
+    calls.map(({ contract, method, args = [] }) => ({
+      target: contract.address,
+      allowFailure: false,
+      callData: contract.interface.encodeFunctionData(method, args)
+    }))
+  );
+
+  return results.map(({ returnData }, i) => {
+    const { contract, method } = calls[i];
+    const decoded = contract.interface.decodeFunctionResult(method, returnData);
+    return decoded.length === 1 ? decoded[0] : decoded;
+  });
+}
@@ -0,0 +1,86 @@
+import { ethers } from 'ethers';
+
+// EIP-2612 (and EIP-5267 domain) functions, which are not part of the plain ERC-20 ABI
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Signature versions tried for tokens that do not expose their EIP-712 domain
+const COMMON_VERSIONS = ['1', '2'];
+
+// How long a signed permit stays valid, in seconds
+export const PERMIT_VALIDITY = 20 * 60;
+
+/**
+ * Finds the EIP-712 domain a token signs permits with
+ * @param {string} tokenAddress The token address
+ * @param {ethers.providers.Provider} provider Provider used for the reads
+ * @param {string} owner Account the permit would be signed by
+ * @returns {Promise<object|null>} The domain, or null if the token does not support EIP-2612
+ */
+export async function fetchPermitDomain(tokenAddress, provider, owner) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, provider);
+
+  try {
+    // nonces() is read only to confirm the token implements EIP-2612
+    const [separator, { chainId }] = await Promise.all([
+      token.DOMAIN_SEPARATOR(),
+      provider.getNetwork(),
+      token.nonces(owner)
+    ]);
+
+    let candidates;
+    try {
+      const domain = await token.eip712Domain();
+      candidates = [{ name: domain.name, version: domain.version }];
+    } catch (error) {
+      const name = await token.name();
+      candidates = COMMON_VERSIONS.map((version) => ({ name, version }));
+    }
+
+    // Only trust a domain that reproduces the token's own separator
+    return candidates
+      .map((candidate) => ({ ...candidate, chainId, verifyingContract: tokenAddress }))
+      .find((domain) => ethers.utils._TypedDataEncoder.hashDomain(domain) === separator) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Asks the wallet to sign an EIP-2612 permit
+ * @param {ethers.Signer} signer The token owner
+ * @param {object} domain The token's EIP-712 domain, from fetchPermitDomain
+ * @param {string} spender The address allowed to spend the tokens
+ * @param {ethers.BigNumber} value The amount in base units
+ * @param {number} deadline Timestamp after which the permit is invalid
+ * @returns {Promise<{v: number, r: string, s: string}>} The signature components
+ */
+export async function signPermit(signer, domain, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(domain.verifyingContract, PERMIT_ABI, signer);
+  const nonce = await token.nonces(owner);
+
+  const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline
+  });
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { v, r, s };
+}
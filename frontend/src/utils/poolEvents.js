@@ -0,0 +1,126 @@
+import { ethers } from 'ethers';
+
+// Pool events that describe user activity
+export const ACTIVITY_EVENTS = ['TokensPurchased', 'RefundClaimed', 'IDOTokensClaimed'];
+
+// Number of blocks requested per eth_getLogs call (public RPCs usually cap the range)
+export const DEFAULT_LOG_PAGE_SIZE = 5000;
+
+// Converts a parsed pool log into a flat activity entry
+function toActivity(log, parsed) {
+  const entry = {
+    id: `${log.transactionHash}-${log.logIndex}`,
+    type: parsed.name,
+    user: parsed.args.user,
+    paymentAmount: ethers.constants.Zero,
+    idoTokenAmount: ethers.constants.Zero,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash
+  };
+
+  if (parsed.name === 'TokensPurchased') {
+    entry.paymentAmount = parsed.args.paymentAmount;
+    entry.idoTokenAmount = parsed.args.idoTokenAmount;
+  } else if (parsed.name === 'RefundClaimed') {
+    entry.paymentAmount = parsed.args.amount;
+  } else if (parsed.name === 'IDOTokensClaimed') {
+    entry.idoTokenAmount = parsed.args.amount;
+  }
+
+  return entry;
+}
+
+/**
+ * Fetches purchase, refund and claim activity of a pool within a block range
+ * @param {ethers.Contract} idoPool The IDOPool contract
+ * @param {number} fromBlock First block of the range (inclusive)
+ * @param {number} toBlock Last block of the range (inclusive)
+ * @param {string} [user] Only return activity of this address
+ * @returns {Promise<Array>} Activity entries, oldest first
+ */
+export async function fetchActivity(idoPool, fromBlock, toBlock, user) {
+  const topics = [ACTIVITY_EVENTS.map((name) => idoPool.interface.getEventTopic(name))];
+  if (user) {
+    topics.push(ethers.utils.hexZeroPad(user, 32).toLowerCase());
+  }
+
+  const logs = await idoPool.provider.getLogs({
+    address: idoPool.address,
+    topics,
+    fromBlock,
+    toBlock
+  });
+
+  return logs.map((log) => toActivity(log, idoPool.interface.parseLog(log)));
+}
+
+/**
+ * Fetches activity in pages of `pageSize` blocks, so long-running pools stay within RPC limits
+ * @param {ethers.Contract} idoPool The IDOPool contract
+ * @param {number} fromBlock First block of the range (inclusive)
+ * @param {number} toBlock Last block of the range (inclusive)
+ * @param {number} [pageSize] Maximum number of blocks per request
+ * @returns {Promise<Array>} Activity entries, oldest first
+ */
+export async function fetchActivityPaged(idoPool, fromBlock, toBlock, pageSize = DEFAULT_LOG_PAGE_SIZE) {
+  const entries = [];
+  for (let start = fromBlock; start <= toBlock; start += pageSize) {
+    const end = Math.min(start + pageSize - 1, toBlock);
+    entries.push(...(await fetchActivity(idoPool, start, end)));
+  }
+  return entries;
+}
+
+// Block timestamps never change, so they are cached for the lifetime of the page
+const blockTimestamps = new Map();
+
+/**
+ * Looks up the timestamps of the given blocks
+ * @param {ethers.providers.Provider} provider The provider to read from
+ * @param {number[]} blockNumbers Block numbers to look up
+ * @returns {Promise<Object<number, number>>} Timestamps keyed by block number
+ */
+export async function fetchBlockTimestamps(provider, blockNumbers) {
+  const missing = [...new Set(blockNumbers)].filter((n) => !blockTimestamps.has(n));
+  await Promise.all(missing.map(async (blockNumber) => {
+    const block = await provider.getBlock(blockNumber);
+    blockTimestamps.set(blockNumber, block.timestamp);
+  }));
+
+  const result = {};
+  blockNumbers.forEach((n) => { result[n] = blockTimestamps.get(n); });
+  return result;
+}
+
+/**
+ * Ranks contributors by their net contribution (purchases minus refunds)
+ * @param {Array} activity Activity entries, in any order
+ * @param {number} [limit] Maximum number of contributors to return
+ * @returns {Array<{user: string, contributed: ethers.BigNumber, idoTokens: ethers.BigNumber, purchases: number}>}
+ */
+export function buildLeaderboard(activity, limit = 10) {
+  const totals = {};
+  const chronological = [...activity].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  chronological.forEach((entry) => {
+    const key = entry.user.toLowerCase();
+    if (!totals[key]) {
+      totals[key] = { user: entry.user, contributed: ethers.constants.Zero, idoTokens: ethers.constants.Zero, purchases: 0 };
+    }
+    if (entry.type === 'TokensPurchased') {
+      totals[key].contributed = totals[key].contributed.add(entry.paymentAmount);
+      totals[key].idoTokens = totals[key].idoTokens.add(entry.idoTokenAmount);
+      totals[key].purchases += 1;
+    } else if (entry.type === 'RefundClaimed') {
+      // A refund clears the whole contribution
+      totals[key].contributed = ethers.constants.Zero;
+      totals[key].idoTokens = ethers.constants.Zero;
+    }
+  });
+
+  return Object.values(totals)
+    .filter((total) => total.contributed.gt(0))
+    .sort((a, b) => (b.contributed.gt(a.contributed) ? 1 : b.contributed.lt(a.contributed) ? -1 : 0))
+    .slice(0, limit);
+}
@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+
+// Purchases in this many trailing seconds set the pace of the projection
+export const PACE_WINDOW = 6 * 3600;
+
+/**
+ * Builds the running totalRaised after every purchase. Refunds do not lower totalRaised on-chain,
+ * so only TokensPurchased entries count.
+ * @param {Array} activity Activity entries, in any order
+ * @param {Object<number, number>} timestamps Block timestamps keyed by block number
+ * @returns {Array<{time: number, totalRaised: ethers.BigNumber}>} Points, oldest first; purchases
+ * whose block timestamp is not known yet are left out
+ */
+export function buildRaiseSeries(activity, timestamps) {
+  let totalRaised = ethers.constants.Zero;
+  return activity
+    .filter((entry) => entry.type === 'TokensPurchased' && timestamps[entry.blockNumber] !== undefined)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((entry) => {
+      totalRaised = totalRaised.add(entry.paymentAmount);
+      return { time: timestamps[entry.blockNumber], totalRaised };
+    });
+}
+
+// totalRaised as of `time`, from a series built by buildRaiseSeries
+function raisedAt(series, time) {
+  let raised = ethers.constants.Zero;
+  series.forEach((point) => {
+    if (point.time <= time) raised = point.totalRaised;
+  });
+  return raised;
+}
+
+/**
+ * Projects where the raise ends up if purchases keep coming at the pace of the last PACE_WINDOW
+ * seconds (or of the whole sale, if it started more recently)
+ * @param {Array<{time: number, totalRaised: ethers.BigNumber}>} series Running totals from buildRaiseSeries
+ * @param {object} idoInfo Pool state (startTime, endTime, softCap, hardCap, totalRaised as BigNumbers)
+ * @param {number} now Current block time in seconds
+ * @returns {{ratePerHour: ethers.BigNumber, projectedTotal: ethers.BigNumber, softCapAt: number|null,
+ * hardCapAt: number|null, reachesSoftCap: boolean}|null} The projection, or null before the sale
+ * has started or after it has ended
+ */
+export function projectRaise(series, idoInfo, now) {
+  const startTime = idoInfo.startTime.toNumber();
+  const endTime = idoInfo.endTime.toNumber();
+  if (now <= startTime || now >= endTime) return null;
+
+  const paceStart = Math.max(startTime, now - PACE_WINDOW);
+  const elapsed = now - paceStart;
+  const paceRaised = idoInfo.totalRaised.sub(raisedAt(series, paceStart));
+  const remaining = endTime - now;
+
+  let projectedTotal = idoInfo.totalRaised.add(paceRaised.mul(remaining).div(elapsed));
+  if (projectedTotal.gt(idoInfo.hardCap)) projectedTotal = idoInfo.hardCap;
+
+  // Time at which the pace reaches `target`, or null if it already has or would only after the end
+  const reachedAt = (target) => {
+    if (idoInfo.totalRaised.gte(target) || paceRaised.isZero()) return null;
+    const seconds = target.sub(idoInfo.totalRaised).mul(elapsed).add(paceRaised.sub(1)).div(paceRaised);
+    return seconds.lte(remaining) ? now + seconds.toNumber() : null;
+  };
+
+  return {
+    ratePerHour: paceRaised.mul(3600).div(elapsed),
+    projectedTotal,
+    softCapAt: reachedAt(idoInfo.softCap),
+    hardCapAt: reachedAt(idoInfo.hardCap),
+    reachesSoftCap: projectedTotal.gte(idoInfo.softCap)
+  };
+}
@@ -0,0 +1,334 @@
+import { ethers } from 'ethers';
+import { formatTokenAmount, previewPurchase } from './tokenMath';
+import { checkAllocation, isAllowlistActive, remainingAllocation } from './allowlist';
+import { vestingPosition } from '../shared/vesting';
+import { ROUND_STATES, currentRound, normalizeRounds, openCapacity, roundState } from '../shared/rounds';
+import { formatDuration } from './time';
+
+// Selector of the standard Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// Custom errors the pool or the OpenZeppelin tokens it calls can revert with
+const CUSTOM_ERRORS = new ethers.utils.Interface([
+  'error OwnableUnauthorizedAccount(address account)',
+  'error ReentrancyGuardReentrantCall()',
+  'error SafeERC20FailedOperation(address token)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+
+// Seconds from `now` until `timestamp`
+function secondsUntil(timestamp, now) {
+  return Number(timestamp.toString()) - now;
+}
+
+function hardCapRoom({ idoInfo, tokens }) {
+  const room = idoInfo.hardCap.sub(idoInfo.totalRaised);
+  return `${formatTokenAmount(room.gt(0) ? room : 0, tokens.payment)} ${tokens.payment.symbol}`;
+}
+
+// The buyer's allowlist limit, e.g. "5 USDC"
+function allocationLimit(amount, { tokens }) {
+  return `${formatTokenAmount(amount, tokens.payment)} ${tokens.payment.symbol}`;
+}
+
+// The smallest purchase: one IDO-token unit at the current price
+function minimumPurchase({ idoInfo, tokens, now }) {
+  const round = idoInfo.rounds && idoInfo.rounds.length > 0 ? currentRound(idoInfo.rounds, now) : null;
+  const price = round ? round.price.toString() : idoInfo.tokenPrice;
+  return `${formatTokenAmount(price, tokens.payment)} ${tokens.payment.symbol}`;
+}
+
+function timeUntilEnd({ idoInfo, now }) {
+  const timeLeft = secondsUntil(idoInfo.endTime, now);
+  return timeLeft > 0 ? ` The sale ends in ${formatDuration(timeLeft)}.` : '';
+}
+
+/*
+ * Plain explanations for the revert strings of IDOPool (and the custom errors above).
+ * Each entry receives the current context: { idoInfo, userInfo, tokens, now, allocation }.
+ */
+const EXPLANATIONS = {
+  // buyTokens
+  'IDO is not active': () =>
+    'The sale is not open: the admin has not started it yet, or it has already ended.',
+  'IDO is not in progress': ({ idoInfo, now }) => {
+    const timeLeft = secondsUntil(idoInfo.startTime, now);
+    return timeLeft > 0
+      ? `Purchases open at the start time, in ${formatDuration(timeLeft)}.`
+      : 'The sale window has closed; no more purchases are accepted.';
+  },
+  'Allowlist proof required': () =>
+    'This sale is limited to allowlisted addresses, and the purchase did not include an allowlist proof.',
+  'Not on the allowlist': () =>
+    'This wallet is not on the allowlist for this sale, or the allowlist published for the pool does not match the one set on the contract.',
+  'Below minimum contribution': (context) => {
+    const { allocation, userInfo } = context;
+    if (!allocation) return 'This purchase is below your minimum contribution.';
+    return `Your allocation requires a total contribution of at least ${allocationLimit(allocation.minContribution, context)}` +
+      ` (you have contributed ${allocationLimit(userInfo.contributedAmount, context)} so far).`;
+  },
+  'Exceeds maximum contribution': (context) => {
+    const { allocation, userInfo } = context;
+    if (!allocation) return 'This purchase exceeds your maximum contribution.';
+    return `Your allocation allows at most ${allocationLimit(allocation.maxContribution, context)} in total;` +
+      ` ${allocationLimit(remainingAllocation(allocation, userInfo.contributedAmount), context)} of it remains.`;
+  },
+  'Payment amount must be greater than 0': () =>
+    'Enter an amount greater than zero.',
+  'Purchase exceeds hard cap': (context) =>
+    `This purchase would exceed the hard cap. Only ${hardCapRoom(context)} can still be contributed.`,
+  'Payment amount too small': (context) =>
+    `The amount is too small to buy a single unit of the IDO token. The minimum purchase is ${minimumPurchase(context)}.`,
+  'No open round': ({ idoInfo, now }) => {
+    const next = normalizeRounds(idoInfo.rounds).find((round) => roundState(round, now) === ROUND_STATES.UPCOMING);
+    return next
+      ? `No sale round is open right now. The ${next.name} round opens in ${formatDuration(secondsUntil(next.startTime, now))}.`
+      : 'Every sale round has ended or sold out.';
+  },
+  'Purchase exceeds round capacity': ({ idoInfo, tokens, now }) => {
+    const capacity = openCapacity(idoInfo.rounds, now);
+    return `The open sale rounds can only take ${formatTokenAmount((capacity || 0).toString(), tokens.payment)} ${tokens.payment.symbol} more.`;
+  },
+  ERC20InsufficientBalance: ({ tokens }) =>
+    `Your ${tokens.payment.symbol} balance is too low for this purchase.`,
+  ERC20InsufficientAllowance: ({ tokens }) =>
+    `The pool is not approved to spend enough of your ${tokens.payment.symbol}. Approve the amount first.`,
+  'Pool does not accept native currency': ({ tokens }) =>
+    `This pool is paid in ${tokens.payment.symbol}, not in the network's native currency.`,
+  'Pool only accepts native currency': ({ tokens }) =>
+    `This pool is paid in ${tokens.payment.symbol}: send it with the purchase instead of approving a token.`,
+
+  // claimRefundUser
+  'Already refunded': () =>
+    'You have already claimed your refund.',
+  'Tokens already claimed': ({ userInfo }) =>
+    userInfo.owedTokens && !userInfo.owedTokens.isZero()
+      ? 'You have already claimed part of your IDO tokens, so the contribution can no longer be refunded.'
+      : 'You have already claimed your IDO tokens, so there is nothing left to claim or refund.',
+  'No contribution to refund': () =>
+    'This wallet has no contribution in the pool.',
+  'Refunds not enabled': (context) =>
+    'Refunds are only available if the sale ends below its soft cap or the admin triggers a global refund.' +
+    (context.idoInfo.idoActive ? timeUntilEnd(context) : ''),
+
+  // claimIDOTokens
+  'Contribution was refunded': () =>
+    'Your contribution was refunded, so there are no IDO tokens to claim.',
+  'No IDO tokens to claim': () =>
+    'This wallet has no IDO tokens to claim.',
+  'IDO not ended': (context) =>
+    'IDO tokens can be claimed once the sale has ended.' + timeUntilEnd(context),
+  'Soft cap not met': () =>
+    'The sale did not reach its soft cap, so tokens are not distributed. Claim a refund instead.',
+  'Refunds are active, cannot claim tokens': () =>
+    'A global refund is active, so tokens cannot be claimed. Claim a refund instead.',
+  'No vested tokens to claim yet': ({ idoInfo, userInfo, now }) => {
+    const { nextUnlock } = vestingPosition(idoInfo, userInfo, now);
+    return 'Everything vested so far has been claimed.' +
+      (nextUnlock ? ` More tokens unlock in ${formatDuration(Number(nextUnlock) - now)}.` : '');
+  },
+
+  // endIDO
+  'IDO not active': () =>
+    'The sale is not running, so there is nothing to end.',
+  'IDO not yet ended or hard cap not reached': (context) =>
+    `The sale can be ended once the end time passes or the hard cap is reached.${timeUntilEnd(context)} ${hardCapRoom(context)} of room is left before the hard cap.`,
+
+  // Admin functions
+  OwnableUnauthorizedAccount: () =>
+    'Only the pool owner can do this.',
+  'IDO cannot be started': () =>
+    'The sale is already running or has already ended.',
+  'IDO has not reached start time': ({ idoInfo, now }) =>
+    `The sale can be started once the start time is reached, in ${formatDuration(secondsUntil(idoInfo.startTime, now))}.`,
+  'IDO has already passed end time': () =>
+    'The end time has already passed. Update the schedule before starting the sale.',
+  'IDO already active': () =>
+    'Parameters cannot be changed while the sale is running.',
+  'Cannot change price during active IDO': () =>
+    'The price cannot be changed while the sale is running.',
+  'Cannot change caps during active IDO': () =>
+    'The caps cannot be changed while the sale is running.',
+  'Cannot change schedule during active IDO': () =>
+    'The schedule cannot be changed while the sale is running.',
+  'Vesting can only be changed before the IDO starts': () =>
+    'The vesting schedule is fixed once the sale has started.',
+  'TGE unlock cannot exceed 100%': () =>
+    'The share unlocked at the TGE must be between 0% and 100%.',
+  'Rounds can only be changed before the IDO starts': () =>
+    'The sale rounds are fixed once the sale has started.',
+  'Too many rounds': () =>
+    'A pool can have at most 10 sale rounds.',
+  'Round price must be greater than 0': () =>
+    'Every round needs a price greater than zero.',
+  'Round must end after it starts': () =>
+    'Every round must end after it starts.',
+  'Rounds must be ordered by start time': () =>
+    'List the rounds in the order they start.',
+  'Start time must be in the future': () =>
+    'The start time must be later than the current block time.',
+  'Global refund already active': () =>
+    'A global refund is already active.',
+  'IDO tokens already claimed': () =>
+    'Participants have already claimed IDO tokens, so a global refund would lock the rest of their tokens in the pool.',
+  'Global refund is not active': () =>
+    'There is no active global refund to disable.',
+  'Treasury cannot be zero address': () =>
+    'Enter the treasury address that should receive the funds.',
+  'Refunds are active, cannot withdraw': () =>
+    'A global refund is active, so the raised funds must stay in the pool. Disable the refund first.',
+  'Refunds took the raise below the soft cap': () =>
+    'Enough contributions were refunded to take the raise below the soft cap, so the rest stays in the pool for refunds.',
+  'Funds already withdrawn': () =>
+    'The raised funds have already been sent to the treasury, so they cannot be withdrawn or refunded again.',
+  'Native currency transfer failed': () =>
+    'The recipient did not accept the native currency. Use an address that can receive it.',
+  'No funds to withdraw': () =>
+    'Every contribution was refunded, so there are no funds to withdraw.',
+  'No unsold tokens to recover': () =>
+    'The pool holds no IDO tokens beyond what it owes to participants.'
+};
+
+// Searches a (possibly nested) provider error for the raw revert data
+function findRevertData(error) {
+  const seen = new Set();
+  const stack = [error];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+
+    if (typeof current.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(current.data)) {
+      return current.data;
+    }
+    if (typeof current.body === 'string') {
+      try {
+        stack.push(JSON.parse(current.body));
+      } catch (e) {
+        // Not a JSON-RPC response body
+      }
+    }
+    stack.push(current.error, current.data, current.originalError, current.info);
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the revert reason (require string or custom error name) from a failed call
+ * @param {Error} error The error thrown by ethers
+ * @returns {string|null} The reason, or null if none could be decoded
+ */
+export function decodeRevertReason(error) {
+  const data = findRevertData(error);
+  if (data) {
+    if (data.startsWith(ERROR_STRING_SELECTOR)) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    try {
+      return CUSTOM_ERRORS.parseError(data).name;
+    } catch (e) {
+      // Unknown custom error
+    }
+  }
+
+  if (error.reason && !error.reason.startsWith('missing revert data')) {
+    return error.reason.replace(/^execution reverted: /, '');
+  }
+
+  const message = (error.error && error.error.message) || error.message || '';
+  const match = message.match(/reverted with reason string '([^']*)'|execution reverted: ([^"\n]*)/);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Turns a revert reason into an explanation the user can act on
+ * @param {string|null} reason The decoded revert reason
+ * @param {object} context Current state: { idoInfo, userInfo, tokens, now, allocation }
+ * @returns {string} The explanation
+ */
+export function explainRevert(reason, context) {
+  if (!reason) {
+    return 'The transaction would fail, but the contract did not give a reason.';
+  }
+  const explain = EXPLANATIONS[reason];
+  return explain ? explain(context) : `The transaction would fail: ${reason}`;
+}
+
+/**
+ * Whether the user rejected the request in their wallet
+ * @param {Error} error The error thrown by ethers
+ * @returns {boolean}
+ */
+export function isUserRejection(error) {
+  return error.code === 'ACTION_REJECTED' || error.code === 4001 ||
+    (error.error && error.error.code === 4001);
+}
+
+/**
+ * Predicts the revert reason of buyTokens without calling it, so a purchase that would fail
+ * is caught before the user approves the payment token
+ * @param {ethers.BigNumber} paymentAmount Payment in payment-token base units
+ * @param {object} idoInfo Current pool state
+ * @param {number} now Latest block timestamp
+ * @param {object} [buyer] While an allowlist is active: the buyer's contributedAmount and allowlist
+ * allocation (null if not listed)
+ * @returns {string|null} The reason the contract would revert with, or null if the checks pass
+ */
+export function predictPurchaseRevert(paymentAmount, idoInfo, now, buyer) {
+  if (isAllowlistActive(idoInfo.allowlistRoot)) {
+    // Checked by buyTokensAllowlisted before the purchase itself
+    const reason = buyer ? checkAllocation(paymentAmount, buyer.allocation, buyer.contributedAmount) : 'Not on the allowlist';
+    if (reason) return reason;
+  }
+  if (!idoInfo.idoActive) return 'IDO is not active';
+  if (now < Number(idoInfo.startTime.toString()) || now >= Number(idoInfo.endTime.toString())) {
+    return 'IDO is not in progress';
+  }
+  if (paymentAmount.lte(0)) return 'Payment amount must be greater than 0';
+  if (idoInfo.totalRaised.add(paymentAmount).gt(idoInfo.hardCap)) return 'Purchase exceeds hard cap';
+  const preview = previewPurchase(paymentAmount, idoInfo, now);
+  if (idoInfo.rounds && idoInfo.rounds.length > 0) {
+    if (preview.segments.length === 0) return 'No open round';
+    if (preview.unfilled.gt(0)) return 'Purchase exceeds round capacity';
+  }
+  if (preview.idoTokens.isZero()) return 'Payment amount too small';
+  return null;
+}
+
+/**
+ * Error thrown when a pre-flight simulation shows that a transaction would revert
+ */
+export class SimulationError extends Error {
+  constructor(reason, explanation) {
+    super(explanation);
+    this.name = 'SimulationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Simulates a contract call with callStatic and estimateGas before it is sent
+ * @param {ethers.Contract} contract The contract to call
+ * @param {string} method The method name
+ * @param {Array} args The method arguments
+ * @param {function(): Promise<object>} getContext Resolves the context used to explain a revert
+ * @param {object} [overrides] Transaction overrides, e.g. the value of a native-currency purchase
+ * @returns {Promise<ethers.BigNumber>} The estimated gas limit
+ * @throws {SimulationError} If the call would revert
+ */
+export async function simulateTransaction(contract, method, args, getContext, overrides = {}) {
+  try {
+    await contract.callStatic[method](...args, overrides);
+    return await contract.estimateGas[method](...args, overrides);
+  } catch (error) {
+    const reason = decodeRevertReason(error);
+    if (!reason && error.code !== ethers.errors.CALL_EXCEPTION && error.code !== ethers.errors.UNPREDICTABLE_GAS_LIMIT) {
+      // Not a revert (e.g. a network error)
+      throw error;
+    }
+    throw new SimulationError(reason, explainRevert(reason, await getContext()));
+  }
+}
@@ -0,0 +1,50 @@
+import { PHASES } from '../shared/poolStatus';
+
+/**
+ * Formats a number of seconds as "1d 2h 3m 4s"
+ * @param {number} seconds Duration in seconds
+ * @returns {string} The formatted duration
+ */
+export function formatDuration(seconds) {
+  const timeLeft = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(timeLeft / 86400);
+  const hours = Math.floor((timeLeft % 86400) / 3600);
+  const minutes = Math.floor((timeLeft % 3600) / 60);
+  const secs = timeLeft % 60;
+
+  return `${days}d ${hours}h ${minutes}m ${secs}s`;
+}
+
+/**
+ * Reads the timestamp the next block will most likely get: the pending block's where the node
+ * serves one (Hardhat includes evm_increaseTime warps and the time since the last block there),
+ * or else the latest block's
+ * @param {ethers.providers.JsonRpcProvider} provider The provider to read from
+ * @returns {Promise<number>} The chain time in seconds
+ */
+export async function fetchChainTime(provider) {
+  try {
+    const pending = await provider.send('eth_getBlockByNumber', ['pending', false]);
+    if (pending && pending.timestamp) return Number(pending.timestamp);
+  } catch (error) {
+    // Not every node serves the pending block
+  }
+  const block = await provider.getBlock('latest');
+  return block.timestamp;
+}
+
+/**
+ * Describes the next scheduled event of a pool, if any
+ * @param {string} phase The pool phase (see shared/poolStatus.js)
+ * @param {{startTime: ethers.BigNumber, endTime: ethers.BigNumber}} state Pool schedule
+ * @param {number} now Chain time in seconds
+ * @returns {string} The countdown or waiting message, or an empty string
+ */
+export function describeCountdown(phase, state, now) {
+  if (phase === PHASES.SCHEDULED) return `Starts in: ${formatDuration(state.startTime.toNumber() - now)}`;
+  if (phase === PHASES.STARTABLE) {
+    return `Ready to start, waiting for admin (sale window closes in ${formatDuration(state.endTime.toNumber() - now)})`;
+  }
+  if (phase === PHASES.LIVE) return `Ends in: ${formatDuration(state.endTime.toNumber() - now)}`;
+  return '';
+}
@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import { openCapacity, quotePurchase } from '../shared/rounds';
+
+/*
+ * Amount conversions between base units and human-readable values.
+ * IDOPool prices are expressed in base units: a purchase of `paymentAmount` payment-token base units
+ * is credited `paymentAmount / tokenPrice` IDO-token base units (integer division), so the human
+ * price of one whole IDO token depends on the decimals of both tokens.
+ */
+
+// Used until a token's metadata has been loaded
+export const DEFAULT_TOKEN_METADATA = { symbol: '', decimals: 18 };
+
+// Native currency Max keeps in the wallet to pay for the purchase's gas, in whole units
+const NATIVE_GAS_RESERVE = '0.01';
+
+/**
+ * Reads the symbol and decimals of an ERC-20 token
+ * @param {ethers.Contract} token The token contract
+ * @returns {Promise<{address: string, symbol: string, decimals: number}>}
+ */
+export async function fetchTokenMetadata(token) {
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address: token.address, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Metadata of the chain's native currency, for a pool paid in it rather than in an ERC-20 token
+ * @param {{symbol: string, decimals: number}} nativeCurrency The chain's currency (see loadPoolConfig)
+ * @returns {{address: string, symbol: string, decimals: number, native: boolean}}
+ */
+export function nativeCurrencyMetadata(nativeCurrency) {
+  return { address: ethers.constants.AddressZero, ...nativeCurrency, native: true };
+}
+
+/**
+ * Formats a base-unit amount with the token's decimals
+ * @param {ethers.BigNumber|number} amount Amount in base units
+ * @param {{decimals: number}} token Token metadata
+ * @returns {string} The human-readable amount
+ */
+export function formatTokenAmount(amount, token) {
+  if (!amount) return '0';
+  return ethers.utils.formatUnits(amount, token.decimals);
+}
+
+/**
+ * Parses a human-readable amount into base units
+ * @param {string} value The amount entered by the user
+ * @param {{decimals: number}} token Token metadata
+ * @returns {ethers.BigNumber|null} The amount in base units, or null if the value is not a valid amount
+ */
+export function parseTokenAmount(value, token) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  try {
+    return ethers.utils.parseUnits(String(value).trim(), token.decimals);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Converts the on-chain token price into the price of one whole IDO token, in whole payment tokens
+ * @param {ethers.BigNumber} tokenPrice Payment-token base units per IDO-token base unit
+ * @param {{decimals: number}} paymentToken Payment token metadata
+ * @param {{decimals: number}} idoToken IDO token metadata
+ * @returns {string} The human-readable price
+ */
+export function formatTokenPrice(tokenPrice, paymentToken, idoToken) {
+  if (!tokenPrice) return '0';
+  const perWholeToken = ethers.BigNumber.from(tokenPrice).mul(ethers.BigNumber.from(10).pow(idoToken.decimals));
+  return ethers.utils.formatUnits(perWholeToken, paymentToken.decimals);
+}
+
+/**
+ * Converts a human price (whole payment tokens per whole IDO token) into the on-chain token price
+ * @param {string} value The price entered by the admin
+ * @param {{decimals: number}} paymentToken Payment token metadata
+ * @param {{decimals: number}} idoToken IDO token metadata
+ * @returns {ethers.BigNumber|null} The on-chain price, or null if the value is invalid or cannot be
+ * represented exactly in base units
+ */
+export function parseTokenPrice(value, paymentToken, idoToken) {
+  const perWholeToken = parseTokenAmount(value, paymentToken);
+  if (perWholeToken === null) return null;
+  const scale = ethers.BigNumber.from(10).pow(idoToken.decimals);
+  if (!perWholeToken.mod(scale).isZero()) return null;
+  return perWholeToken.div(scale);
+}
+
+// Whether the pool prices purchases at sale rounds instead of tokenPrice
+function hasRounds(idoInfo) {
+  return Boolean(idoInfo.rounds && idoInfo.rounds.length > 0);
+}
+
+/**
+ * Computes exactly what buyTokens will credit for a payment
+ * @param {ethers.BigNumber} paymentAmount Payment in payment-token base units
+ * @param {object} idoInfo Current pool state (tokenPrice, and rounds if the pool sells in rounds)
+ * @param {number} now Block timestamp, in seconds, which decides the open rounds
+ * @returns {{idoTokens: ethers.BigNumber, dust: ethers.BigNumber, tooSmall: boolean, segments: Array, unfilled: ethers.BigNumber}}
+ * `dust` is the part of the payment (in payment-token base units) that buys nothing because
+ * of the integer division, and `tooSmall` mirrors the contract's "Payment amount too small" check.
+ * With rounds, `segments` has the part bought in each round ({ round, payment, idoTokens }; more than
+ * one when the purchase fills a round and crosses into the next) and `unfilled` what no open round can take.
+ */
+export function previewPurchase(paymentAmount, idoInfo, now) {
+  const none = {
+    idoTokens: ethers.constants.Zero,
+    dust: ethers.constants.Zero,
+    tooSmall: false,
+    segments: [],
+    unfilled: ethers.constants.Zero
+  };
+  if (!paymentAmount) return none;
+
+  if (hasRounds(idoInfo)) {
+    const quote = quotePurchase(idoInfo.rounds, paymentAmount, now);
+    const toBigNumber = (value) => ethers.BigNumber.from(value.toString());
+    return {
+      idoTokens: toBigNumber(quote.idoTokens),
+      dust: toBigNumber(quote.dust),
+      tooSmall: quote.segments.length > 0 && quote.idoTokens.toString() === '0',
+      segments: quote.segments.map((segment) => ({
+        round: segment.round,
+        payment: toBigNumber(segment.payment),
+        idoTokens: toBigNumber(segment.idoTokens)
+      })),
+      unfilled: toBigNumber(quote.unfilled)
+    };
+  }
+
+  const tokenPrice = idoInfo.tokenPrice;
+  if (!tokenPrice || ethers.BigNumber.from(tokenPrice).isZero()) return none;
+  const idoTokens = paymentAmount.div(tokenPrice);
+  return {
+    ...none,
+    idoTokens,
+    dust: paymentAmount.sub(idoTokens.mul(tokenPrice)),
+    tooSmall: idoTokens.isZero()
+  };
+}
+
+/**
+ * The part of a wallet's balance a purchase can spend: all of it for an ERC-20 token, and all but a
+ * gas reserve for the native currency, which also pays for the transaction
+ * @param {ethers.BigNumber} balance The wallet's balance
+ * @param {{decimals: number, native?: boolean}} token Payment token metadata
+ * @returns {ethers.BigNumber} The spendable balance in base units
+ */
+export function spendableBalance(balance, token) {
+  if (!balance || !token.native) return balance;
+  const reserve = ethers.utils.parseUnits(NATIVE_GAS_RESERVE, token.decimals);
+  return balance.gt(reserve) ? balance.sub(reserve) : ethers.constants.Zero;
+}
+
+/**
+ * Computes the largest payment buyTokens will accept from a wallet
+ * @param {ethers.BigNumber} balance The wallet's payment-token balance
+ * @param {object} idoInfo Current pool state (hardCap, totalRaised, tokenPrice, rounds)
+ * @param {ethers.BigNumber|null} [allocationLeft] What the wallet's allowlist allocation still allows, if limited
+ * @param {number} [now] Block timestamp, in seconds, which decides the open rounds
+ * @returns {ethers.BigNumber} The payment in base units, rounded down to a whole number of IDO-token
+ * base units so no dust is spent, or zero if not even one unit can be bought
+ */
+export function maxPurchase(balance, idoInfo, allocationLeft, now) {
+  if (!balance) return ethers.constants.Zero;
+
+  // Until the pool state has loaded, the caps are still the plain zeros of the initial state
+  const room = ethers.BigNumber.from(idoInfo.hardCap || 0).sub(idoInfo.totalRaised || 0);
+  let limit = balance.lt(room) ? balance : room;
+  if (allocationLeft && allocationLeft.lt(limit)) limit = allocationLeft;
+
+  if (hasRounds(idoInfo)) {
+    const capacity = openCapacity(idoInfo.rounds, now);
+    if (capacity !== null && limit.gt(capacity.toString())) limit = ethers.BigNumber.from(capacity.toString());
+    if (limit.lte(0)) return ethers.constants.Zero;
+    // Only the round the purchase ends in can be rounded down; the rounds it fills are spent in full
+    const { segments } = previewPurchase(limit, idoInfo, now);
+    const last = segments[segments.length - 1];
+    if (!last) return ethers.constants.Zero;
+    const lastPrice = ethers.BigNumber.from(last.round.price.toString());
+    const max = limit.sub(last.payment.mod(lastPrice));
+    return previewPurchase(max, idoInfo, now).idoTokens.isZero() ? ethers.constants.Zero : max;
+  }
+
+  const tokenPrice = ethers.BigNumber.from(idoInfo.tokenPrice || 0);
+  if (tokenPrice.isZero() || limit.lt(tokenPrice)) return ethers.constants.Zero;
+  return limit.sub(limit.mod(tokenPrice));
+}
+
+/**
+ * Computes `value` as a whole percentage of `total`, capped at 100
+ * @param {ethers.BigNumber} value The part, e.g. totalRaised
+ * @param {ethers.BigNumber} total The whole, e.g. hardCap
+ * @returns {number} The percentage, or 0 when the total is unset
+ */
+export function percentOf(value, total) {
+  if (!value || !total || total.isZero()) return 0;
+  const percent = value.mul(100).div(total);
+  return percent.gt(100) ? 100 : percent.toNumber();
+}
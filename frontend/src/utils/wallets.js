@@ -0,0 +1,107 @@
+/*
+ * Wallet connectors. Each connector turns a wallet into an EIP-1193 provider:
+ * - injected wallets (browser extensions), discovered with EIP-6963 so several can coexist, with
+ *   a fallback to the legacy `window.ethereum` for wallets that do not announce themselves
+ * - WalletConnect, for mobile and remote wallets, when a project ID is configured
+ * Without a wallet the dApp reads through the chain's public RPC (see useWallet).
+ */
+
+export const WALLET_TYPES = {
+  INJECTED: 'injected',
+  WALLET_CONNECT: 'walletconnect'
+};
+
+/**
+ * Listens for injected wallets announced through EIP-6963
+ * @param {function(Array<{info: object, provider: object}>): void} onChange Called with every wallet
+ * announced so far, each time a new one is announced
+ * @returns {function(): void} Stops listening
+ */
+export function watchInjectedWallets(onChange) {
+  const announced = new Map();
+
+  function handleAnnounce(event) {
+    const { info, provider } = event.detail;
+    if (!info || !provider || announced.has(info.uuid)) return;
+    announced.set(info.uuid, { info, provider });
+    onChange([...announced.values()]);
+  }
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+}
+
+// Requests the accounts of an EIP-1193 provider; a silent request never opens a wallet prompt
+async function requestAccounts(ethereum, silent) {
+  return ethereum.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+}
+
+/**
+ * Connector for an injected wallet
+ * @param {{info: {uuid: string, name: string, icon: string, rdns: string}, provider: object}|null} detail
+ * An EIP-6963 announcement, or null for the legacy `window.ethereum`
+ * @returns {object} The connector
+ */
+export function injectedConnector(detail) {
+  const ethereum = detail ? detail.provider : window.ethereum;
+  return {
+    id: detail ? `eip6963:${detail.info.rdns || detail.info.uuid}` : WALLET_TYPES.INJECTED,
+    type: WALLET_TYPES.INJECTED,
+    name: detail ? detail.info.name : 'Browser Wallet',
+    icon: detail ? detail.info.icon : null,
+    async connect({ silent = false } = {}) {
+      const accounts = await requestAccounts(ethereum, silent);
+      return accounts.length > 0 ? ethereum : null;
+    },
+    // Injected wallets cannot be disconnected from the page; the dApp just stops using them
+    async disconnect() {}
+  };
+}
+
+/**
+ * Connector for WalletConnect. The WalletConnect provider is loaded on first use, so it only adds
+ * to the bundle of users who pick it.
+ * @param {{projectId: string, chainId: number, rpcUrl?: string}} options WalletConnect Cloud project ID,
+ * and the chain of the pool
+ * @returns {object} The connector
+ */
+export function walletConnectConnector({ projectId, chainId, rpcUrl }) {
+  let ethereum = null;
+
+  async function init() {
+    if (!ethereum) {
+      const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+      ethereum = await EthereumProvider.init({
+        projectId,
+        optionalChains: [chainId],
+        rpcMap: rpcUrl ? { [chainId]: rpcUrl } : undefined,
+        showQrModal: true,
+        metadata: {
+          name: document.title,
+          description: 'IDO Pool dApp',
+          url: window.location.origin,
+          icons: []
+        }
+      });
+    }
+    return ethereum;
+  }
+
+  return {
+    id: WALLET_TYPES.WALLET_CONNECT,
+    type: WALLET_TYPES.WALLET_CONNECT,
+    name: 'WalletConnect',
+    icon: null,
+    async connect({ silent = false } = {}) {
+      const provider = await init();
+      // A silent connection only restores a session approved earlier
+      if (silent) return provider.session ? provider : null;
+      await provider.enable();
+      return provider;
+    },
+    async disconnect() {
+      if (ethereum && ethereum.session) await ethereum.disconnect();
+    }
+  };
+}
@@ -0,0 +1,204 @@
+import http from "http";
+import { IndexerDatabase, StoredEvent } from "./database";
+import { replaySettlement } from "../tasks/shared";
+
+/*
+ * Read-only REST API over the indexer database. Every response is JSON, amounts are decimal strings
+ * in base units, and CORS is open so the dApp's dev server can call it.
+ *
+ *   GET /status                         indexing progress
+ *   GET /pool                           pool state at the indexed block and aggregate statistics
+ *   GET /users/:address                 a participant's position and event history
+ *   GET /events?type=&user=&fromBlock=&toBlock=&limit=&offset=&order=   (type takes a comma-separated list)
+ *   GET /timeseries?interval=3600       raise per time bucket, with the running total
+ */
+
+// Largest page /events returns
+const MAX_EVENTS_PAGE = 1000;
+
+export interface ApiInfo {
+  chainId: string;
+  pool: string;
+  startBlock: number;
+  // Latest block seen by the last sync, and when that sync finished
+  headBlock: () => number | null;
+  lastSyncAt: () => string | null;
+}
+
+class HttpError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+  }
+}
+
+function send(response: http.ServerResponse, status: number, body: unknown) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS"
+  });
+  if (status === 204) {
+    response.end();
+    return;
+  }
+  response.end(JSON.stringify(body, (_key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function integerParam(params: URLSearchParams, name: string): number | undefined {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+// Event as returned by the API, with the same id format as the dApp's activity entries
+function eventView(event: StoredEvent) {
+  return { id: `${event.transactionHash}-${event.logIndex}`, ...event };
+}
+
+function sum(events: StoredEvent[], field: "paymentAmount" | "idoTokenAmount"): bigint {
+  return events.reduce((total, event) => total + BigInt(event[field]), 0n);
+}
+
+// Sum of an amount argument of admin events, which have no user amounts of their own
+function sumArg(events: StoredEvent[], name: string): bigint {
+  return events.reduce((total, event) => total + BigInt(event.args[name] as string), 0n);
+}
+
+function poolView(db: IndexerDatabase, info: ApiInfo) {
+  const state = db.getMeta("state");
+  const purchases = db.events({ types: ["TokensPurchased"] });
+  const refunds = db.events({ types: ["RefundClaimed"] });
+  const claims = db.events({ types: ["IDOTokensClaimed"] });
+  const withdrawals = db.events({ types: ["FundsWithdrawn"] });
+  const recoveries = db.events({ types: ["UnsoldTokensRecovered"] });
+  return {
+    pool: info.pool,
+    chainId: info.chainId,
+    indexedBlock: Number(db.getMeta("indexedBlock") ?? info.startBlock - 1),
+    state: state ? JSON.parse(state) : null,
+    stats: {
+      contributors: db.uniqueUsers("TokensPurchased"),
+      purchases: purchases.length,
+      refunds: refunds.length,
+      claims: claims.length,
+      totalPaid: sum(purchases, "paymentAmount"),
+      totalRefunded: sum(refunds, "paymentAmount"),
+      tokensPurchased: sum(purchases, "idoTokenAmount"),
+      tokensClaimed: sum(claims, "idoTokenAmount"),
+      fundsWithdrawn: sumArg(withdrawals, "amount"),
+      tokensRecovered: sumArg(recoveries, "amount")
+    }
+  };
+}
+
+function userView(db: IndexerDatabase, address: string) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new HttpError(400, `Invalid address: ${address}`);
+  const events = db.events({ user: address });
+  // Every event of the query is this user's
+  const participant = replaySettlement(events.map((event) => ({ ...event, user: address })))[address.toLowerCase()];
+  return {
+    address: address.toLowerCase(),
+    position: participant
+      ? {
+        purchases: participant.purchases,
+        paid: participant.paid,
+        tokensPurchased: participant.tokensPurchased,
+        refunded: participant.refunded,
+        claimed: participant.claimed,
+        contributed: participant.expected.contributed,
+        owed: participant.expected.owed,
+        hasRefunded: participant.expected.hasRefunded,
+        hasClaimed: participant.expected.hasClaimed
+      }
+      : null,
+    events: events.map(eventView)
+  };
+}
+
+function eventsView(db: IndexerDatabase, params: URLSearchParams) {
+  const limit = Math.min(integerParam(params, "limit") ?? 100, MAX_EVENTS_PAGE);
+  const order = params.get("order") === "desc" ? "desc" : "asc";
+  const filter = {
+    types: params.get("type") ? params.get("type")!.split(",") : undefined,
+    user: params.get("user") || undefined,
+    fromBlock: integerParam(params, "fromBlock"),
+    toBlock: integerParam(params, "toBlock")
+  };
+  const events = db.events({ ...filter, limit, offset: integerParam(params, "offset") || 0, order });
+  return { events: events.map(eventView), limit, order };
+}
+
+function timeSeriesView(db: IndexerDatabase, params: URLSearchParams) {
+  const interval = integerParam(params, "interval") ?? 3600;
+  if (interval === 0) throw new HttpError(400, "interval must be positive");
+
+  const buckets = new Map<number, { time: number; raised: bigint; refunded: bigint; purchases: number; newContributors: number }>();
+  const contributors = new Set<string>();
+  db.events().forEach((event) => {
+    if (event.type !== "TokensPurchased" && event.type !== "RefundClaimed") return;
+    const time = Math.floor(event.timestamp / interval) * interval;
+    if (!buckets.has(time)) buckets.set(time, { time, raised: 0n, refunded: 0n, purchases: 0, newContributors: 0 });
+    const bucket = buckets.get(time)!;
+    if (event.type === "TokensPurchased") {
+      bucket.raised += BigInt(event.paymentAmount);
+      bucket.purchases += 1;
+      if (!contributors.has(event.user!)) {
+        contributors.add(event.user!);
+        bucket.newContributors += 1;
+      }
+    } else {
+      bucket.refunded += BigInt(event.paymentAmount);
+    }
+  });
+
+  // totalRaised never decreases on refunds, so the running total only adds purchases
+  let totalRaised = 0n;
+  const series = [...buckets.values()].map((bucket) => {
+    totalRaised += bucket.raised;
+    return { ...bucket, totalRaised };
+  });
+  return { interval, series };
+}
+
+/**
+ * Creates the API server; call listen() on the result
+ */
+export function createApiServer(db: IndexerDatabase, info: ApiInfo) {
+  return http.createServer((request, response) => {
+    if (request.method === "OPTIONS") {
+      send(response, 204, null);
+      return;
+    }
+
+    try {
+      if (request.method !== "GET") throw new HttpError(405, `${request.method} is not supported`);
+      const url = new URL(request.url || "/", "http://localhost");
+      const userMatch = url.pathname.match(/^\/users\/([^/]+)$/);
+
+      if (url.pathname === "/status") {
+        send(response, 200, {
+          chainId: info.chainId,
+          pool: info.pool,
+          startBlock: info.startBlock,
+          indexedBlock: Number(db.getMeta("indexedBlock") ?? info.startBlock - 1),
+          headBlock: info.headBlock(),
+          lastSyncAt: info.lastSyncAt()
+        });
+      } else if (url.pathname === "/pool") {
+        send(response, 200, poolView(db, info));
+      } else if (userMatch) {
+        send(response, 200, userView(db, userMatch[1]));
+      } else if (url.pathname === "/events") {
+        send(response, 200, eventsView(db, url.searchParams));
+      } else if (url.pathname === "/timeseries") {
+        send(response, 200, timeSeriesView(db, url.searchParams));
+      } else {
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+      }
+    } catch (error: any) {
+      if (!(error instanceof HttpError)) console.error("Error serving", request.url, error);
+      send(response, error instanceof HttpError ? error.status : 500, { error: error.message });
+    }
+  });
+}
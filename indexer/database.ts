@@ -0,0 +1,187 @@
+import Database from "better-sqlite3";
+
+/*
+ * SQLite storage of the indexer: every event of one pool, the hashes of the most recent blocks
+ * (to detect reorgs) and a few metadata values. Amounts are stored as decimal strings, since
+ * token amounts do not fit SQLite's 64-bit integers.
+ */
+
+// Bump when the tables change; an older database has to be rebuilt with --reset
+const SCHEMA_VERSION = "1";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    user TEXT,
+    payment_amount TEXT NOT NULL,
+    ido_token_amount TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_user ON events (user, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS events_by_type ON events (type, block_number, log_index);
+`;
+
+export interface StoredBlock {
+  number: number;
+  hash: string;
+  timestamp: number;
+}
+
+export interface StoredEvent {
+  blockNumber: number;
+  logIndex: number;
+  blockHash: string;
+  transactionHash: string;
+  timestamp: number;
+  type: string;
+  user: string | null;
+  paymentAmount: string;
+  idoTokenAmount: string;
+  args: Record<string, string | boolean>;
+}
+
+export interface EventFilter {
+  types?: string[];
+  user?: string;
+  fromBlock?: number;
+  toBlock?: number;
+  limit?: number;
+  offset?: number;
+  order?: "asc" | "desc";
+}
+
+const EVENT_COLUMNS = `
+  block_number AS blockNumber, log_index AS logIndex, block_hash AS blockHash,
+  transaction_hash AS transactionHash, timestamp, type, user,
+  payment_amount AS paymentAmount, ido_token_amount AS idoTokenAmount, args
+`;
+
+function toEvent(row: any): StoredEvent {
+  return { ...row, args: JSON.parse(row.args) };
+}
+
+export type IndexerDatabase = ReturnType<typeof openDatabase>;
+
+/**
+ * Opens (and creates if needed) the indexer database
+ */
+export function openDatabase(file: string) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const getMetaStatement = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const setMetaStatement = db.prepare(
+    "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+  );
+  const insertEvent = db.prepare(`
+    INSERT OR REPLACE INTO events
+      (block_number, log_index, block_hash, transaction_hash, timestamp, type, user, payment_amount, ido_token_amount, args)
+    VALUES
+      (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @type, @user, @paymentAmount, @idoTokenAmount, @args)
+  `);
+  const insertBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)");
+
+  function getMeta(key: string): string | undefined {
+    const row = getMetaStatement.get(key) as { value: string } | undefined;
+    return row && row.value;
+  }
+
+  function setMeta(key: string, value: string) {
+    setMetaStatement.run(key, value);
+  }
+
+  const version = getMeta("schemaVersion");
+  if (version !== undefined && version !== SCHEMA_VERSION) {
+    throw new Error(`${file} uses schema version ${version}, expected ${SCHEMA_VERSION}: rebuild it with --reset`);
+  }
+  setMeta("schemaVersion", SCHEMA_VERSION);
+
+  return {
+    getMeta,
+    setMeta,
+
+    /**
+     * Stores a page of events and recent block hashes, and moves the indexed block forward, atomically
+     */
+    savePage: db.transaction((events: StoredEvent[], blocks: StoredBlock[], indexedBlock: number) => {
+      events.forEach((event) => insertEvent.run({ ...event, args: JSON.stringify(event.args) }));
+      blocks.forEach((block) => insertBlock.run(block));
+      setMeta("indexedBlock", String(indexedBlock));
+    }),
+
+    /**
+     * Drops everything after the given block, after a reorg
+     */
+    rewind: db.transaction((block: number) => {
+      db.prepare("DELETE FROM events WHERE block_number > ?").run(block);
+      db.prepare("DELETE FROM blocks WHERE number > ?").run(block);
+      setMeta("indexedBlock", String(block));
+    }),
+
+    // Forgets block hashes that are too old to be reorged
+    pruneBlocks(before: number) {
+      db.prepare("DELETE FROM blocks WHERE number < ?").run(before);
+    },
+
+    // Stored block hashes from newest to oldest
+    recentBlocks(): StoredBlock[] {
+      return db.prepare("SELECT number, hash, timestamp FROM blocks ORDER BY number DESC").all() as StoredBlock[];
+    },
+
+    events(filter: EventFilter = {}): StoredEvent[] {
+      const conditions: string[] = [];
+      const params: Record<string, unknown> = {};
+      if (filter.types && filter.types.length) {
+        conditions.push(`type IN (${filter.types.map((_type, i) => `@type${i}`).join(", ")})`);
+        filter.types.forEach((type, i) => {
+          params[`type${i}`] = type;
+        });
+      }
+      if (filter.user) {
+        conditions.push("user = @user");
+        params.user = filter.user.toLowerCase();
+      }
+      if (filter.fromBlock !== undefined) {
+        conditions.push("block_number >= @fromBlock");
+        params.fromBlock = filter.fromBlock;
+      }
+      if (filter.toBlock !== undefined) {
+        conditions.push("block_number <= @toBlock");
+        params.toBlock = filter.toBlock;
+      }
+      const order = filter.order === "desc" ? "DESC" : "ASC";
+      const rows = db.prepare(`
+        SELECT ${EVENT_COLUMNS} FROM events
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY block_number ${order}, log_index ${order}
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit: filter.limit === undefined ? -1 : filter.limit, offset: filter.offset || 0 });
+      return rows.map(toEvent);
+    },
+
+    uniqueUsers(type: string): number {
+      const row = db.prepare("SELECT COUNT(DISTINCT user) AS count FROM events WHERE type = ?").get(type) as { count: number };
+      return row.count;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,222 @@
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { Log } from "ethers";
+import { PoolContext, cliError } from "../tasks/helpers";
+import { IndexerDatabase, StoredBlock, StoredEvent } from "./database";
+
+/*
+ * Follows a pool's events into the indexer database.
+ *
+ * Each sync first re-checks the hashes of the most recently indexed blocks. If the chain no longer
+ * has them, everything after the newest block that still matches is dropped and indexed again.
+ * The pool's state is read at the indexed block after every sync, for the API.
+ */
+
+export interface SyncOptions {
+  startBlock: number;
+  pageSize: number;
+  // Number of recent blocks whose hashes are kept and re-checked for reorgs
+  reorgDepth: number;
+}
+
+export interface SyncResult {
+  headBlock: number;
+  indexedBlock: number;
+  newEvents: number;
+  // Block the index was rewound to after a reorg, if one was found
+  reorgedTo: number | null;
+}
+
+// Plain-JSON view of an event's arguments
+function serializeArgs(parsed: any): Record<string, string | boolean> {
+  const args: Record<string, string | boolean> = {};
+  parsed.fragment.inputs.forEach((input: { name: string }, i: number) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "boolean" ? value : value.toString();
+  });
+  return args;
+}
+
+function toStoredEvent(context: PoolContext, log: Log, timestamp: number): StoredEvent {
+  const parsed = context.pool.interface.parseLog(log)!;
+  const args = serializeArgs(parsed);
+  let paymentAmount = "0";
+  let idoTokenAmount = "0";
+  if (parsed.name === "TokensPurchased") {
+    paymentAmount = args.paymentAmount as string;
+    idoTokenAmount = args.idoTokenAmount as string;
+  } else if (parsed.name === "RefundClaimed") {
+    paymentAmount = args.amount as string;
+  } else if (parsed.name === "IDOTokensClaimed") {
+    idoTokenAmount = args.amount as string;
+  }
+
+  return {
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    timestamp,
+    type: parsed.name,
+    user: args.user ? (args.user as string).toLowerCase() : null,
+    paymentAmount,
+    idoTokenAmount,
+    args
+  };
+}
+
+async function fetchBlock(hre: HardhatRuntimeEnvironment, number: number): Promise<StoredBlock | null> {
+  const block = await hre.ethers.provider.getBlock(number);
+  return block && block.hash ? { number, hash: block.hash, timestamp: block.timestamp } : null;
+}
+
+/**
+ * Finds the newest stored block the chain still has, and rewinds the database to it if any newer one changed
+ * @returns The block the index was rewound to, or null if there was no reorg
+ */
+async function checkReorg(hre: HardhatRuntimeEnvironment, db: IndexerDatabase, options: SyncOptions): Promise<number | null> {
+  const stored = db.recentBlocks();
+  if (stored.length === 0) return null;
+
+  for (let i = 0; i < stored.length; i++) {
+    const current = await fetchBlock(hre, stored[i].number);
+    if (current && current.hash === stored[i].hash) {
+      if (i === 0) return null;
+      db.rewind(stored[i].number);
+      return stored[i].number;
+    }
+  }
+
+  // None of the stored blocks is on the chain any more (e.g. the local node was restarted)
+  throw cliError(
+    `The chain no longer contains any of the last ${stored.length} indexed blocks, a reorg deeper than ` +
+    `--reorg-depth ${options.reorgDepth}. Re-index from scratch with --reset.`
+  );
+}
+
+/**
+ * Indexes the pool's events up to the latest block
+ */
+export async function syncPool(
+  hre: HardhatRuntimeEnvironment,
+  context: PoolContext,
+  db: IndexerDatabase,
+  options: SyncOptions
+): Promise<SyncResult> {
+  const reorgedTo = await checkReorg(hre, db, options);
+  const headBlock = await hre.ethers.provider.getBlockNumber();
+  const indexed = db.getMeta("indexedBlock");
+  let indexedBlock = indexed !== undefined ? Number(indexed) : options.startBlock - 1;
+  let newEvents = 0;
+
+  while (indexedBlock < headBlock) {
+    const fromBlock = indexedBlock + 1;
+    const toBlock = Math.min(fromBlock + options.pageSize - 1, headBlock);
+    const logs = await hre.ethers.provider.getLogs({ address: context.address, fromBlock, toBlock });
+
+    // Hashes are kept for the blocks that can still be reorged, timestamps for the blocks with events
+    const windowStart = Math.max(fromBlock, headBlock - options.reorgDepth + 1);
+    const numbers = new Set<number>(logs.map((log) => log.blockNumber));
+    for (let number = windowStart; number <= toBlock; number++) numbers.add(number);
+    const blocks = new Map<number, StoredBlock>();
+    for (const number of numbers) {
+      const block = await fetchBlock(hre, number);
+      if (!block) throw cliError(`Block ${number} is not available from the node`);
+      blocks.set(number, block);
+    }
+
+    // A log from a block that has since been replaced means the chain moved under us; retry on the next sync
+    const events = logs.map((log) => toStoredEvent(context, log, blocks.get(log.blockNumber)!.timestamp));
+    if (events.some((event) => event.blockHash !== blocks.get(event.blockNumber)!.hash)) break;
+
+    db.savePage(events, [...blocks.values()].filter((block) => block.number >= windowStart), toBlock);
+    indexedBlock = toBlock;
+    newEvents += events.length;
+  }
+
+  db.pruneBlocks(headBlock - options.reorgDepth + 1);
+  await saveState(hre, context, db, indexedBlock);
+  return { headBlock, indexedBlock, newEvents, reorgedTo };
+}
+
+// Reads the pool's sale rounds and what each has raised at the given block
+async function readRoundsAt(context: PoolContext, blockTag: { blockTag: number }) {
+  const { pool } = context;
+  const count = Number(await pool.roundCount(blockTag));
+  return Promise.all([...Array(count).keys()].map(async (i) => {
+    const [round, raised] = await Promise.all([pool.rounds(i, blockTag), pool.roundRaised(i, blockTag)]);
+    return {
+      name: round.name,
+      startTime: Number(round.startTime),
+      endTime: Number(round.endTime),
+      price: round.price.toString(),
+      cap: round.cap.toString(),
+      raised: raised.toString()
+    };
+  }));
+}
+
+// Reads the pool's parameters, flags, allowlist, vesting, withdrawal and rounds at the indexed block, once
+// the pool exists there
+async function saveState(hre: HardhatRuntimeEnvironment, context: PoolContext, db: IndexerDatabase, blockNumber: number) {
+  if (blockNumber < 0 || (await hre.ethers.provider.getCode(context.address, blockNumber)) === "0x") return;
+  const { pool } = context;
+  const blockTag = { blockTag: blockNumber };
+  const [startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, idoActive, idoEnded, refundEnabled, allowlistRoot] =
+    await Promise.all([
+      pool.startTime(blockTag),
+      pool.endTime(blockTag),
+      pool.tokenPrice(blockTag),
+      pool.softCap(blockTag),
+      pool.hardCap(blockTag),
+      pool.totalRaised(blockTag),
+      pool.idoActive(blockTag),
+      pool.idoEnded(blockTag),
+      pool.refundGloballyEnabled(blockTag),
+      pool.allowlistRoot(blockTag)
+    ]);
+  const [totalClaimedIDOTokens, idoEndedAt, tgeTime, vestingStart, tgeUnlockBps, vestingCliff, vestingDuration] = await Promise.all([
+    pool.totalClaimedIDOTokens(blockTag),
+    pool.idoEndedAt(blockTag),
+    pool.tgeTime(blockTag),
+    pool.vestingStart(blockTag),
+    pool.tgeUnlockBps(blockTag),
+    pool.vestingCliff(blockTag),
+    pool.vestingDuration(blockTag)
+  ]);
+  const [totalRefunded, totalOwedIDOTokens, fundsWithdrawn, withdrawableFunds, unsoldIDOTokens, rounds] = await Promise.all([
+    pool.totalRefunded(blockTag),
+    pool.totalOwedIDOTokens(blockTag),
+    pool.fundsWithdrawn(blockTag),
+    pool.withdrawableFunds(blockTag),
+    pool.unsoldIDOTokens(blockTag),
+    readRoundsAt(context, blockTag)
+  ]);
+  db.setMeta("state", JSON.stringify({
+    blockNumber,
+    startTime: Number(startTime),
+    endTime: Number(endTime),
+    tokenPrice: tokenPrice.toString(),
+    softCap: softCap.toString(),
+    hardCap: hardCap.toString(),
+    totalRaised: totalRaised.toString(),
+    totalRefunded: totalRefunded.toString(),
+    totalOwedIDOTokens: totalOwedIDOTokens.toString(),
+    totalClaimedIDOTokens: totalClaimedIDOTokens.toString(),
+    idoActive,
+    idoEnded,
+    idoEndedAt: Number(idoEndedAt),
+    refundEnabled,
+    allowlistRoot: allowlistRoot === hre.ethers.ZeroHash ? null : allowlistRoot,
+    vesting: {
+      tgeTime: tgeTime > 0n ? Number(tgeTime) : null,
+      vestingStart: Number(vestingStart),
+      tgeUnlockBps: Number(tgeUnlockBps),
+      vestingCliff: Number(vestingCliff),
+      vestingDuration: Number(vestingDuration)
+    },
+    fundsWithdrawn,
+    withdrawableFunds: withdrawableFunds.toString(),
+    unsoldIDOTokens: unsoldIDOTokens.toString(),
+    rounds
+  }));
+}
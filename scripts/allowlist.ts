@@ -0,0 +1,125 @@
+import { AbiCoder, concat, getAddress, isAddress, keccak256, parseUnits } from "ethers";
+import path from "path";
+
+/*
+ * Allowlist files: a Merkle tree of (address, minContribution, maxContribution) leaves whose root is set
+ * on the pool with setAllowlist, and the proof of every entry, which the dApp looks up for the connected
+ * wallet. Leaves are hashed like OpenZeppelin's StandardMerkleTree and pairs are sorted before hashing,
+ * as OpenZeppelin's MerkleProof expects.
+ *
+ * Files live in the dApp's public/ folder, one per pool: allowlists/<chainId>/<pool address, lowercase>.json.
+ * `version` is the schema version: bump it (and the dApp's reader in config.js) when the layout changes.
+ */
+
+export const ALLOWLIST_DIR = path.join(__dirname, "..", "frontend", "public", "allowlists");
+export const ALLOWLIST_VERSION = 1;
+
+export interface AllowlistEntry {
+  address: string;
+  minContribution: bigint;
+  maxContribution: bigint;
+}
+
+export interface AllowlistFile {
+  version: number;
+  chainId: number;
+  pool: string;
+  root: string;
+  paymentToken: { address: string; symbol: string; decimals: number };
+  entries: Record<string, { minContribution: string; maxContribution: string; proof: string[] }>;
+}
+
+/**
+ * Default location of a pool's allowlist file
+ */
+export function allowlistPath(chainId: number | bigint, pool: string): string {
+  return path.join(ALLOWLIST_DIR, chainId.toString(), `${pool.toLowerCase()}.json`);
+}
+
+/**
+ * Parses allowlist rows of `address,minContribution,maxContribution`, amounts in whole payment tokens.
+ * A header row, blank lines and lines starting with # are skipped; an empty limit means no limit.
+ */
+export function parseAllowlistCsv(text: string, decimals: number): AllowlistEntry[] {
+  const entries: AllowlistEntry[] = [];
+  const seen = new Set<string>();
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const [address = "", min = "", max = ""] = trimmed.split(",").map((cell) => cell.trim());
+    if (index === 0 && !isAddress(address)) return; // Header row
+    if (!isAddress(address)) throw new Error(`Line ${index + 1}: invalid address ${address}`);
+
+    const parse = (value: string, name: string) => {
+      if (!value) return 0n;
+      try {
+        return parseUnits(value, decimals);
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: invalid ${name} ${value}`);
+      }
+    };
+    const entry = {
+      address: getAddress(address),
+      minContribution: parse(min, "minimum contribution"),
+      maxContribution: parse(max, "maximum contribution")
+    };
+    if (entry.maxContribution !== 0n && entry.minContribution > entry.maxContribution) {
+      throw new Error(`Line ${index + 1}: minimum contribution is above the maximum`);
+    }
+    if (seen.has(entry.address)) throw new Error(`Line ${index + 1}: ${entry.address} is listed twice`);
+    seen.add(entry.address);
+    entries.push(entry);
+  });
+
+  return entries;
+}
+
+/**
+ * Hash of an allowlist entry, as IDOPool.isAllowlisted computes it
+ */
+export function allowlistLeaf(entry: AllowlistEntry): string {
+  const encoded = AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint256", "uint256"],
+    [entry.address, entry.minContribution, entry.maxContribution]
+  );
+  return keccak256(keccak256(encoded));
+}
+
+function hashPair(a: string, b: string): string {
+  return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Builds the Merkle tree of an allowlist
+ * @returns The root, and each entry with its proof, in the order given
+ */
+export function buildAllowlist(entries: AllowlistEntry[]): { root: string; entries: (AllowlistEntry & { proof: string[] })[] } {
+  if (entries.length === 0) throw new Error("The allowlist is empty");
+
+  // Each layer pairs up the one below it; an unpaired node moves up unchanged
+  const layers = [entries.map(allowlistLeaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const below = layers[layers.length - 1];
+    const layer: string[] = [];
+    for (let i = 0; i < below.length; i += 2) {
+      layer.push(i + 1 < below.length ? hashPair(below[i], below[i + 1]) : below[i]);
+    }
+    layers.push(layer);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    entries: entries.map((entry, leafIndex) => {
+      const proof: string[] = [];
+      let index = leafIndex;
+      for (const layer of layers.slice(0, -1)) {
+        const sibling = index ^ 1;
+        if (sibling < layer.length) proof.push(layer[sibling]);
+        index >>= 1;
+      }
+      return { ...entry, proof };
+    })
+  };
+}
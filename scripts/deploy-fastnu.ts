@@ -1,4 +1,5 @@
-import { ethers } from "hardhat";
+import hre, { ethers } from "hardhat";
+import { recordPool, recordToken } from "./registry";
 
 async function main() {
   console.log("Deploying FASTNU Token...");
@@ -15,6 +16,7 @@ async function main() {
   const fastnuAddress = await fastnu.getAddress();
   console.log(`FASTNU Token deployed to: ${fastnuAddress}`);
   console.log("Add this address to your .env file as IDO_TOKEN_ADDRESS");
+  await recordToken(hre, fastnu);
 
   // Optional: Deploy IDOPool immediately after token is deployed
   console.log("\nDeploying IDOPool contract...");
@@ -26,6 +28,7 @@ async function main() {
   
   await idoPool.waitForDeployment();
   console.log(`IDOPool deployed to: ${await idoPool.getAddress()}`);
+  await recordPool(hre, idoPool);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
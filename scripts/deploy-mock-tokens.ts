@@ -1,4 +1,5 @@
-import { ethers } from "hardhat";
+import hre, { ethers } from "hardhat";
+import { recordToken } from "./registry";
 
 async function main() {
   console.log("Deploying mock tokens...");
@@ -10,11 +11,13 @@ async function main() {
   const paymentToken = await MockToken.deploy("Payment Token", "PAY");
   await paymentToken.waitForDeployment();
   console.log(`Payment Token deployed to: ${await paymentToken.getAddress()}`);
+  await recordToken(hre, paymentToken);
 
   // Deploy IDO token
   const idoToken = await MockToken.deploy("IDO Token", "IDO");
   await idoToken.waitForDeployment();
   console.log(`IDO Token deployed to: ${await idoToken.getAddress()}`);
+  await recordToken(hre, idoToken);
 
   // Mint some tokens to the deployer
   const [deployer] = await ethers.getSigners();
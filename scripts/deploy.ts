@@ -1,4 +1,45 @@
-import { ethers } from "hardhat";
+import hre, { ethers } from "hardhat";
+import { PoolParams, recordPool } from "./registry";
+import { fetchTokenInfo, latestTimestamp, parseAmount, parsePrice, parseTime } from "../tasks/helpers";
+
+// Optional IDO parameters, set right after deployment when all of them are given (same formats as `ido set-params`)
+const PARAM_VARIABLES = ["IDO_START", "IDO_END", "IDO_PRICE", "IDO_SOFT_CAP", "IDO_HARD_CAP"];
+
+// Whether the IDO parameters are given, checked before deploying so a partial set does not leave a stray pool
+function hasParameters(): boolean {
+  const given = PARAM_VARIABLES.filter((name) => process.env[name]);
+  if (given.length > 0 && given.length !== PARAM_VARIABLES.length) {
+    throw new Error(`Set all of ${PARAM_VARIABLES.join(", ")} to configure the IDO, or none of them`);
+  }
+  return given.length > 0;
+}
+
+async function setParameters(idoPool: any): Promise<PoolParams> {
+
+  const tokens = {
+    payment: await fetchTokenInfo(hre, await idoPool.paymentToken()),
+    ido: await fetchTokenInfo(hre, await idoPool.idoToken())
+  };
+  const now = await latestTimestamp(hre);
+  const params = {
+    startTime: parseTime(process.env.IDO_START as string, now),
+    endTime: parseTime(process.env.IDO_END as string, now),
+    tokenPrice: parsePrice(hre, process.env.IDO_PRICE as string, tokens),
+    softCap: parseAmount(hre, process.env.IDO_SOFT_CAP as string, tokens.payment),
+    hardCap: parseAmount(hre, process.env.IDO_HARD_CAP as string, tokens.payment)
+  };
+
+  const tx = await idoPool.setIDOParameters(params.startTime, params.endTime, params.tokenPrice, params.softCap, params.hardCap);
+  await tx.wait();
+  console.log("IDO parameters set");
+  return {
+    startTime: params.startTime,
+    endTime: params.endTime,
+    tokenPrice: params.tokenPrice.toString(),
+    softCap: params.softCap.toString(),
+    hardCap: params.hardCap.toString()
+  };
+}
 
 async function main() {
   console.log("Deploying IDOPool contract...");
@@ -9,19 +50,26 @@ async function main() {
   // Deploy the contract
   // Note: In a real deployment, you would need to provide actual token addresses
   // For testing, you can deploy mock tokens first and use their addresses
-  const paymentTokenAddress = process.env.PAYMENT_TOKEN_ADDRESS;
+  // PAYMENT_TOKEN_ADDRESS=native deploys a pool paid in the network's native currency
+  const paymentTokenAddress = process.env.PAYMENT_TOKEN_ADDRESS === "native"
+    ? ethers.ZeroAddress
+    : process.env.PAYMENT_TOKEN_ADDRESS;
   const idoTokenAddress = process.env.IDO_TOKEN_ADDRESS;
 
   if (!paymentTokenAddress || !idoTokenAddress) {
     throw new Error("Payment token and IDO token addresses must be provided in .env file");
   }
 
+  const configure = hasParameters();
+
   const idoPool = await IDOPool.deploy(paymentTokenAddress, idoTokenAddress);
 
   // Wait for deployment to finish
   await idoPool.waitForDeployment();
 
   console.log(`IDOPool deployed to: ${await idoPool.getAddress()}`);
+
+  await recordPool(hre, idoPool, configure ? await setParameters(idoPool) : null);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -0,0 +1,183 @@
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import fs from "fs";
+import path from "path";
+import { fetchTokenInfo } from "../tasks/helpers";
+
+/*
+ * Deployments registry written by the deploy scripts and read by the dApp's pool directory.
+ *
+ * One file, keyed by chain ID, listing every pool and token deployed on that chain, newest last.
+ * `version` is the schema version: bump it (and migrate in readRegistry) when the layout changes.
+ */
+
+export const REGISTRY_PATH = path.join(__dirname, "..", "frontend", "public", "deployments.json");
+export const REGISTRY_VERSION = 1;
+
+export interface TokenRecord {
+  address: string;
+  name: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface PoolParams {
+  startTime: number;
+  endTime: number;
+  tokenPrice: string;
+  softCap: string;
+  hardCap: string;
+}
+
+interface DeploymentInfo {
+  network: string;
+  deployBlock: number;
+  transactionHash: string;
+  deployer: string;
+  deployedAt: string;
+}
+
+export type PoolRecord = DeploymentInfo & {
+  address: string;
+  paymentToken: TokenRecord;
+  idoToken: TokenRecord;
+  params: PoolParams | null;
+};
+
+export type TokenDeployment = DeploymentInfo & TokenRecord;
+
+export interface Registry {
+  version: number;
+  networks: Record<string, { pools: PoolRecord[]; tokens: TokenDeployment[] }>;
+}
+
+export function readRegistry(): Registry {
+  if (!fs.existsSync(REGISTRY_PATH)) return { version: REGISTRY_VERSION, networks: {} };
+  const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8"));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`${REGISTRY_PATH} has schema version ${registry.version}, expected ${REGISTRY_VERSION}`);
+  }
+  return registry;
+}
+
+function writeRegistry(registry: Registry) {
+  fs.writeFileSync(REGISTRY_PATH, `${JSON.stringify(registry, null, 2)}\n`);
+}
+
+// The in-process Hardhat network is thrown away when the script exits, so it is never read from or written to
+// the registry (it shares chain ID 1337 with the local nodes)
+function isEphemeral(hre: HardhatRuntimeEnvironment): boolean {
+  return hre.network.name === "hardhat";
+}
+
+// Latest record of a pool in a network entry
+function latestRecord(entry: Registry["networks"][string] | undefined, address: string): PoolRecord | undefined {
+  if (!entry) return undefined;
+  return entry.pools.filter((pool) => pool.address.toLowerCase() === address.toLowerCase()).pop();
+}
+
+async function networkEntry(hre: HardhatRuntimeEnvironment, registry: Registry) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const key = chainId.toString();
+  if (!registry.networks[key]) registry.networks[key] = { pools: [], tokens: [] };
+  return registry.networks[key];
+}
+
+export async function fetchTokenRecord(hre: HardhatRuntimeEnvironment, address: string): Promise<TokenRecord> {
+  // A pool deployed without a payment token is paid in the network's native currency
+  if (address === hre.ethers.ZeroAddress) {
+    const { symbol, decimals } = await fetchTokenInfo(hre, address);
+    return { address, name: "Native currency", symbol, decimals };
+  }
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+  return { address, name, symbol, decimals: Number(decimals) };
+}
+
+// Where and by whom a contract was deployed, from its deployment transaction
+async function deploymentInfo(hre: HardhatRuntimeEnvironment, contract: any): Promise<DeploymentInfo> {
+  const tx = contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : null;
+  if (!tx || !receipt) throw new Error("The contract has no deployment transaction");
+  return {
+    network: hre.network.name,
+    deployBlock: receipt.blockNumber,
+    transactionHash: tx.hash,
+    deployer: tx.from,
+    deployedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Records a deployed token, e.g. `await recordToken(hre, await MockToken.deploy(...))`
+ */
+export async function recordToken(hre: HardhatRuntimeEnvironment, token: any) {
+  if (isEphemeral(hre)) {
+    console.log("Not recorded in the deployments registry: the in-process hardhat network is not persistent");
+    return;
+  }
+  const registry = readRegistry();
+  const entry = await networkEntry(hre, registry);
+  entry.tokens.push({
+    ...(await deploymentInfo(hre, token)),
+    ...(await fetchTokenRecord(hre, await token.getAddress()))
+  });
+  writeRegistry(registry);
+}
+
+/**
+ * Records a deployed pool with its tokens and, if already set, its parameters
+ */
+export async function recordPool(hre: HardhatRuntimeEnvironment, pool: any, params: PoolParams | null = null) {
+  if (isEphemeral(hre)) {
+    console.log("Not recorded in the deployments registry: the in-process hardhat network is not persistent");
+    return;
+  }
+  const registry = readRegistry();
+  const entry = await networkEntry(hre, registry);
+  const [paymentToken, idoToken] = await Promise.all([
+    pool.paymentToken().then((address: string) => fetchTokenRecord(hre, address)),
+    pool.idoToken().then((address: string) => fetchTokenRecord(hre, address))
+  ]);
+  entry.pools.push({
+    ...(await deploymentInfo(hre, pool)),
+    address: await pool.getAddress(),
+    paymentToken,
+    idoToken,
+    params
+  });
+  writeRegistry(registry);
+  console.log(`Recorded in ${path.relative(process.cwd(), REGISTRY_PATH)}`);
+}
+
+/**
+ * Finds the registry entry of a pool on the current chain, the most recent if it was deployed more than once
+ */
+export async function findPool(hre: HardhatRuntimeEnvironment, address: string): Promise<PoolRecord | undefined> {
+  if (isEphemeral(hre)) return undefined;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return latestRecord(readRegistry().networks[chainId.toString()], address);
+}
+
+/**
+ * The most recently deployed pool on the current chain
+ */
+export async function latestPool(hre: HardhatRuntimeEnvironment): Promise<PoolRecord | undefined> {
+  if (isEphemeral(hre)) return undefined;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const entry = readRegistry().networks[chainId.toString()];
+  return entry && entry.pools[entry.pools.length - 1];
+}
+
+/**
+ * Updates the recorded parameters of a pool after they change on-chain. Pools that are not
+ * in the registry are left alone.
+ */
+export async function updatePoolParams(hre: HardhatRuntimeEnvironment, address: string, params: PoolParams) {
+  if (isEphemeral(hre)) return;
+  const registry = readRegistry();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const record = latestRecord(registry.networks[chainId.toString()], address);
+  if (!record) return;
+  record.params = params;
+  writeRegistry(registry);
+}
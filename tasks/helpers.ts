@@ -0,0 +1,426 @@
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { HardhatPluginError } from "hardhat/plugins";
+import fs from "fs";
+import path from "path";
+import { findPool, latestPool, updatePoolParams } from "../scripts/registry";
+import { buildSettlementReport, checkSolvency, getPoolStatus } from "./shared";
+
+/*
+ * Helpers shared by the ido tasks: pool lookup, unit conversions, event replay and output.
+ */
+
+// Pools configured for the dApp, used when --pool is not given
+const POOLS_CONFIG = path.join(__dirname, "..", "frontend", "public", "pools.json");
+
+// Pool events replayed into each participant's position
+const ACTIVITY_EVENTS = ["TokensPurchased", "RefundClaimed", "IDOTokensClaimed"] as const;
+
+// Number of blocks requested per eth_getLogs call, unless the network's pools.json entry sets logPageSize
+const DEFAULT_LOG_PAGE_SIZE = 5000;
+
+// Native currency of the network, unless its pools.json entry sets nativeCurrency
+const DEFAULT_NATIVE_CURRENCY = { symbol: "ETH", decimals: 18 };
+
+export interface TokenInfo {
+  address: string;
+  symbol: string;
+  decimals: number;
+  native?: boolean; // The network's native currency, which pays a pool deployed without a payment token
+}
+
+export interface PoolArgs {
+  pool?: string;
+  json: boolean;
+}
+
+// Errors in the command's input or the pool state, printed without a stack trace
+export function cliError(message: string): HardhatPluginError {
+  return new HardhatPluginError("ido", message);
+}
+
+/**
+ * Reads the dApp's pools.json entry for the current network, or an empty object if there is none
+ */
+export async function readChainConfig(hre: HardhatRuntimeEnvironment): Promise<Record<string, any>> {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!fs.existsSync(POOLS_CONFIG)) return {};
+  const config = JSON.parse(fs.readFileSync(POOLS_CONFIG, "utf8"));
+  return (config.chains && config.chains[chainId.toString()]) || {};
+}
+
+/**
+ * Finds the pool to operate on: --pool, then IDO_POOL_ADDRESS, then the dApp's pools.json entry for the network,
+ * then the network's latest pool in the deployments registry
+ */
+export async function resolvePoolAddress(hre: HardhatRuntimeEnvironment, pool?: string): Promise<string> {
+  const address = pool || process.env.IDO_POOL_ADDRESS;
+  if (address) {
+    if (!hre.ethers.isAddress(address)) throw cliError(`Invalid pool address: ${address}`);
+    return address;
+  }
+
+  const chain = await readChainConfig(hre);
+  if (chain.pool) return chain.pool;
+  const registered = await latestPool(hre);
+  if (registered) return registered.address;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  throw cliError(`No pool configured for chain ${chainId}: pass --pool or set IDO_POOL_ADDRESS`);
+}
+
+/**
+ * Reads a token's symbol and decimals; the zero address stands for the network's native currency
+ */
+export async function fetchTokenInfo(hre: HardhatRuntimeEnvironment, address: string): Promise<TokenInfo> {
+  if (address === hre.ethers.ZeroAddress) {
+    const { nativeCurrency } = await readChainConfig(hre);
+    return { address, ...DEFAULT_NATIVE_CURRENCY, ...nativeCurrency, native: true };
+  }
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Connects to the pool and its tokens with the network's first signer
+ */
+export async function loadPool(hre: HardhatRuntimeEnvironment, args: PoolArgs) {
+  const address = await resolvePoolAddress(hre, args.pool);
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw cliError(`No contract deployed at ${address} on ${hre.network.name}`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const pool = await hre.ethers.getContractAt("IDOPool", address, signer);
+  const [payment, idoToken] = await Promise.all([
+    pool.paymentToken().then((token) => fetchTokenInfo(hre, token)),
+    pool.idoToken().then((token) => fetchTokenInfo(hre, token))
+  ]);
+
+  return { address, pool, signer, tokens: { payment, ido: idoToken } };
+}
+
+export type PoolContext = Awaited<ReturnType<typeof loadPool>>;
+
+export async function latestTimestamp(hre: HardhatRuntimeEnvironment): Promise<number> {
+  const block = await hre.ethers.provider.getBlock("latest");
+  if (!block) throw cliError("Could not read the latest block");
+  return block.timestamp;
+}
+
+/**
+ * Parses a human amount (e.g. "12.5") into base units
+ */
+export function parseAmount(hre: HardhatRuntimeEnvironment, value: string, token: TokenInfo): bigint {
+  try {
+    return hre.ethers.parseUnits(value, token.decimals);
+  } catch (error) {
+    throw cliError(`Invalid ${token.symbol} amount: ${value}`);
+  }
+}
+
+/**
+ * Converts a price in whole payment tokens per whole IDO token into the on-chain token price
+ * (payment base units per IDO base unit)
+ */
+export function parsePrice(hre: HardhatRuntimeEnvironment, value: string, tokens: { payment: TokenInfo; ido: TokenInfo }): bigint {
+  const perWholeToken = parseAmount(hre, value, tokens.payment);
+  const scale = 10n ** BigInt(tokens.ido.decimals);
+  if (perWholeToken % scale !== 0n || perWholeToken === 0n) {
+    throw cliError(`Price ${value} cannot be represented on-chain with these token decimals`);
+  }
+  return perWholeToken / scale;
+}
+
+export function formatPrice(hre: HardhatRuntimeEnvironment, tokenPrice: bigint, tokens: { payment: TokenInfo; ido: TokenInfo }): string {
+  return hre.ethers.formatUnits(tokenPrice * 10n ** BigInt(tokens.ido.decimals), tokens.payment.decimals);
+}
+
+// Seconds per unit of the durations accepted by parseTime and parseDuration
+const DURATION_UNITS: Record<string, number> = { "": 1, s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a time given as unix seconds, an ISO date, or an offset from the latest block ("+90", "+30m", "+2h", "+1d")
+ */
+export function parseTime(value: string, now: number): number {
+  const relative = value.match(/^\+(\d+)([smhd]?)$/);
+  if (relative) {
+    return now + Number(relative[1]) * DURATION_UNITS[relative[2]];
+  }
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) throw cliError(`Invalid time: ${value}`);
+  return Math.floor(parsed / 1000);
+}
+
+/**
+ * Parses a duration given in seconds or with a unit ("90", "30m", "2h", "180d")
+ */
+export function parseDuration(value: string): number {
+  const match = value.match(/^(\d+)([smhd]?)$/);
+  if (!match) throw cliError(`Invalid duration: ${value}`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Formats a duration in seconds with its largest whole units, e.g. "30d 12h"
+ */
+export function formatDuration(seconds: number | bigint): string {
+  let remaining = Number(seconds);
+  if (remaining === 0) return "0s";
+  const parts: string[] = [];
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]] as const) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  return parts.join(" ");
+}
+
+export function formatTime(timestamp: number | bigint): string {
+  return new Date(Number(timestamp) * 1000).toLocaleString();
+}
+
+// A sale round as written in a rounds file or a scenario
+export interface RoundSpec {
+  name?: string;
+  start: string | number;
+  end: string | number;
+  price: string | number;
+  cap?: string | number;
+}
+
+/**
+ * Converts round specs into the setRounds argument: times in the formats of parseTime, the price as for
+ * parsePrice, the cap in payment tokens (no cap when omitted or 0)
+ */
+export function parseRounds(
+  hre: HardhatRuntimeEnvironment,
+  specs: RoundSpec[],
+  tokens: { payment: TokenInfo; ido: TokenInfo },
+  now: number
+) {
+  if (!Array.isArray(specs)) throw cliError("The rounds must be a list");
+  return specs.map((spec, i) => {
+    if (!spec || spec.start === undefined || spec.end === undefined || spec.price === undefined) {
+      throw cliError(`Round ${i + 1} needs a start, an end and a price`);
+    }
+    return {
+      name: spec.name ? String(spec.name) : "",
+      startTime: parseTime(String(spec.start), now),
+      endTime: parseTime(String(spec.end), now),
+      price: parsePrice(hre, String(spec.price), tokens),
+      cap: spec.cap === undefined ? 0n : parseAmount(hre, String(spec.cap), tokens.payment)
+    };
+  });
+}
+
+/**
+ * Reads the pool's sale rounds and what each has raised
+ */
+export async function readRounds(pool: PoolContext["pool"]) {
+  const count = Number(await pool.roundCount());
+  return Promise.all([...Array(count).keys()].map(async (i) => {
+    const [round, raised] = await Promise.all([pool.rounds(i), pool.roundRaised(i)]);
+    return { name: round.name, startTime: round.startTime, endTime: round.endTime, price: round.price, cap: round.cap, raised };
+  }));
+}
+
+/**
+ * Prints a result as JSON (bigints as strings) or as the given human-readable lines
+ */
+export function output(json: boolean, result: object, lines: string[]) {
+  if (json) {
+    console.log(JSON.stringify(result, (_key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    lines.forEach((line) => console.log(line));
+  }
+}
+
+/**
+ * Where the pool's event history starts (fromBlock, else its deploy block from the registry or pools.json, else 0)
+ * and how many blocks to request per eth_getLogs call
+ */
+export async function logRange(hre: HardhatRuntimeEnvironment, context: PoolContext, fromBlock?: string) {
+  const chain = await readChainConfig(hre);
+  const registered = await findPool(hre, context.address);
+  const start = fromBlock !== undefined
+    ? Number(fromBlock)
+    : Number(registered ? registered.deployBlock : chain.deployBlock || 0);
+  if (!Number.isInteger(start) || start < 0) throw cliError(`Invalid start block: ${fromBlock}`);
+  return { start, pageSize: Number(chain.logPageSize || DEFAULT_LOG_PAGE_SIZE) };
+}
+
+/**
+ * Reads the pool's purchase, refund and claim events in pages, oldest first, up to toBlock or the latest block
+ */
+export async function fetchActivity(hre: HardhatRuntimeEnvironment, context: PoolContext, fromBlock?: string, toBlock?: number) {
+  const { start, pageSize } = await logRange(hre, context, fromBlock);
+  const latest = toBlock !== undefined ? toBlock : await hre.ethers.provider.getBlockNumber();
+  const topics = [ACTIVITY_EVENTS.map((name) => context.pool.interface.getEvent(name)!.topicHash)];
+
+  const activity = [];
+  for (let from = start; from <= latest; from += pageSize) {
+    const logs = await hre.ethers.provider.getLogs({
+      address: context.address,
+      topics,
+      fromBlock: from,
+      toBlock: Math.min(from + pageSize - 1, latest)
+    });
+    for (const log of logs) {
+      const parsed = context.pool.interface.parseLog(log)!;
+      const entry = {
+        type: parsed.name,
+        user: parsed.args.user as string,
+        paymentAmount: 0n,
+        idoTokenAmount: 0n,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash
+      };
+      if (parsed.name === "TokensPurchased") {
+        entry.paymentAmount = parsed.args.paymentAmount;
+        entry.idoTokenAmount = parsed.args.idoTokenAmount;
+      } else if (parsed.name === "RefundClaimed") {
+        entry.paymentAmount = parsed.args.amount;
+      } else {
+        entry.idoTokenAmount = parsed.args.amount;
+      }
+      activity.push(entry);
+    }
+  }
+  return activity;
+}
+
+/**
+ * Compares the pool's IDO token balance with what it may have to pay out, see shared/solvency.js
+ */
+export async function computeSolvency(hre: HardhatRuntimeEnvironment, context: PoolContext) {
+  const { pool, address, tokens } = context;
+  const idoToken = await hre.ethers.getContractAt("IERC20Metadata", tokens.ido.address);
+  const [tokenPrice, hardCap, totalRaised, idoActive, idoEnded, rounds, owed, withdrawableFunds, balance] = await Promise.all([
+    pool.tokenPrice(),
+    pool.hardCap(),
+    pool.totalRaised(),
+    pool.idoActive(),
+    pool.idoEnded(),
+    readRounds(pool),
+    pool.totalOwedIDOTokens(),
+    pool.withdrawableFunds(),
+    idoToken.balanceOf(address)
+  ]);
+  const state = {
+    tokenPrice,
+    hardCap,
+    totalRaised,
+    idoActive,
+    idoEnded,
+    rounds,
+    paymentToken: tokens.payment.address,
+    idoToken: tokens.ido.address,
+    withdrawableFunds
+  };
+  return { owed, ...checkSolvency(state, balance, owed) };
+}
+
+/**
+ * Builds the settlement report from the events and the pool's per-user mappings, both read at the same block,
+ * see shared/settlement.js
+ */
+export async function computeSettlement(hre: HardhatRuntimeEnvironment, context: PoolContext, fromBlock?: string) {
+  const { pool, address, tokens } = context;
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const blockTag = { blockTag: blockNumber };
+  const [startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, totalRefunded, idoActive, idoEnded, refundEnabled, activity] =
+    await Promise.all([
+      pool.startTime(blockTag),
+      pool.endTime(blockTag),
+      pool.tokenPrice(blockTag),
+      pool.softCap(blockTag),
+      pool.hardCap(blockTag),
+      pool.totalRaised(blockTag),
+      pool.totalRefunded(blockTag),
+      pool.idoActive(blockTag),
+      pool.idoEnded(blockTag),
+      pool.refundGloballyEnabled(blockTag),
+      fetchActivity(hre, context, fromBlock, blockNumber)
+    ]);
+  const state = { startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, totalRefunded, idoActive, idoEnded, refundEnabled };
+  const block = await hre.ethers.provider.getBlock(blockNumber);
+
+  const users = [...new Set(activity.map((entry) => entry.user.toLowerCase()))];
+  const onChain: Record<string, object> = {};
+  for (const user of users) {
+    const [contributed, owed, hasRefunded, hasClaimed] = await Promise.all([
+      pool.userContributedPaymentAmount(user, blockTag),
+      pool.userOwedIDOTokens(user, blockTag),
+      pool.userHasRefunded(user, blockTag),
+      pool.userHasClaimedIDOTokens(user, blockTag)
+    ]);
+    onChain[user] = { contributed, owed, hasRefunded, hasClaimed };
+  }
+
+  return buildSettlementReport({
+    pool: address,
+    state,
+    activity,
+    onChain,
+    tokens,
+    blockNumber,
+    phase: getPoolStatus(state, block ? block.timestamp : 0).label
+  });
+}
+
+/**
+ * Copies the pool's current parameters into its deployments registry entry, if it has one
+ */
+export async function syncRegistryParams(hre: HardhatRuntimeEnvironment, context: PoolContext) {
+  const { pool } = context;
+  const [startTime, endTime, tokenPrice, softCap, hardCap] = await Promise.all([
+    pool.startTime(),
+    pool.endTime(),
+    pool.tokenPrice(),
+    pool.softCap(),
+    pool.hardCap()
+  ]);
+  await updatePoolParams(hre, context.address, {
+    startTime: Number(startTime),
+    endTime: Number(endTime),
+    tokenPrice: tokenPrice.toString(),
+    softCap: softCap.toString(),
+    hardCap: hardCap.toString()
+  });
+}
+
+/**
+ * Sends a pool transaction and reports its hash and block
+ */
+export async function sendPoolTransaction(
+  context: PoolContext,
+  args: PoolArgs,
+  method: string,
+  params: unknown[] = [],
+  details: Record<string, unknown> = {}
+) {
+  const fn = context.pool.getFunction(method);
+
+  // Simulate first so a revert is reported with the contract's reason
+  try {
+    await fn.staticCall(...params);
+  } catch (error: any) {
+    throw cliError(`${method} would revert: ${error.reason || error.shortMessage || error.message}`);
+  }
+
+  const tx = await fn(...params);
+  if (!args.json) console.log(`${method} sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+
+  output(args.json, {
+    action: method,
+    pool: context.address,
+    ...details,
+    transactionHash: tx.hash,
+    blockNumber: receipt ? receipt.blockNumber : null
+  }, [`${method} confirmed in block ${receipt ? receipt.blockNumber : "?"}`]);
+}
@@ -0,0 +1,562 @@
+import { scope } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { ALLOWLIST_VERSION, AllowlistFile, allowlistPath, buildAllowlist, parseAllowlistCsv } from "../scripts/allowlist";
+import {
+  PoolArgs,
+  PoolContext,
+  cliError,
+  computeSettlement,
+  computeSolvency,
+  formatDuration,
+  formatPrice,
+  formatTime,
+  latestTimestamp,
+  loadPool,
+  output,
+  parseAmount,
+  parseDuration,
+  parsePrice,
+  parseRounds,
+  parseTime,
+  readRounds,
+  sendPoolTransaction,
+  syncRegistryParams
+} from "./helpers";
+import { BPS, currentRound, getPoolStatus, normalizeRounds, roundState, settlementToCsv, tgeTime } from "./shared";
+
+const ido = scope("ido", "Manage an IDOPool deployment");
+
+// Describes the vesting parameters, e.g. "20% at the TGE, the rest linearly over 180d after a 30d cliff"
+function describeVesting(tgeUnlockBps: bigint, vestingCliff: bigint, vestingDuration: bigint): string {
+  if (tgeUnlockBps === BPS) return "none (everything unlocks at the TGE)";
+  const atTge = `${Number(tgeUnlockBps) / 100}% at the TGE`;
+  const cliff = vestingCliff > 0n ? ` after a ${formatDuration(vestingCliff)} cliff` : "";
+  return vestingDuration > 0n
+    ? `${atTge}, the rest linearly over ${formatDuration(vestingDuration)}${cliff}`
+    : `${atTge}, the rest ${vestingCliff > 0n ? `${formatDuration(vestingCliff)} later` : "at the TGE"}`;
+}
+
+// Reads what withdrawFunds and recoverUnsoldTokens would release, and what the amounts are made of
+async function treasuryPreview(hre: HardhatRuntimeEnvironment, context: PoolContext) {
+  const { pool, address, tokens } = context;
+  const idoToken = await hre.ethers.getContractAt("IERC20Metadata", tokens.ido.address);
+  const [totalRaised, totalRefunded, fundsWithdrawn, withdrawableFunds, idoBalance, totalOwedIDOTokens, unsoldIDOTokens] =
+    await Promise.all([
+      pool.totalRaised(),
+      pool.totalRefunded(),
+      pool.fundsWithdrawn(),
+      pool.withdrawableFunds(),
+      idoToken.balanceOf(address),
+      pool.totalOwedIDOTokens(),
+      pool.unsoldIDOTokens()
+    ]);
+  return { totalRaised, totalRefunded, fundsWithdrawn, withdrawableFunds, idoBalance, totalOwedIDOTokens, unsoldIDOTokens };
+}
+
+// Simulates a pool call, returning its revert reason or null if it would succeed
+async function simulatedRevert(context: PoolContext, method: string, params: unknown[]): Promise<string | null> {
+  try {
+    await context.pool.getFunction(method).staticCall(...params);
+    return null;
+  } catch (error: any) {
+    return error.reason || error.shortMessage || error.message;
+  }
+}
+
+// Adds the parameters every pool command takes
+function poolTask(name: string, description: string) {
+  return ido
+    .task(name, description)
+    .addOptionalParam("pool", "IDOPool address (defaults to IDO_POOL_ADDRESS or the pool in frontend/public/pools.json)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+poolTask("status", "Show the pool parameters, phase and allowed actions")
+  .setAction(async (args: PoolArgs, hre) => {
+    const { address, pool, tokens } = await loadPool(hre, args);
+    const [owner, startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, idoActive, idoEnded, refundEnabled, allowlistRoot] =
+      await Promise.all([
+        pool.owner(),
+        pool.startTime(),
+        pool.endTime(),
+        pool.tokenPrice(),
+        pool.softCap(),
+        pool.hardCap(),
+        pool.totalRaised(),
+        pool.idoActive(),
+        pool.idoEnded(),
+        pool.refundGloballyEnabled(),
+        pool.allowlistRoot()
+      ]);
+    const [idoEndedAt, vestingStart, tgeUnlockBps, vestingCliff, vestingDuration, totalClaimedIDOTokens] = await Promise.all([
+      pool.idoEndedAt(),
+      pool.vestingStart(),
+      pool.tgeUnlockBps(),
+      pool.vestingCliff(),
+      pool.vestingDuration(),
+      pool.totalClaimedIDOTokens()
+    ]);
+    const [totalRefunded, fundsWithdrawn, withdrawableFunds, unsoldIDOTokens, rounds] = await Promise.all([
+      pool.totalRefunded(),
+      pool.fundsWithdrawn(),
+      pool.withdrawableFunds(),
+      pool.unsoldIDOTokens(),
+      readRounds(pool)
+    ]);
+    const now = await latestTimestamp(hre);
+    const status = getPoolStatus(
+      {
+        startTime, endTime, tokenPrice, softCap, hardCap, totalRaised, totalRefunded, idoActive, idoEnded, refundEnabled,
+        fundsWithdrawn, totalClaimedIDOTokens, rounds
+      },
+      now
+    );
+    const tge = tgeTime({ idoEnded, idoEndedAt, vestingStart });
+    const tgeLabel = tge > 0n
+      ? formatTime(tge)
+      : vestingStart > 0n ? `${formatTime(vestingStart)}, or the end of the IDO if later` : "the end of the IDO";
+    const amount = (value: bigint) => hre.ethers.formatUnits(value, tokens.payment.decimals);
+    const allowed = (actions: Record<string, boolean>) =>
+      Object.keys(actions).filter((action) => actions[action]);
+    const saleRounds = normalizeRounds(rounds).map((round) => ({
+      name: round.name,
+      startTime: Number(round.startTime),
+      endTime: Number(round.endTime),
+      price: formatPrice(hre, round.price, tokens),
+      cap: round.cap > 0n ? amount(round.cap) : null,
+      raised: amount(round.raised),
+      state: roundState(round, now)
+    }));
+    const activeRound = currentRound(rounds, now);
+    const priceLine = rounds.length === 0
+      ? `${formatPrice(hre, tokenPrice, tokens)} ${tokens.payment.symbol} per ${tokens.ido.symbol}`
+      : activeRound
+        ? `${formatPrice(hre, activeRound.price, tokens)} ${tokens.payment.symbol} per ${tokens.ido.symbol} (${activeRound.name})`
+        : "no round open";
+    const roundLines = saleRounds.map((round) =>
+      `  ${round.name}: ${formatTime(round.startTime)} - ${formatTime(round.endTime)}, ${round.price} ${tokens.payment.symbol} per ${tokens.ido.symbol}, ` +
+      `${round.raised}${round.cap ? ` of ${round.cap}` : ""} ${tokens.payment.symbol} raised (${round.state})`);
+
+    output(args.json, {
+      network: hre.network.name,
+      pool: address,
+      owner,
+      paymentToken: tokens.payment,
+      idoToken: tokens.ido,
+      startTime: Number(startTime),
+      endTime: Number(endTime),
+      blockTime: now,
+      tokenPrice: formatPrice(hre, tokenPrice, tokens),
+      rounds: saleRounds,
+      currentRound: activeRound ? activeRound.index : null,
+      softCap: amount(softCap),
+      hardCap: amount(hardCap),
+      totalRaised: amount(totalRaised),
+      totalRefunded: amount(totalRefunded),
+      idoActive,
+      idoEnded,
+      refundEnabled,
+      allowlistRoot: allowlistRoot === hre.ethers.ZeroHash ? null : allowlistRoot,
+      vesting: {
+        tgeTime: tge > 0n ? Number(tge) : null,
+        vestingStart: Number(vestingStart),
+        tgeUnlockBps: Number(tgeUnlockBps),
+        vestingCliff: Number(vestingCliff),
+        vestingDuration: Number(vestingDuration)
+      },
+      fundsWithdrawn,
+      withdrawableFunds: amount(withdrawableFunds),
+      unsoldIDOTokens: hre.ethers.formatUnits(unsoldIDOTokens, tokens.ido.decimals),
+      phase: status.phase,
+      phaseLabel: status.label,
+      userActions: allowed(status.userActions),
+      adminActions: allowed(status.adminActions)
+    }, [
+      `IDO Pool Address: ${address} (${hre.network.name})`,
+      `Owner: ${owner}`,
+      tokens.payment.native
+        ? `Payment: ${tokens.payment.symbol} (native currency)`
+        : `Payment Token: ${tokens.payment.symbol} ${tokens.payment.address}`,
+      `IDO Token: ${tokens.ido.symbol} ${tokens.ido.address}`,
+      "",
+      `Start Time: ${formatTime(startTime)}`,
+      `End Time: ${formatTime(endTime)}`,
+      `Token Price: ${priceLine}`,
+      ...(rounds.length > 0 ? ["Sale Rounds:", ...roundLines] : []),
+      `Soft Cap: ${amount(softCap)} ${tokens.payment.symbol}`,
+      `Hard Cap: ${amount(hardCap)} ${tokens.payment.symbol}`,
+      `Total Raised: ${amount(totalRaised)} ${tokens.payment.symbol}`,
+      `Total Refunded: ${amount(totalRefunded)} ${tokens.payment.symbol}`,
+      `IDO Active: ${idoActive}`,
+      `IDO Ended: ${idoEnded}`,
+      `Global Refund: ${refundEnabled}`,
+      `Allowlist: ${allowlistRoot === hre.ethers.ZeroHash ? "none (open to everyone)" : allowlistRoot}`,
+      `Vesting: ${describeVesting(tgeUnlockBps, vestingCliff, vestingDuration)}`,
+      `TGE: ${tgeLabel}`,
+      `Withdrawable Funds: ${fundsWithdrawn ? "already withdrawn" : `${amount(withdrawableFunds)} ${tokens.payment.symbol}`}`,
+      `Unsold IDO Tokens: ${hre.ethers.formatUnits(unsoldIDOTokens, tokens.ido.decimals)} ${tokens.ido.symbol}`,
+      "",
+      `Current Blockchain Time: ${formatTime(now)}`,
+      `Phase: ${status.label}`,
+      `Allowed user actions: ${allowed(status.userActions).join(", ") || "none"}`,
+      `Allowed admin actions: ${allowed(status.adminActions).join(", ") || "none"}`
+    ]);
+  });
+
+poolTask("set-params", "Set the schedule, price and caps of the IDO")
+  .addParam("start", "Start time: unix seconds, ISO date or offset from the latest block (e.g. +1h)")
+  .addParam("end", "End time, same formats as --start (offsets are from the latest block)")
+  .addParam("price", "Price of one IDO token, in payment tokens")
+  .addParam("softCap", "Soft cap, in payment tokens")
+  .addParam("hardCap", "Hard cap, in payment tokens")
+  .setAction(async (args: PoolArgs & { start: string; end: string; price: string; softCap: string; hardCap: string }, hre) => {
+    const context = await loadPool(hre, args);
+    const now = await latestTimestamp(hre);
+    const startTime = parseTime(args.start, now);
+    const endTime = parseTime(args.end, now);
+    const tokenPrice = parsePrice(hre, args.price, context.tokens);
+    const softCap = parseAmount(hre, args.softCap, context.tokens.payment);
+    const hardCap = parseAmount(hre, args.hardCap, context.tokens.payment);
+
+    await sendPoolTransaction(context, args, "setIDOParameters", [startTime, endTime, tokenPrice, softCap, hardCap], {
+      startTime,
+      endTime,
+      tokenPrice
+    });
+    await syncRegistryParams(hre, context);
+  });
+
+poolTask("update-price", "Update the token price")
+  .addParam("price", "Price of one IDO token, in payment tokens")
+  .setAction(async (args: PoolArgs & { price: string }, hre) => {
+    const context = await loadPool(hre, args);
+    const tokenPrice = parsePrice(hre, args.price, context.tokens);
+    await sendPoolTransaction(context, args, "updateTokenPrice", [tokenPrice], { tokenPrice });
+    await syncRegistryParams(hre, context);
+  });
+
+poolTask("update-caps", "Update the soft and hard caps")
+  .addParam("softCap", "Soft cap, in payment tokens")
+  .addParam("hardCap", "Hard cap, in payment tokens")
+  .setAction(async (args: PoolArgs & { softCap: string; hardCap: string }, hre) => {
+    const context = await loadPool(hre, args);
+    const softCap = parseAmount(hre, args.softCap, context.tokens.payment);
+    const hardCap = parseAmount(hre, args.hardCap, context.tokens.payment);
+    await sendPoolTransaction(context, args, "updateCaps", [softCap, hardCap], { softCap, hardCap });
+    await syncRegistryParams(hre, context);
+  });
+
+poolTask("update-schedule", "Update the start and end times")
+  .addParam("start", "Start time: unix seconds, ISO date or offset from the latest block (e.g. +1h)")
+  .addParam("end", "End time, same formats as --start (offsets are from the latest block)")
+  .setAction(async (args: PoolArgs & { start: string; end: string }, hre) => {
+    const context = await loadPool(hre, args);
+    const now = await latestTimestamp(hre);
+    const startTime = parseTime(args.start, now);
+    const endTime = parseTime(args.end, now);
+    await sendPoolTransaction(context, args, "updateSchedule", [startTime, endTime], { startTime, endTime });
+    await syncRegistryParams(hre, context);
+  });
+
+poolTask("set-vesting", "Set the vesting of the purchased IDO tokens (before the IDO starts)")
+  .addParam("tgePercent", "Share of the tokens unlocked at the TGE, in percent (e.g. 20 or 12.5; 100 disables vesting)")
+  .addOptionalParam("cliff", "Time after the TGE before linear vesting starts, in seconds or with a unit (e.g. 30d)", "0")
+  .addOptionalParam("duration", "Length of the linear vesting after the cliff, same format as --cliff (0 unlocks the rest at the end of the cliff)", "0")
+  .addOptionalParam("tge", "TGE time, same formats as set-params --start (defaults to the end of the IDO, also if earlier)")
+  .setAction(async (args: PoolArgs & { tgePercent: string; cliff: string; duration: string; tge?: string }, hre) => {
+    let tgeUnlockBps: bigint;
+    try {
+      tgeUnlockBps = hre.ethers.parseUnits(args.tgePercent, 2);
+    } catch (error) {
+      throw cliError(`Invalid TGE percentage: ${args.tgePercent} (at most two decimals)`);
+    }
+    if (tgeUnlockBps < 0n || tgeUnlockBps > BPS) throw cliError("The TGE percentage must be between 0 and 100");
+
+    const vestingCliff = parseDuration(args.cliff);
+    const vestingDuration = parseDuration(args.duration);
+    const vestingStart = args.tge ? parseTime(args.tge, await latestTimestamp(hre)) : 0;
+
+    await sendPoolTransaction(
+      await loadPool(hre, args),
+      args,
+      "setVesting",
+      [vestingStart, tgeUnlockBps, vestingCliff, vestingDuration],
+      { vestingStart, tgeUnlockBps, vestingCliff, vestingDuration }
+    );
+  });
+
+poolTask("set-rounds", "Set the sale rounds, each with its own window, price and cap (before the IDO starts)")
+  .addOptionalParam("file", "YAML or JSON list of rounds: name, start and end (same formats as set-params --start), price, cap (optional)")
+  .addFlag("clear", "Remove the rounds, pricing purchases at the token price again")
+  .setAction(async (args: PoolArgs & { file?: string; clear: boolean }, hre) => {
+    if (Boolean(args.file) === args.clear) throw cliError("Pass either --file or --clear");
+    const context = await loadPool(hre, args);
+
+    let specs = [];
+    if (args.file) {
+      if (!fs.existsSync(args.file)) throw cliError(`Rounds file not found: ${args.file}`);
+      const content = fs.readFileSync(args.file, "utf8");
+      try {
+        specs = /\.ya?ml$/i.test(args.file) ? yaml.load(content) : JSON.parse(content);
+      } catch (error: any) {
+        throw cliError(`${args.file}: ${error.message}`);
+      }
+    }
+    const rounds = parseRounds(hre, specs, context.tokens, await latestTimestamp(hre));
+
+    await sendPoolTransaction(context, args, "setRounds", [rounds], { rounds });
+  });
+
+poolTask("start", "Start the IDO")
+  .setAction(async (args: PoolArgs, hre) => {
+    await sendPoolTransaction(await loadPool(hre, args), args, "startIDO");
+  });
+
+poolTask("end", "End the IDO")
+  .setAction(async (args: PoolArgs, hre) => {
+    await sendPoolTransaction(await loadPool(hre, args), args, "endIDO");
+  });
+
+poolTask("trigger-refund", "Trigger a global refund")
+  .setAction(async (args: PoolArgs, hre) => {
+    await sendPoolTransaction(await loadPool(hre, args), args, "triggerGlobalRefund");
+  });
+
+poolTask("disable-refund", "Disable the global refund")
+  .setAction(async (args: PoolArgs, hre) => {
+    await sendPoolTransaction(await loadPool(hre, args), args, "disableGlobalRefund");
+  });
+
+poolTask("allowlist", "Build an allowlist from a CSV file, write its proofs for the dApp and set its root on the pool")
+  .addParam("csv", "CSV file of address,minContribution,maxContribution rows, limits in payment tokens (empty for no limit)")
+  .addOptionalParam("out", "Where to write the root and proofs (defaults to frontend/public/allowlists/<chainId>/<pool>.json)")
+  .addFlag("dryRun", "Write the proofs without setting the root on the pool")
+  .setAction(async (args: PoolArgs & { csv: string; out?: string; dryRun: boolean }, hre) => {
+    const context = await loadPool(hre, args);
+    const { address, tokens } = context;
+    if (!fs.existsSync(args.csv)) throw cliError(`Allowlist file not found: ${args.csv}`);
+
+    let tree;
+    try {
+      tree = buildAllowlist(parseAllowlistCsv(fs.readFileSync(args.csv, "utf8"), tokens.payment.decimals));
+    } catch (error: any) {
+      throw cliError(`${args.csv}: ${error.message}`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const file: AllowlistFile = {
+      version: ALLOWLIST_VERSION,
+      chainId: Number(chainId),
+      pool: address,
+      root: tree.root,
+      paymentToken: { address: tokens.payment.address, symbol: tokens.payment.symbol, decimals: tokens.payment.decimals },
+      entries: Object.fromEntries(tree.entries.map((entry) => [entry.address, {
+        minContribution: entry.minContribution.toString(),
+        maxContribution: entry.maxContribution.toString(),
+        proof: entry.proof
+      }]))
+    };
+    const out = args.out || allowlistPath(chainId, address);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, `${JSON.stringify(file, null, 2)}\n`);
+
+    if (args.dryRun) {
+      output(args.json, { pool: address, root: tree.root, entries: tree.entries.length, writtenTo: out }, [
+        `Allowlist of ${tree.entries.length} addresses written to ${out}`,
+        `Merkle root: ${tree.root}`,
+        "Set it on the pool by running this command again without --dry-run."
+      ]);
+      return;
+    }
+    if (!args.json) console.log(`Allowlist of ${tree.entries.length} addresses written to ${out}`);
+    await sendPoolTransaction(context, args, "setAllowlist", [tree.root], {
+      root: tree.root,
+      entries: tree.entries.length,
+      writtenTo: out
+    });
+  });
+
+poolTask("clear-allowlist", "Remove the allowlist, opening the sale to everyone")
+  .setAction(async (args: PoolArgs, hre) => {
+    await sendPoolTransaction(await loadPool(hre, args), args, "setAllowlist", [hre.ethers.ZeroHash]);
+  });
+
+poolTask("withdraw-funds", "Send the raised funds to a treasury address (after a successful IDO, refunds disabled)")
+  .addParam("treasury", "Address receiving the payment tokens")
+  .addFlag("dryRun", "Only show what would be withdrawn")
+  .setAction(async (args: PoolArgs & { treasury: string; dryRun: boolean }, hre) => {
+    if (!hre.ethers.isAddress(args.treasury)) throw cliError(`Invalid treasury address: ${args.treasury}`);
+    const context = await loadPool(hre, args);
+    const preview = await treasuryPreview(hre, context);
+    const { symbol, decimals } = context.tokens.payment;
+    const amount = (value: bigint) => `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+    const lines = preview.fundsWithdrawn
+      ? ["The raised funds have already been withdrawn."]
+      : [
+        `Withdrawable: ${amount(preview.withdrawableFunds)} (raised ${amount(preview.totalRaised)}, refunded ${amount(preview.totalRefunded)})`,
+        `Treasury: ${args.treasury}`,
+        "Once withdrawn, a global refund can no longer be triggered."
+      ];
+
+    if (args.dryRun) {
+      const revert = await simulatedRevert(context, "withdrawFunds", [args.treasury]);
+      output(args.json, { pool: context.address, treasury: args.treasury, ...preview, revert }, [
+        ...lines,
+        revert ? `withdrawFunds would revert: ${revert}` : "withdrawFunds would succeed."
+      ]);
+      return;
+    }
+    if (!args.json) lines.forEach((line) => console.log(line));
+    await sendPoolTransaction(context, args, "withdrawFunds", [args.treasury], {
+      treasury: args.treasury,
+      amount: preview.withdrawableFunds
+    });
+  });
+
+poolTask("recover-tokens", "Send the IDO tokens nobody bought to a treasury address (after a successful IDO, refunds disabled)")
+  .addParam("treasury", "Address receiving the IDO tokens")
+  .addFlag("dryRun", "Only show what would be recovered")
+  .setAction(async (args: PoolArgs & { treasury: string; dryRun: boolean }, hre) => {
+    if (!hre.ethers.isAddress(args.treasury)) throw cliError(`Invalid treasury address: ${args.treasury}`);
+    const context = await loadPool(hre, args);
+    const preview = await treasuryPreview(hre, context);
+    const { symbol, decimals } = context.tokens.ido;
+    const amount = (value: bigint) => `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+    const lines = [
+      `Unsold: ${amount(preview.unsoldIDOTokens)} (pool holds ${amount(preview.idoBalance)}, owed to participants ${amount(preview.totalOwedIDOTokens)})`,
+      `Treasury: ${args.treasury}`
+    ];
+
+    if (args.dryRun) {
+      const revert = await simulatedRevert(context, "recoverUnsoldTokens", [args.treasury]);
+      output(args.json, { pool: context.address, treasury: args.treasury, ...preview, revert }, [
+        ...lines,
+        revert ? `recoverUnsoldTokens would revert: ${revert}` : "recoverUnsoldTokens would succeed."
+      ]);
+      return;
+    }
+    if (!args.json) lines.forEach((line) => console.log(line));
+    await sendPoolTransaction(context, args, "recoverUnsoldTokens", [args.treasury], {
+      treasury: args.treasury,
+      amount: preview.unsoldIDOTokens
+    });
+  });
+
+poolTask("solvency", "Check that the pool holds enough IDO tokens to pay out every claim")
+  .setAction(async (args: PoolArgs, hre) => {
+    const context = await loadPool(hre, args);
+    const result = await computeSolvency(hre, context);
+    const { symbol, decimals } = context.tokens.ido;
+    const amount = (value: bigint) => `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+
+    output(args.json, { pool: context.address, idoToken: context.tokens.ido, ...result }, [
+      `Pool Balance: ${amount(result.balance)}`,
+      `Owed to participants: ${amount(result.owed)}`,
+      `Required (${result.basis === "worst-case" ? "owed plus what the remaining hard cap can buy" : "owed"}): ${amount(result.required)}`,
+      ...(result.reserved > 0n ? [`  including the raised funds, paid in the same token: ${amount(result.reserved)}`] : []),
+      result.solvent
+        ? "The pool holds enough tokens to pay out every claim."
+        : `Shortfall: ${amount(result.shortfall)} (fund it with: npx hardhat ido fund-pool)`
+    ]);
+  });
+
+poolTask("fund-pool", "Transfer IDO tokens from the signer to the pool")
+  .addOptionalParam("amount", "Amount of IDO tokens to transfer (defaults to the solvency shortfall)")
+  .setAction(async (args: PoolArgs & { amount?: string }, hre) => {
+    const context = await loadPool(hre, args);
+    const { address, signer, tokens } = context;
+    const idoToken = await hre.ethers.getContractAt("IERC20Metadata", tokens.ido.address, signer);
+
+    let amount: bigint;
+    if (args.amount !== undefined) {
+      amount = parseAmount(hre, args.amount, tokens.ido);
+    } else {
+      amount = (await computeSolvency(hre, context)).shortfall;
+      if (amount === 0n) {
+        output(args.json, { action: "fundPool", pool: address, amount, poolBalance: await idoToken.balanceOf(address) }, [
+          "The pool is already solvent; nothing to transfer."
+        ]);
+        return;
+      }
+    }
+    if ((await idoToken.balanceOf(signer.address)) < amount) {
+      throw cliError(`${signer.address} holds less than ${hre.ethers.formatUnits(amount, tokens.ido.decimals)} ${tokens.ido.symbol}`);
+    }
+
+    const tx = await idoToken.transfer(address, amount);
+    if (!args.json) console.log(`transfer sent: ${tx.hash}`);
+    const receipt = await tx.wait();
+    const poolBalance = await idoToken.balanceOf(address);
+
+    output(args.json, {
+      action: "fundPool",
+      pool: address,
+      amount,
+      poolBalance,
+      transactionHash: tx.hash,
+      blockNumber: receipt ? receipt.blockNumber : null
+    }, [
+      `Transferred ${hre.ethers.formatUnits(amount, tokens.ido.decimals)} ${tokens.ido.symbol} to ${address}`,
+      `Pool balance: ${hre.ethers.formatUnits(poolBalance, tokens.ido.decimals)} ${tokens.ido.symbol}`
+    ]);
+  });
+
+poolTask("settlement", "Rebuild every participant's position from the events and check it against the contract")
+  .addOptionalParam("out", "Write the report to this file (CSV, or JSON when the name ends in .json)")
+  .addOptionalParam("format", "Report format for --out: csv or json (overrides the file extension)")
+  .addOptionalParam("fromBlock", "First block to read events from (defaults to the pool's deploy block in the deployments registry or pools.json, or 0)")
+  .setAction(async (args: PoolArgs & { out?: string; format?: string; fromBlock?: string }, hre) => {
+    const format = args.format || (args.out && args.out.toLowerCase().endsWith(".json") ? "json" : "csv");
+    if (format !== "csv" && format !== "json") throw cliError(`Unknown report format: ${format}`);
+
+    const context = await loadPool(hre, args);
+    const report = await computeSettlement(hre, context, args.fromBlock);
+    const { totals, mismatches } = report;
+    const pay = context.tokens.payment.symbol;
+    const idoSymbol = context.tokens.ido.symbol;
+
+    if (args.out) {
+      fs.writeFileSync(args.out, format === "json" ? `${JSON.stringify(report, null, 2)}\n` : settlementToCsv(report));
+    }
+
+    output(args.json, args.out ? { ...report, writtenTo: args.out, format } : report, [
+      `Settlement of ${context.address} at block ${report.blockNumber} (${report.phase})`,
+      `Participants: ${totals.participants}`,
+      `Total raised: ${totals.totalRaised} ${pay}`,
+      `Refunded: ${totals.refunded} ${pay} (net raised ${totals.netRaised} ${pay})`,
+      `Tokens purchased: ${totals.tokensPurchased} ${idoSymbol}, claimed ${totals.tokensClaimed} ${idoSymbol}`,
+      `Unclaimed tokens: ${totals.unclaimedTokens} ${idoSymbol}`,
+      `Outstanding refunds: ${totals.outstandingRefunds} ${pay}`,
+      mismatches.length === 0
+        ? "Events and contract state agree for every participant."
+        : `${mismatches.length} mismatch(es) between the events and the contract state:`,
+      ...mismatches.map((mismatch: Record<string, string>) =>
+        `  ${mismatch.address} ${mismatch.field}: events ${mismatch.fromEvents}, contract ${mismatch.fromContract}`),
+      ...(args.out ? [`Report written to ${args.out} (${format})`] : [])
+    ]);
+  });
+
+ido
+  .task("warp", "Move the chain time forward (Hardhat and Ganache nodes only)")
+  .addOptionalParam("seconds", "Number of seconds to move forward")
+  .addOptionalParam("to", "Target time: unix seconds, ISO date or offset from the latest block (e.g. +1h)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args: { seconds?: string; to?: string; json: boolean }, hre) => {
+    if (!args.seconds === !args.to) throw cliError("Pass exactly one of --seconds or --to");
+
+    const before = await latestTimestamp(hre);
+    const seconds = args.seconds !== undefined ? Number(args.seconds) : parseTime(args.to as string, before) - before;
+    if (!Number.isInteger(seconds) || seconds <= 0) throw cliError("The target time must be later than the latest block");
+
+    // evm_increaseTime is supported by both Hardhat and Ganache, unlike evm_setNextBlockTimestamp
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine");
+    const after = await latestTimestamp(hre);
+
+    output(args.json, { action: "warp", from: before, to: after }, [
+      `Block time moved from ${formatTime(before)} to ${formatTime(after)}`
+    ]);
+  });
@@ -0,0 +1,123 @@
+import { scope } from "hardhat/config";
+import fs from "fs";
+import { cliError, loadPool, logRange, output } from "./helpers";
+import { openDatabase } from "../indexer/database";
+import { syncPool } from "../indexer/sync";
+import { createApiServer } from "../indexer/api";
+
+/*
+ * Runs the pool indexer: follows the pool's events into SQLite and serves them over a REST API.
+ */
+
+const ido = scope("ido");
+
+interface IndexerArgs {
+  pool?: string;
+  json: boolean;
+  db: string;
+  startBlock?: string;
+  port: string;
+  host: string;
+  pollInterval: string;
+  reorgDepth: string;
+  once: boolean;
+  reset: boolean;
+}
+
+function positiveInteger(value: string, name: string): number {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) throw cliError(`--${name} must be a positive integer`);
+  return number;
+}
+
+// Removes the database and its write-ahead log
+function removeDatabase(file: string) {
+  [file, `${file}-wal`, `${file}-shm`].forEach((path) => {
+    if (fs.existsSync(path)) fs.unlinkSync(path);
+  });
+}
+
+ido
+  .task("indexer", "Index the pool's events into SQLite and serve them over a REST API")
+  .addOptionalParam("pool", "IDOPool address (defaults to IDO_POOL_ADDRESS, pools.json or the deployments registry)")
+  .addOptionalParam("db", "SQLite database file", "indexer.db")
+  .addOptionalParam("startBlock", "First block to index (defaults to the pool's deploy block in the deployments registry or pools.json, or 0)")
+  .addOptionalParam("port", "API port", "4000")
+  .addOptionalParam("host", "API host", "127.0.0.1")
+  .addOptionalParam("pollInterval", "Milliseconds between syncs", "4000")
+  .addOptionalParam("reorgDepth", "Number of recent blocks re-checked for reorgs", "12")
+  .addFlag("once", "Sync once and exit, without starting the API")
+  .addFlag("reset", "Delete the database and index from the start block again")
+  .addFlag("json", "Print the result of --once as JSON")
+  .setAction(async (args: IndexerArgs, hre) => {
+    const context = await loadPool(hre, { pool: args.pool, json: args.json });
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const { start, pageSize } = await logRange(hre, context, args.startBlock);
+    const options = { startBlock: start, pageSize, reorgDepth: positiveInteger(args.reorgDepth, "reorg-depth") };
+    const pollInterval = positiveInteger(args.pollInterval, "poll-interval");
+
+    if (args.reset) removeDatabase(args.db);
+    const db = openDatabase(args.db);
+
+    // A database belongs to one pool on one chain, indexed from one start block
+    const identity = { chainId: chainId.toString(), pool: context.address.toLowerCase(), startBlock: String(start) };
+    for (const [key, value] of Object.entries(identity)) {
+      const stored = db.getMeta(key);
+      if (stored !== undefined && stored !== value) {
+        db.close();
+        throw cliError(`${args.db} indexes ${key} ${stored}, not ${value}: use another --db or pass --reset`);
+      }
+      db.setMeta(key, value);
+    }
+
+    if (args.once) {
+      const result = await syncPool(hre, context, db, options);
+      db.close();
+      output(args.json, { pool: context.address, db: args.db, ...result }, [
+        `Indexed ${context.address} up to block ${result.indexedBlock} (head ${result.headBlock})`,
+        `${result.newEvents} new event(s)${result.reorgedTo !== null ? `, rewound to block ${result.reorgedTo} after a reorg` : ""}`
+      ]);
+      return;
+    }
+
+    let headBlock: number | null = null;
+    let lastSyncAt: string | null = null;
+    const server = createApiServer(db, {
+      chainId: identity.chainId,
+      pool: context.address,
+      startBlock: start,
+      headBlock: () => headBlock,
+      lastSyncAt: () => lastSyncAt
+    });
+    await new Promise<void>((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(Number(args.port), args.host, resolve);
+    });
+    console.log(`Indexing ${context.address} on ${hre.network.name} from block ${start} into ${args.db}`);
+    console.log(`API listening on http://${args.host}:${args.port}`);
+
+    // Sync until interrupted; a failed sync is logged and retried on the next poll
+    let stopped = false;
+    const stop = () => {
+      stopped = true;
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    while (!stopped) {
+      try {
+        const result = await syncPool(hre, context, db, options);
+        headBlock = result.headBlock;
+        lastSyncAt = new Date().toISOString();
+        if (result.reorgedTo !== null) console.log(`Reorg detected: rewound to block ${result.reorgedTo}`);
+        if (result.newEvents > 0) console.log(`Block ${result.indexedBlock}: ${result.newEvents} new event(s)`);
+      } catch (error: any) {
+        console.error(`Sync failed: ${error.message}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    console.log("Indexer stopped");
+  });
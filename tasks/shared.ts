@@ -0,0 +1,115 @@
+/*
+ * The pool logic TypeScript code shares with the dApp (frontend/src/shared), with types.
+ * Those modules stay plain CommonJS so the dApp can use them as they are; import them from here,
+ * never from the frontend directly, so the CLI, the indexer and the dApp keep agreeing on phases,
+ * solvency, settlements, vesting and rounds.
+ */
+
+/** An amount as a bigint, a number or anything with a numeric toString, such as an ethers BigNumber */
+export type Amount = bigint | number | string | { toString(): string };
+
+/** An activity event, see fetchActivity */
+export interface ActivityEntry {
+  type: string;
+  user: string;
+  paymentAmount: Amount;
+  idoTokenAmount: Amount;
+}
+
+export interface PoolStatus {
+  phase: string;
+  label: string;
+  userActions: Record<string, boolean>;
+  adminActions: Record<string, boolean>;
+}
+
+export interface Solvency {
+  basis: string;
+  required: bigint;
+  reserved: bigint;
+  balance: bigint;
+  shortfall: bigint;
+  solvent: boolean;
+}
+
+/** A round read from the pool, see readRounds */
+export interface RoundState {
+  name: string;
+  startTime: Amount;
+  endTime: Amount;
+  price: Amount;
+  cap: Amount;
+  raised: Amount;
+}
+
+/** A round with its numeric values as bigints, plus its index */
+export interface NormalizedRound {
+  index: number;
+  name: string;
+  startTime: bigint;
+  endTime: bigint;
+  price: bigint;
+  cap: bigint;
+  raised: bigint;
+}
+
+/** A participant's totals replayed from the events, and the mapping values they imply */
+export interface Participant {
+  address: string;
+  purchases: number;
+  paid: bigint;
+  tokensPurchased: bigint;
+  refunded: bigint;
+  claimed: bigint;
+  expected: { contributed: bigint; owed: bigint; hasRefunded: boolean; hasClaimed: boolean };
+}
+
+export interface SettlementReport {
+  pool: string;
+  blockNumber: number;
+  phase?: string;
+  paymentToken: object;
+  idoToken: object;
+  totals: Record<string, string | number>;
+  participants: Record<string, string | number | boolean>[];
+  mismatches: Record<string, string>[];
+}
+
+const poolStatus: {
+  getPoolStatus(state: object, now: number, user?: object): PoolStatus;
+} = require("../frontend/src/shared/poolStatus");
+
+const solvency: {
+  checkSolvency(state: object, balance: Amount, owed: Amount): Solvency;
+} = require("../frontend/src/shared/solvency");
+
+const settlement: {
+  replaySettlement(activity: ActivityEntry[]): Record<string, Participant>;
+  buildSettlementReport(params: {
+    pool: string;
+    state: object;
+    activity: ActivityEntry[];
+    onChain: Record<string, object>;
+    tokens: { payment: object; ido: object };
+    blockNumber: number;
+    phase?: string;
+  }): SettlementReport;
+  settlementToCsv(report: SettlementReport): string;
+} = require("../frontend/src/shared/settlement");
+
+const vesting: {
+  BPS: bigint;
+  tgeTime(state: { idoEnded: boolean; idoEndedAt: Amount; vestingStart: Amount }): bigint;
+} = require("../frontend/src/shared/vesting");
+
+const rounds: {
+  normalizeRounds(rounds: RoundState[]): NormalizedRound[];
+  roundState(round: NormalizedRound, now: number): string;
+  currentRound(rounds: RoundState[], now: number): NormalizedRound | null;
+} = require("../frontend/src/shared/rounds");
+
+export const { getPoolStatus } = poolStatus;
+export const { checkSolvency } = solvency;
+export const { replaySettlement, buildSettlementReport, settlementToCsv } = settlement;
+export const { BPS, tgeTime } = vesting;
+export const { normalizeRounds, roundState, currentRound } = rounds;
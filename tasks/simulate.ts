@@ -0,0 +1,376 @@
+import { scope } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import {
+  PoolContext,
+  RoundSpec,
+  cliError,
+  computeSolvency,
+  fetchActivity,
+  formatTime,
+  latestTimestamp,
+  loadPool,
+  output,
+  parseAmount,
+  parseDuration,
+  parsePrice,
+  parseRounds,
+  parseTime
+} from "./helpers";
+
+/*
+ * Lifecycle simulator: deploys a fresh token pair and pool on a local node, runs a scenario of timed
+ * purchases, warps, claims and refunds against it, then checks the pool's accounting invariants.
+ */
+
+// Chains the simulator may run on: Hardhat (in-process or node) and Ganache
+const LOCAL_CHAIN_IDS = [1337n, 31337n];
+
+// Ether sent to each generated account for gas
+const ACCOUNT_GAS_FUNDING = "10";
+
+interface ScenarioStep {
+  action: string;
+  account?: number;
+  amount?: string | number;
+  seconds?: number;
+  to?: string;
+  at?: string;
+  expectRevert?: string | boolean;
+}
+
+interface Scenario {
+  accounts?: number;
+  mint?: string | number;
+  tokens?: {
+    payment?: { name?: string; symbol?: string; native?: boolean };
+    ido?: { name?: string; symbol?: string };
+  };
+  pool: {
+    start: string;
+    end: string;
+    price: string | number;
+    softCap: string | number;
+    hardCap: string | number;
+    fund?: string | number;
+    vesting?: { tgePercent: string | number; cliff?: string | number; duration?: string | number };
+    rounds?: RoundSpec[];
+  };
+  steps: ScenarioStep[];
+}
+
+interface Invariant {
+  name: string;
+  passed: boolean;
+  details: string;
+}
+
+const ido = scope("ido");
+
+function loadScenario(file: string): Scenario {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) throw cliError(`Scenario file not found: ${file}`);
+
+  const content = fs.readFileSync(fullPath, "utf8");
+  const scenario = (/\.ya?ml$/i.test(fullPath) ? yaml.load(content) : JSON.parse(content)) as Scenario;
+  if (!scenario || !scenario.pool || !Array.isArray(scenario.steps)) {
+    throw cliError("A scenario needs a `pool` section and a list of `steps`");
+  }
+  return scenario;
+}
+
+/**
+ * Parses a step's `at` offset from the sale start ("+2h", "-5m", "+90")
+ */
+function parseOffset(value: string): number {
+  const match = String(value).match(/^([+-])(\d+)([smhd]?)$/);
+  if (!match) throw cliError(`Invalid offset: ${value} (expected e.g. +2h or -5m)`);
+  const units: Record<string, number> = { "": 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return (match[1] === "-" ? -1 : 1) * Number(match[2]) * units[match[3]];
+}
+
+// Extracts the revert reason (require string or custom error) from a failed call
+function revertReason(error: any): string {
+  const message = String(error.message || "");
+  const match = message.match(/reverted with reason string '([^']*)'|reverted with custom error '([^'(]*)/);
+  if (match) return match[1] || match[2];
+  return error.reason || error.shortMessage || message;
+}
+
+async function warpTo(hre: HardhatRuntimeEnvironment, timestamp: number) {
+  const now = await latestTimestamp(hre);
+  if (timestamp < now) {
+    throw cliError(`Cannot go back in time to ${formatTime(timestamp)}; the chain is at ${formatTime(now)}`);
+  }
+  if (timestamp > now) {
+    await hre.network.provider.send("evm_increaseTime", [timestamp - now]);
+    await hre.network.provider.send("evm_mine");
+  }
+}
+
+/**
+ * Deploys the tokens and the pool, configures the sale and funds the generated accounts
+ */
+async function deploy(hre: HardhatRuntimeEnvironment, scenario: Scenario, accountCount: number) {
+  const [deployer] = await hre.ethers.getSigners();
+  const MockToken = await hre.ethers.getContractFactory("MockToken");
+  const tokens = scenario.tokens || {};
+
+  // A native-currency pool has no payment token: the participants pay in ether
+  const native = Boolean(tokens.payment && tokens.payment.native);
+  const paymentToken = native ? null : await MockToken.deploy(
+    (tokens.payment && tokens.payment.name) || "Payment Token",
+    (tokens.payment && tokens.payment.symbol) || "PAY"
+  );
+  const idoToken = await MockToken.deploy(
+    (tokens.ido && tokens.ido.name) || "IDO Token",
+    (tokens.ido && tokens.ido.symbol) || "IDO"
+  );
+  await Promise.all([paymentToken && paymentToken.waitForDeployment(), idoToken.waitForDeployment()]);
+
+  const IDOPool = await hre.ethers.getContractFactory("IDOPool");
+  const pool = await IDOPool.deploy(paymentToken ? await paymentToken.getAddress() : hre.ethers.ZeroAddress, await idoToken.getAddress());
+  await pool.waitForDeployment();
+
+  const context = await loadPool(hre, { pool: await pool.getAddress(), json: false });
+
+  // Configure the sale, with start and end relative to the current block
+  const now = await latestTimestamp(hre);
+  const startTime = parseTime(String(scenario.pool.start), now);
+  const endTime = parseTime(String(scenario.pool.end), now);
+  await (await context.pool.setIDOParameters(
+    startTime,
+    endTime,
+    parsePrice(hre, String(scenario.pool.price), context.tokens),
+    parseAmount(hre, String(scenario.pool.softCap), context.tokens.payment),
+    parseAmount(hre, String(scenario.pool.hardCap), context.tokens.payment)
+  )).wait();
+
+  // Vesting from the end of the sale, as `ido set-vesting` without --tge
+  const vesting = scenario.pool.vesting;
+  if (vesting) {
+    await (await context.pool.setVesting(
+      0,
+      hre.ethers.parseUnits(String(vesting.tgePercent), 2),
+      parseDuration(String(vesting.cliff || 0)),
+      parseDuration(String(vesting.duration || 0))
+    )).wait();
+  }
+
+  // Sale rounds, set before funding so the worst case is priced at them
+  if (scenario.pool.rounds) {
+    await (await context.pool.setRounds(parseRounds(hre, scenario.pool.rounds, context.tokens, now))).wait();
+  }
+
+  // Fund the pool with the requested amount, or exactly the worst case it could owe
+  const fund = scenario.pool.fund !== undefined
+    ? parseAmount(hre, String(scenario.pool.fund), context.tokens.ido)
+    : (await computeSolvency(hre, context)).shortfall;
+  if (fund > 0n) {
+    await (await idoToken.mint(deployer.address, fund)).wait();
+    await (await idoToken.transfer(context.address, fund)).wait();
+  }
+
+  // Generated participants, each with gas money and payment tokens (more ether in a native-currency pool)
+  const mint = parseAmount(hre, String(scenario.mint !== undefined ? scenario.mint : 1000), context.tokens.payment);
+  const gas = hre.ethers.parseEther(ACCOUNT_GAS_FUNDING);
+  const accounts = [];
+  for (let i = 0; i < accountCount; i++) {
+    const wallet = hre.ethers.Wallet.createRandom().connect(hre.ethers.provider);
+    await (await deployer.sendTransaction({ to: wallet.address, value: paymentToken ? gas : gas + mint })).wait();
+    if (paymentToken) await (await paymentToken.mint(wallet.address, mint)).wait();
+    accounts.push(wallet);
+  }
+
+  return { context, deployer, accounts, startTime, endTime, fund };
+}
+
+/**
+ * Checks the pool's accounting after the scenario
+ */
+async function checkInvariants(hre: HardhatRuntimeEnvironment, context: PoolContext, accounts: string[]): Promise<Invariant[]> {
+  const { pool, address, tokens } = context;
+  const paymentBalance = tokens.payment.native
+    ? hre.ethers.provider.getBalance(address)
+    : (await hre.ethers.getContractAt("IERC20Metadata", tokens.payment.address)).balanceOf(address);
+  const activity = await fetchActivity(hre, context, "0");
+  const format = (value: bigint) => `${hre.ethers.formatUnits(value, tokens.payment.decimals)} ${tokens.payment.symbol}`;
+
+  // Refunds pay out of the pool without lowering totalRaised
+  const refunded = activity
+    .filter((entry) => entry.type === "RefundClaimed")
+    .reduce((total, entry) => total + entry.paymentAmount, 0n);
+  const [balance, totalRaised, withdrawn] = await Promise.all([
+    paymentBalance,
+    pool.totalRaised(),
+    pool.fundsWithdrawn()
+  ]);
+  // A withdrawal sends everything that was not refunded to the treasury
+  const expectedBalance = withdrawn ? 0n : totalRaised - refunded;
+
+  // Both from the events and from the contract's own flags
+  const claimers = new Set(activity.filter((entry) => entry.type === "IDOTokensClaimed").map((entry) => entry.user.toLowerCase()));
+  const both = new Set(activity
+    .filter((entry) => entry.type === "RefundClaimed" && claimers.has(entry.user.toLowerCase()))
+    .map((entry) => entry.user));
+  for (const account of accounts) {
+    // A partial claim under vesting leaves userHasClaimedIDOTokens unset
+    const [hasRefunded, claimed] = await Promise.all([pool.userHasRefunded(account), pool.userClaimedIDOTokens(account)]);
+    if (hasRefunded && claimed > 0n) both.add(account);
+  }
+
+  const solvency = await computeSolvency(hre, context);
+  const formatIdo = (value: bigint) => `${hre.ethers.formatUnits(value, tokens.ido.decimals)} ${tokens.ido.symbol}`;
+
+  return [
+    {
+      name: withdrawn ? "Payment balance is empty after the withdrawal" : "Payment balance equals totalRaised minus refunds",
+      passed: balance === expectedBalance,
+      details: withdrawn
+        ? `balance ${format(balance)}, withdrawn ${format(totalRaised - refunded)}`
+        : `balance ${format(balance)}, totalRaised ${format(totalRaised)} - refunds ${format(refunded)} = ${format(expectedBalance)}`
+    },
+    {
+      name: "No participant both claimed and was refunded",
+      passed: both.size === 0,
+      details: both.size === 0 ? `${claimers.size} claimed` : `claimed and refunded: ${[...both].join(", ")}`
+    },
+    {
+      name: "Pool holds enough IDO tokens for every claim",
+      passed: solvency.solvent,
+      details: `balance ${formatIdo(solvency.balance)}, required ${formatIdo(solvency.required)} (${solvency.basis})`
+    }
+  ];
+}
+
+ido
+  .task("simulate", "Rehearse a full IDO lifecycle from a scenario file on a local node")
+  .addParam("scenario", "Scenario file (.json, .yaml or .yml)")
+  .addOptionalParam("accounts", "Number of generated participants (overrides the scenario)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args: { scenario: string; accounts?: string; json: boolean }, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+      throw cliError(`The simulator deploys contracts and moves time, so it only runs on a local node (chain ${chainId})`);
+    }
+
+    const scenario = loadScenario(args.scenario);
+    const accountCount = Number(args.accounts || scenario.accounts || 5);
+    const log = (line: string) => { if (!args.json) console.log(line); };
+
+    const { context, deployer, accounts, startTime, endTime, fund } = await deploy(hre, scenario, accountCount);
+    const { pool, tokens } = context;
+    const payment = tokens.payment.native ? `${tokens.payment.symbol} (native currency)` : `${tokens.payment.symbol} ${tokens.payment.address}`;
+    log(`Pool ${context.address}: ${payment}, ${tokens.ido.symbol} ${tokens.ido.address}`);
+    log(`Sale from ${formatTime(startTime)} to ${formatTime(endTime)}, funded with ${hre.ethers.formatUnits(fund, tokens.ido.decimals)} ${tokens.ido.symbol}`);
+    log(`${accounts.length} participants: ${accounts.map((account) => account.address).join(", ")}\n`);
+
+    const results = [];
+    for (const [index, step] of scenario.steps.entries()) {
+      const label = `[${index + 1}] ${step.action}${step.account !== undefined ? ` (account ${step.account})` : ""}`;
+      if (step.at !== undefined) await warpTo(hre, startTime + parseOffset(step.at));
+
+      // Participants act with their generated wallet; admin actions default to the deployer
+      const signer = step.account !== undefined ? accounts[step.account] : deployer;
+      if (!signer) throw cliError(`${label}: there is no account ${step.account}`);
+
+      let call: { method: string; params: unknown[] } | null = null;
+      let amount: bigint | null = null;
+      switch (step.action) {
+        case "warp":
+          if (step.to !== undefined) {
+            await warpTo(hre, parseTime(step.to, await latestTimestamp(hre)));
+          } else if (step.seconds !== undefined) {
+            await warpTo(hre, (await latestTimestamp(hre)) + Number(step.seconds));
+          } else if (step.at === undefined) {
+            throw cliError(`${label}: a warp needs seconds, to or at`);
+          }
+          break;
+        case "buy":
+          amount = parseAmount(hre, String(step.amount), tokens.payment);
+          if (tokens.payment.native) {
+            call = { method: "buyTokensNative", params: [{ value: amount }] };
+            break;
+          }
+          await (await (await hre.ethers.getContractAt("IERC20Metadata", tokens.payment.address, signer))
+            .approve(context.address, amount)).wait();
+          call = { method: "buyTokens", params: [amount] };
+          break;
+        case "claim":
+          call = { method: "claimIDOTokens", params: [] };
+          break;
+        case "refund":
+          call = { method: "claimRefundUser", params: [] };
+          break;
+        case "start":
+          call = { method: "startIDO", params: [] };
+          break;
+        case "end":
+          call = { method: "endIDO", params: [] };
+          break;
+        case "triggerRefund":
+          call = { method: "triggerGlobalRefund", params: [] };
+          break;
+        case "disableRefund":
+          call = { method: "disableGlobalRefund", params: [] };
+          break;
+        // The treasury is the deployer
+        case "withdraw":
+          call = { method: "withdrawFunds", params: [deployer.address] };
+          break;
+        case "recover":
+          call = { method: "recoverUnsoldTokens", params: [deployer.address] };
+          break;
+        default:
+          throw cliError(`${label}: unknown action "${step.action}"`);
+      }
+
+      const result: Record<string, unknown> = { step: index + 1, ...step, blockTime: await latestTimestamp(hre) };
+      if (call) {
+        const fn = pool.connect(signer).getFunction(call.method);
+        let reason: string | null = null;
+        try {
+          await fn.staticCall(...call.params);
+        } catch (error) {
+          reason = revertReason(error);
+        }
+
+        if (step.expectRevert) {
+          const expected = typeof step.expectRevert === "string" ? step.expectRevert : null;
+          if (reason === null) throw cliError(`${label}: expected a revert, but the call succeeded`);
+          if (expected && !reason.includes(expected)) {
+            throw cliError(`${label}: expected revert "${expected}", got "${reason}"`);
+          }
+          result.reverted = reason;
+          log(`${label}: reverted as expected (${reason})`);
+        } else {
+          if (reason !== null) throw cliError(`${label}: reverted with "${reason}"`);
+          const receipt = await (await fn(...call.params)).wait();
+          result.transactionHash = receipt ? receipt.hash : null;
+          log(`${label}: ${call.method}${amount !== null ? ` ${step.amount} ${tokens.payment.symbol}` : ""} in block ${receipt ? receipt.blockNumber : "?"}`);
+        }
+      } else {
+        log(`${label}: block time is now ${formatTime(await latestTimestamp(hre))}`);
+      }
+      results.push(result);
+    }
+
+    const invariants = await checkInvariants(hre, context, accounts.map((account) => account.address));
+    output(args.json, {
+      pool: context.address,
+      paymentToken: tokens.payment,
+      idoToken: tokens.ido,
+      accounts: accounts.map((account) => account.address),
+      steps: results,
+      invariants
+    }, [
+      "\nInvariants:",
+      ...invariants.map((invariant) => `${invariant.passed ? "PASS" : "FAIL"} ${invariant.name}: ${invariant.details}`)
+    ]);
+
+    if (invariants.some((invariant) => !invariant.passed)) {
+      throw cliError("Some invariants do not hold");
+    }
+  });
@@ -4,6 +4,7 @@ import { Contract } from "ethers";
 import { time } from "@nomicfoundation/hardhat-network-helpers";
 import { MockToken, IDOPool } from "../typechain-types";
 import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { buildAllowlist } from "../scripts/allowlist";
 
 // Helper function to convert to wei
 function toWei(value: number | string): bigint {
@@ -224,6 +225,182 @@ describe("IDOPool", function () {
     });
   });
 
+  describe("Permit Purchase", function () {
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      const startTime = currentTime + 3600; // 1 hour from now
+      const endTime = startTime + 86400; // 1 day after start
+
+      await idoPool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+    });
+
+    // Sign an EIP-2612 permit letting the pool spend `value` payment tokens of `signer`
+    async function signPermit(signer: HardhatEthersSigner, value: bigint, deadline: number) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: await paymentToken.name(),
+        version: "1",
+        chainId,
+        verifyingContract: await paymentToken.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: await signer.getAddress(),
+        spender: await idoPool.getAddress(),
+        value,
+        nonce: await paymentToken.nonces(await signer.getAddress()),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("Should allow user to buy tokens with a permit instead of an approval", async function () {
+      const paymentAmount = toWei(1);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(user1, paymentAmount, deadline);
+
+      await expect(idoPool.connect(user1).buyTokensWithPermit(paymentAmount, deadline, v, r, s))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), paymentAmount, paymentAmount / tokenPrice);
+
+      expect(await idoPool.userContributedPaymentAmount(await user1.getAddress())).to.equal(paymentAmount);
+      expect(await paymentToken.allowance(await user1.getAddress(), await idoPool.getAddress())).to.equal(0);
+    });
+
+    it("Should fall back to the existing allowance if the permit was already used", async function () {
+      const paymentAmount = toWei(1);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(user1, paymentAmount, deadline);
+
+      // Someone submits the permit before the purchase
+      await paymentToken.connect(user2).permit(
+        await user1.getAddress(), await idoPool.getAddress(), paymentAmount, deadline, v, r, s
+      );
+
+      await expect(idoPool.connect(user1).buyTokensWithPermit(paymentAmount, deadline, v, r, s))
+        .to.emit(idoPool, "TokensPurchased");
+    });
+
+    it("Should not allow purchase with an invalid permit and no allowance", async function () {
+      const paymentAmount = toWei(1);
+      const deadline = (await time.latest()) + 3600;
+      // Signed by another account
+      const { v, r, s } = await signPermit(user2, paymentAmount, deadline);
+
+      await expect(idoPool.connect(user1).buyTokensWithPermit(paymentAmount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(paymentToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Allowlist", function () {
+    let allowlist: ReturnType<typeof buildAllowlist>;
+
+    // The allocation argument of an allowlist entry
+    function allocationOf(index: number) {
+      const { minContribution, maxContribution, proof } = allowlist.entries[index];
+      return { minContribution, maxContribution, proof };
+    }
+
+    beforeEach(async function () {
+      allowlist = buildAllowlist([
+        { address: await user1.getAddress(), minContribution: toWei(1), maxContribution: toWei(5) },
+        { address: await addrs[0].getAddress(), minContribution: 0n, maxContribution: 0n },
+        { address: await addrs[1].getAddress(), minContribution: 0n, maxContribution: toWei(10) }
+      ]);
+
+      const currentTime = await time.latest();
+      const startTime = currentTime + 3600; // 1 hour from now
+      const endTime = startTime + 86400; // 1 day after start
+
+      await idoPool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      await expect(idoPool.setAllowlist(allowlist.root))
+        .to.emit(idoPool, "AllowlistUpdated")
+        .withArgs(allowlist.root);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await paymentToken.connect(user1).approve(await idoPool.getAddress(), initialBalance);
+      await paymentToken.connect(user2).approve(await idoPool.getAddress(), initialBalance);
+    });
+
+    it("Should only let the owner set the allowlist", async function () {
+      await expect(idoPool.connect(user1).setAllowlist(allowlist.root))
+        .to.be.revertedWithCustomError(idoPool, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should require a proof once the allowlist is set", async function () {
+      await expect(idoPool.connect(user1).buyTokens(toWei(1)))
+        .to.be.revertedWith("Allowlist proof required");
+    });
+
+    it("Should allow an allowlisted user to buy within their limits", async function () {
+      expect(await idoPool.isAllowlisted(
+        await user1.getAddress(), toWei(1), toWei(5), allowlist.entries[0].proof
+      )).to.equal(true);
+
+      await expect(idoPool.connect(user1).buyTokensAllowlisted(toWei(2), allocationOf(0)))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), toWei(2), toWei(2) / tokenPrice);
+      await idoPool.connect(user1).buyTokensAllowlisted(toWei(3), allocationOf(0));
+
+      expect(await idoPool.userContributedPaymentAmount(await user1.getAddress())).to.equal(toWei(5));
+    });
+
+    it("Should enforce the minimum and maximum contribution", async function () {
+      await expect(idoPool.connect(user1).buyTokensAllowlisted(toWei(0.5), allocationOf(0)))
+        .to.be.revertedWith("Below minimum contribution");
+
+      await idoPool.connect(user1).buyTokensAllowlisted(toWei(4), allocationOf(0));
+      // Later purchases only need to keep the total above the minimum
+      await idoPool.connect(user1).buyTokensAllowlisted(toWei(0.5), allocationOf(0));
+      await expect(idoPool.connect(user1).buyTokensAllowlisted(toWei(1), allocationOf(0)))
+        .to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should treat a zero maximum as no limit", async function () {
+      await paymentToken.mint(await addrs[0].getAddress(), initialBalance);
+      await paymentToken.connect(addrs[0]).approve(await idoPool.getAddress(), initialBalance);
+
+      await expect(idoPool.connect(addrs[0]).buyTokensAllowlisted(toWei(100), allocationOf(1)))
+        .to.emit(idoPool, "TokensPurchased");
+    });
+
+    it("Should reject addresses or limits that are not in the allowlist", async function () {
+      // user2 is not listed
+      await expect(idoPool.connect(user2).buyTokensAllowlisted(toWei(1), allocationOf(0)))
+        .to.be.revertedWith("Not on the allowlist");
+
+      // user1 claiming a higher maximum than listed
+      const inflated = { ...allocationOf(0), maxContribution: toWei(100) };
+      await expect(idoPool.connect(user1).buyTokensAllowlisted(toWei(10), inflated))
+        .to.be.revertedWith("Not on the allowlist");
+    });
+
+    it("Should open the sale to everyone when the allowlist is cleared", async function () {
+      await idoPool.setAllowlist(ethers.ZeroHash);
+
+      await expect(idoPool.connect(user2).buyTokens(toWei(1)))
+        .to.emit(idoPool, "TokensPurchased");
+    });
+
+    it("Should not allow changing the allowlist after the IDO ends", async function () {
+      await idoPool.endIDO();
+
+      await expect(idoPool.setAllowlist(ethers.ZeroHash))
+        .to.be.revertedWith("IDO already ended");
+    });
+  });
+
   describe("Refunds", function () {
     let startTime: number;
     let endTime: number;
@@ -343,4 +520,415 @@ describe("IDOPool", function () {
         .to.be.revertedWith("Tokens already claimed");
     });
   });
-}); 
\ No newline at end of file
+
+  describe("Vesting", function () {
+    let endTime: number;
+    const purchased = softCap / tokenPrice; // IDO tokens bought by user1
+    const cliff = 3600;
+    const duration = 10000;
+
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      const startTime = currentTime + 3600;
+      endTime = startTime + 86400;
+
+      await idoPool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      // 20% at the TGE (the end of the IDO), the rest linearly over `duration` after a one hour cliff
+      await expect(idoPool.setVesting(0, 2000, cliff, duration))
+        .to.emit(idoPool, "VestingUpdated")
+        .withArgs(0, 2000, cliff, duration);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await paymentToken.connect(user1).approve(await idoPool.getAddress(), softCap);
+      await idoPool.connect(user1).buyTokens(softCap);
+    });
+
+    it("Should not allow changing the vesting once the IDO has started", async function () {
+      await expect(idoPool.setVesting(0, 10000, 0, 0))
+        .to.be.revertedWith("Vesting can only be changed before the IDO starts");
+    });
+
+    it("Should not allow a TGE unlock above 100%", async function () {
+      const fresh = await (await ethers.getContractFactory("IDOPool")).deploy(
+        await paymentToken.getAddress(), await idoToken.getAddress()
+      );
+      await expect(fresh.setVesting(0, 10001, 0, 0))
+        .to.be.revertedWith("TGE unlock cannot exceed 100%");
+    });
+
+    it("Should unlock the TGE share, then vest the rest linearly after the cliff", async function () {
+      await time.increaseTo(endTime + 1);
+      await idoPool.endIDO();
+      const tge = Number(await idoPool.tgeTime());
+      const tgeShare = (purchased * 2000n) / 10000n;
+
+      await expect(idoPool.connect(user1).claimIDOTokens())
+        .to.emit(idoPool, "IDOTokensClaimed")
+        .withArgs(await user1.getAddress(), tgeShare);
+      expect(await idoPool.userHasClaimedIDOTokens(await user1.getAddress())).to.equal(false);
+      expect(await idoPool.userOwedIDOTokens(await user1.getAddress())).to.equal(purchased - tgeShare);
+
+      // Nothing more until the cliff ends
+      await expect(idoPool.connect(user1).claimIDOTokens())
+        .to.be.revertedWith("No vested tokens to claim yet");
+
+      // Halfway through the linear vesting
+      await time.increaseTo(tge + cliff + duration / 2 - 1);
+      await idoPool.connect(user1).claimIDOTokens();
+      expect(await idoPool.userClaimedIDOTokens(await user1.getAddress()))
+        .to.equal(tgeShare + (purchased - tgeShare) / 2n);
+
+      // Fully vested
+      await time.increaseTo(tge + cliff + duration);
+      await idoPool.connect(user1).claimIDOTokens();
+      expect(await idoToken.balanceOf(await user1.getAddress())).to.equal(purchased);
+      expect(await idoPool.userOwedIDOTokens(await user1.getAddress())).to.equal(0);
+      expect(await idoPool.userHasClaimedIDOTokens(await user1.getAddress())).to.equal(true);
+      expect(await idoPool.claimableIDOTokens(await user1.getAddress())).to.equal(0);
+    });
+
+    it("Should not allow a global refund once IDO tokens have been claimed", async function () {
+      await time.increaseTo(endTime + 1);
+      await idoPool.endIDO();
+      await idoPool.connect(user1).claimIDOTokens();
+      expect(await idoPool.totalClaimedIDOTokens()).to.equal(await idoPool.userClaimedIDOTokens(await user1.getAddress()));
+
+      await expect(idoPool.triggerGlobalRefund()).to.be.revertedWith("IDO tokens already claimed");
+
+      // The partial claimer can still claim the rest as it vests
+      const tge = Number(await idoPool.tgeTime());
+      await time.increaseTo(tge + cliff + duration);
+      await idoPool.connect(user1).claimIDOTokens();
+      expect(await idoPool.userHasClaimedIDOTokens(await user1.getAddress())).to.equal(true);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    let startTime: number;
+    let endTime: number;
+    let treasury: string;
+    const purchased = softCap / tokenPrice; // IDO tokens bought by user1
+
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      startTime = currentTime + 3600;
+      endTime = startTime + 86400;
+      treasury = await addrs[0].getAddress();
+
+      await idoPool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await paymentToken.connect(user1).approve(await idoPool.getAddress(), softCap);
+      await idoPool.connect(user1).buyTokens(softCap);
+    });
+
+    it("Should only let the owner withdraw after the IDO ends", async function () {
+      await expect(idoPool.withdrawFunds(treasury)).to.be.revertedWith("IDO not ended");
+
+      await time.increaseTo(endTime + 1);
+      await idoPool.endIDO();
+      await expect(idoPool.connect(user1).withdrawFunds(treasury))
+        .to.be.revertedWithCustomError(idoPool, "OwnableUnauthorizedAccount");
+      await expect(idoPool.connect(user1).recoverUnsoldTokens(treasury))
+        .to.be.revertedWithCustomError(idoPool, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should send the raised funds to the treasury once and rule out refunds afterwards", async function () {
+      await time.increaseTo(endTime + 1);
+      await idoPool.endIDO();
+      expect(await idoPool.withdrawableFunds()).to.equal(softCap);
+
+      await expect(idoPool.withdrawFunds(treasury))
+        .to.emit(idoPool, "FundsWithdrawn")
+        .withArgs(treasury, softCap);
+      expect(await paymentToken.balanceOf(treasury)).to.equal(softCap);
+      expect(await idoPool.withdrawableFunds()).to.equal(0);
+
+      await expect(idoPool.withdrawFunds(treasury)).to.be.revertedWith("Funds already withdrawn");
+      await expect(idoPool.triggerGlobalRefund()).to.be.revertedWith("Funds already withdrawn");
+    });
+
+    it("Should not release anything while refunds are possible", async function () {
+      await idoPool.triggerGlobalRefund();
+      await expect(idoPool.withdrawFunds(treasury)).to.be.revertedWith("Refunds are active, cannot withdraw");
+      await expect(idoPool.recoverUnsoldTokens(treasury)).to.be.revertedWith("Refunds are active, cannot withdraw");
+
+      // Once refunds are disabled again, only what was not refunded can be withdrawn
+      await idoPool.connect(user1).claimRefundUser();
+      await idoPool.disableGlobalRefund();
+      await expect(idoPool.withdrawFunds(treasury)).to.be.revertedWith("Refunds took the raise below the soft cap");
+    });
+
+    it("Should not release anything once refunds took the raise below the soft cap", async function () {
+      const FactoryPool = await ethers.getContractFactory("IDOPool");
+      const refunded = await FactoryPool.deploy(await paymentToken.getAddress(), await idoToken.getAddress());
+      await idoToken.mint(await refunded.getAddress(), toWei(5000));
+      const currentTime = await time.latest();
+      await refunded.setIDOParameters(currentTime + 10, currentTime + 100, tokenPrice, toWei(100), hardCap);
+      await time.increaseTo(currentTime + 11);
+      await refunded.startIDO();
+      await paymentToken.connect(user1).approve(await refunded.getAddress(), toWei(60));
+      await refunded.connect(user1).buyTokens(toWei(60));
+      await paymentToken.connect(user2).approve(await refunded.getAddress(), toWei(40));
+      await refunded.connect(user2).buyTokens(toWei(40));
+      await time.increaseTo(currentTime + 101);
+      await refunded.endIDO();
+
+      await refunded.triggerGlobalRefund();
+      await refunded.connect(user1).claimRefundUser();
+      await refunded.disableGlobalRefund();
+
+      expect(await refunded.withdrawableFunds()).to.equal(toWei(40));
+      await expect(refunded.withdrawFunds(treasury)).to.be.revertedWith("Refunds took the raise below the soft cap");
+      await expect(refunded.recoverUnsoldTokens(treasury)).to.be.revertedWith("Refunds took the raise below the soft cap");
+    });
+
+    it("Should not release anything when the soft cap was missed", async function () {
+      const FactoryPool = await ethers.getContractFactory("IDOPool");
+      const failed = await FactoryPool.deploy(await paymentToken.getAddress(), await idoToken.getAddress());
+      const currentTime = await time.latest();
+      await failed.setIDOParameters(currentTime + 10, currentTime + 100, tokenPrice, softCap, hardCap);
+      await time.increaseTo(currentTime + 11);
+      await failed.startIDO();
+      await paymentToken.connect(user2).approve(await failed.getAddress(), toWei(10));
+      await failed.connect(user2).buyTokens(toWei(10));
+      await failed.endIDO();
+      await failed.disableGlobalRefund();
+
+      await expect(failed.withdrawFunds(treasury)).to.be.revertedWith("Soft cap not met");
+      await expect(failed.recoverUnsoldTokens(treasury)).to.be.revertedWith("Soft cap not met");
+    });
+
+    it("Should recover only the IDO tokens nobody bought", async function () {
+      await time.increaseTo(endTime + 1);
+      await idoPool.endIDO();
+      const unsold = toWei(5000) - purchased;
+      expect(await idoPool.unsoldIDOTokens()).to.equal(unsold);
+
+      await expect(idoPool.recoverUnsoldTokens(treasury))
+        .to.emit(idoPool, "UnsoldTokensRecovered")
+        .withArgs(treasury, unsold);
+      expect(await idoToken.balanceOf(treasury)).to.equal(unsold);
+      await expect(idoPool.recoverUnsoldTokens(treasury)).to.be.revertedWith("No unsold tokens to recover");
+
+      // The buyer can still claim everything they are owed
+      await idoPool.connect(user1).claimIDOTokens();
+      expect(await idoToken.balanceOf(await user1.getAddress())).to.equal(purchased);
+      expect(await idoPool.totalOwedIDOTokens()).to.equal(0);
+    });
+
+    it("Should keep the raised funds when both sides use the same token", async function () {
+      const FactoryPool = await ethers.getContractFactory("IDOPool");
+      const shared = await FactoryPool.deploy(await paymentToken.getAddress(), await paymentToken.getAddress());
+      const sharedAddress = await shared.getAddress();
+      await paymentToken.mint(sharedAddress, toWei(1000));
+      const currentTime = await time.latest();
+      await shared.setIDOParameters(currentTime + 10, currentTime + 100, tokenPrice, softCap, hardCap);
+      await time.increaseTo(currentTime + 11);
+      await shared.startIDO();
+      await paymentToken.connect(user2).approve(sharedAddress, softCap);
+      await shared.connect(user2).buyTokens(softCap);
+      await shared.endIDO();
+
+      // 1000 funded + 50 raised: the 50 raised belong to the treasury and `purchased` to the buyer
+      expect(await shared.unsoldIDOTokens()).to.equal(toWei(1000) - purchased);
+      await shared.recoverUnsoldTokens(treasury);
+      await shared.withdrawFunds(treasury);
+      await shared.connect(user2).claimIDOTokens();
+      expect(await paymentToken.balanceOf(sharedAddress)).to.equal(0);
+    });
+  });
+
+  describe("Sale Rounds", function () {
+    let startTime: number;
+    let endTime: number;
+    const privatePrice = toWei(0.05);
+    const publicPrice = toWei(0.1);
+
+    // A private round for the first hour capped at 20, then a public round until the end
+    function defaultRounds() {
+      return [
+        { name: "Private", startTime, endTime: startTime + 3600, price: privatePrice, cap: toWei(20) },
+        { name: "Public", startTime: startTime + 3600, endTime, price: publicPrice, cap: 0 }
+      ];
+    }
+
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      startTime = currentTime + 3600;
+      endTime = startTime + 86400;
+
+      await idoPool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      await expect(idoPool.setRounds(defaultRounds()))
+        .to.emit(idoPool, "RoundsUpdated")
+        .withArgs(2);
+      await paymentToken.connect(user1).approve(await idoPool.getAddress(), hardCap);
+    });
+
+    it("Should validate the rounds", async function () {
+      const [first, second] = defaultRounds();
+      await expect(idoPool.setRounds([{ ...first, price: 0 }]))
+        .to.be.revertedWith("Round price must be greater than 0");
+      await expect(idoPool.setRounds([{ ...first, endTime: first.startTime }]))
+        .to.be.revertedWith("Round must end after it starts");
+      await expect(idoPool.setRounds([second, first]))
+        .to.be.revertedWith("Rounds must be ordered by start time");
+      await expect(idoPool.setRounds(Array(11).fill(first)))
+        .to.be.revertedWith("Too many rounds");
+
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+      await expect(idoPool.setRounds([]))
+        .to.be.revertedWith("Rounds can only be changed before the IDO starts");
+    });
+
+    it("Should price a purchase at the current round", async function () {
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await expect(idoPool.connect(user1).buyTokens(toWei(10)))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), toWei(10), toWei(10) / privatePrice);
+      expect(await idoPool.roundRaised(0)).to.equal(toWei(10));
+
+      // The private round is over after its hour
+      await time.increaseTo(startTime + 3600);
+      expect((await idoPool.currentRound())[1]).to.equal(1);
+      await expect(idoPool.connect(user1).buyTokens(toWei(10)))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), toWei(10), toWei(10) / publicPrice);
+    });
+
+    it("Should split a purchase that crosses into the next open round", async function () {
+      // Both rounds open at the start: a tier of 20 at the private price, then the public price
+      const [first, second] = defaultRounds();
+      await idoPool.setRounds([first, { ...second, startTime }]);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await idoPool.connect(user1).buyTokens(toWei(15));
+      await expect(idoPool.connect(user1).buyTokens(toWei(10)))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), toWei(10), toWei(5) / privatePrice + toWei(5) / publicPrice);
+      expect(await idoPool.roundRaised(0)).to.equal(toWei(20));
+      expect(await idoPool.roundRaised(1)).to.equal(toWei(5));
+      expect((await idoPool.currentRound())[1]).to.equal(1);
+    });
+
+    it("Should reject purchases when no round can take them", async function () {
+      await idoPool.setRounds([{ ...defaultRounds()[0], startTime: startTime + 60 }]);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+      await expect(idoPool.connect(user1).buyTokens(toWei(10))).to.be.revertedWith("No open round");
+
+      // The only round is capped at 20
+      await time.increaseTo(startTime + 60);
+      await expect(idoPool.connect(user1).buyTokens(toWei(25))).to.be.revertedWith("Purchase exceeds round capacity");
+      await idoPool.connect(user1).buyTokens(toWei(20));
+      await expect(idoPool.connect(user1).buyTokens(toWei(1))).to.be.revertedWith("No open round");
+    });
+
+    it("Should go back to tokenPrice when the rounds are cleared", async function () {
+      await idoPool.setRounds([]);
+      expect(await idoPool.roundCount()).to.equal(0);
+      await time.increaseTo(startTime + 1);
+      await idoPool.startIDO();
+
+      await expect(idoPool.connect(user1).buyTokens(toWei(10)))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(await user1.getAddress(), toWei(10), toWei(10) / tokenPrice);
+    });
+  });
+
+  describe("Native Currency", function () {
+    let nativePool: IDOPool;
+    let startTime: number;
+    let endTime: number;
+    const purchase = toWei(10);
+
+    beforeEach(async function () {
+      const FactoryPool = await ethers.getContractFactory("IDOPool");
+      nativePool = (await FactoryPool.deploy(ethers.ZeroAddress, await idoToken.getAddress())) as unknown as IDOPool;
+      await idoToken.connect(owner).transfer(await nativePool.getAddress(), toWei(3000));
+
+      const currentTime = await time.latest();
+      startTime = currentTime + 3600;
+      endTime = startTime + 86400;
+      await nativePool.setIDOParameters(startTime, endTime, tokenPrice, softCap, hardCap);
+      await time.increaseTo(startTime + 1);
+      await nativePool.startIDO();
+    });
+
+    it("Should accept native currency only when deployed without a payment token", async function () {
+      expect(await nativePool.isNativePayment()).to.equal(true);
+      expect(await idoPool.isNativePayment()).to.equal(false);
+
+      await expect(idoPool.connect(user1).buyTokensNative({ value: purchase }))
+        .to.be.revertedWith("Pool does not accept native currency");
+      await expect(nativePool.connect(user1).buyTokens(purchase))
+        .to.be.revertedWith("Pool only accepts native currency");
+      await expect(nativePool.connect(user1).buyTokensWithPermit(purchase, 0, 0, ethers.ZeroHash, ethers.ZeroHash))
+        .to.be.revertedWith("Pool only accepts native currency");
+    });
+
+    it("Should sell IDO tokens for the native currency sent", async function () {
+      const user1Address = await user1.getAddress();
+      const tx = await nativePool.connect(user1).buyTokensNative({ value: purchase });
+      await expect(tx).to.emit(nativePool, "TokensPurchased").withArgs(user1Address, purchase, purchase / tokenPrice);
+      await expect(tx).to.changeEtherBalances([user1, nativePool], [-purchase, purchase]);
+      expect(await nativePool.userContributedPaymentAmount(user1Address)).to.equal(purchase);
+      expect(await nativePool.totalRaised()).to.equal(purchase);
+
+      await expect(nativePool.connect(user1).buyTokensNative({ value: 0 }))
+        .to.be.revertedWith("Payment amount must be greater than 0");
+      await expect(nativePool.connect(user1).buyTokensNative({ value: hardCap }))
+        .to.be.revertedWith("Purchase exceeds hard cap");
+    });
+
+    it("Should refund in native currency", async function () {
+      await nativePool.connect(user1).buyTokensNative({ value: purchase });
+      await time.increaseTo(endTime + 1);
+      await nativePool.endIDO();
+
+      const tx = await nativePool.connect(user1).claimRefundUser();
+      await expect(tx).to.emit(nativePool, "RefundClaimed").withArgs(await user1.getAddress(), purchase);
+      await expect(tx).to.changeEtherBalances([user1, nativePool], [purchase, -purchase]);
+      expect(await nativePool.totalRefunded()).to.equal(purchase);
+    });
+
+    it("Should withdraw the raised native currency to the treasury", async function () {
+      const treasury = addrs[0];
+      await nativePool.connect(user1).buyTokensNative({ value: softCap });
+      await time.increaseTo(endTime + 1);
+      await nativePool.endIDO();
+
+      const tx = await nativePool.withdrawFunds(await treasury.getAddress());
+      await expect(tx).to.emit(nativePool, "FundsWithdrawn").withArgs(await treasury.getAddress(), softCap);
+      await expect(tx).to.changeEtherBalances([treasury, nativePool], [softCap, -softCap]);
+
+      // The IDO tokens are still paid out as usual
+      await nativePool.connect(user1).claimIDOTokens();
+      expect(await idoToken.balanceOf(await user1.getAddress())).to.equal(softCap / tokenPrice);
+    });
+
+    it("Should apply the allowlist limits to native purchases", async function () {
+      const allowlist = buildAllowlist([
+        { address: await user1.getAddress(), minContribution: toWei(1), maxContribution: toWei(5) }
+      ]);
+      await nativePool.setAllowlist(allowlist.root);
+      const { minContribution, maxContribution, proof } = allowlist.entries[0];
+      const allocation = { minContribution, maxContribution, proof };
+
+      await expect(nativePool.connect(user1).buyTokensNative({ value: toWei(1) }))
+        .to.be.revertedWith("Allowlist proof required");
+      await expect(nativePool.connect(user1).buyTokensAllowlistedNative(allocation, { value: toWei(6) }))
+        .to.be.revertedWith("Exceeds maximum contribution");
+      await expect(nativePool.connect(user2).buyTokensAllowlistedNative(allocation, { value: toWei(1) }))
+        .to.be.revertedWith("Not on the allowlist");
+      await nativePool.connect(user1).buyTokensAllowlistedNative(allocation, { value: toWei(5) });
+      expect(await nativePool.userContributedPaymentAmount(await user1.getAddress())).to.equal(toWei(5));
+    });
+  });
+});